@@ -0,0 +1,189 @@
+// Эталонный сервер синхронизации: хранит карты в JSON-файле, без внешних зависимостей.
+// Подходит для проверки синхронизации и небольшой команды в локальной сети.
+//
+//   npm run sync-server
+//
+// Переменные окружения:
+//   SYNC_PORT       — порт (по умолчанию 3002)
+//   SYNC_DATA_FILE  — файл с данными (по умолчанию server/data.json)
+//   SYNC_TOKEN      — если задан, запросы без заголовка Authorization: Bearer <token> отклоняются
+//
+// Протокол описан в src/sync/rest.js. У каждой записи карты свой номер ревизии:
+// изменение принимается, только если клиент видел последнюю ревизию, иначе возвращается конфликт.
+
+import http from 'node:http'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const PORT = Number(process.env.SYNC_PORT) || 3002
+const DATA_FILE = process.env.SYNC_DATA_FILE
+    || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data.json')
+const TOKEN = process.env.SYNC_TOKEN || ''
+const MAX_BODY_BYTES = 10 * 1024 * 1024
+const META_KEY = '$roadmap'
+
+// { roadmaps: { [id]: { entries: { [key]: { revision, value } } } } }
+let data = { roadmaps: {} }
+
+const load = async () => {
+    try {
+        data = JSON.parse(await fs.readFile(DATA_FILE, 'utf-8'))
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err
+    }
+}
+
+// Запись через временный файл, чтобы сбой посреди записи не испортил данные.
+// Записи идут по очереди: следующая начинается после предыдущей.
+let saving = Promise.resolve()
+const save = () => {
+    saving = saving.then(async () => {
+        const tmpFile = `${DATA_FILE}.tmp`
+        await fs.writeFile(tmpFile, JSON.stringify(data))
+        await fs.rename(tmpFile, DATA_FILE)
+    })
+    return saving
+}
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message)
+        this.status = status
+    }
+}
+
+const send = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    })
+    res.end(body === undefined ? undefined : JSON.stringify(body))
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', chunk => {
+        size += chunk.length
+        if (size > MAX_BODY_BYTES) {
+            // Остаток тела не читаем, но соединение не рвём: клиент должен получить ответ 413
+            req.removeAllListeners('data')
+            req.pause()
+            reject(new HttpError(413, 'Слишком большой запрос'))
+            return
+        }
+        chunks.push(chunk)
+    })
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8') || '{}'))
+        } catch {
+            reject(new HttpError(400, 'Тело запроса — не JSON'))
+        }
+    })
+    req.on('error', reject)
+})
+
+// id карт и ключи записей приходят от клиента: '__proto__' и подобные должны
+// оставаться обычными полями, а не обращениями к прототипу
+const getOwn = (object, key) => (Object.hasOwn(object, key) ? object[key] : undefined)
+const setOwn = (object, key, value) =>
+    Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true })
+
+const decodePath = (pathname) => {
+    try {
+        return pathname.split('/').filter(Boolean).map(decodeURIComponent)
+    } catch {
+        throw new HttpError(400, 'Некорректный адрес')
+    }
+}
+
+const getRevision = (roadmap) =>
+    Object.values(roadmap.entries).reduce((max, entry) => Math.max(max, entry.revision), 0)
+
+const listRoadmaps = () => ({
+    roadmaps: Object.entries(data.roadmaps).map(([id, roadmap]) => ({
+        id,
+        title: roadmap.entries[META_KEY]?.value?.title ?? id,
+        revision: getRevision(roadmap)
+    }))
+})
+
+// Удалённая тема остаётся записью с value: null, чтобы другие устройства узнали об удалении
+const applyChanges = (roadmapId, changes) => {
+    if (!Array.isArray(changes)) throw new HttpError(400, 'Ожидается массив changes')
+    if (changes.some(change => typeof change?.key !== 'string' || change.value === undefined)) {
+        throw new HttpError(400, 'У каждого изменения должны быть key и value')
+    }
+
+    const roadmap = getOwn(data.roadmaps, roadmapId) ?? { entries: {} }
+    const applied = []
+    const conflicts = []
+
+    changes.forEach(change => {
+        const current = getOwn(roadmap.entries, change.key) ?? { revision: 0, value: null }
+        if ((change.baseRevision ?? 0) !== current.revision) {
+            conflicts.push({ key: change.key, revision: current.revision, value: current.value })
+            return
+        }
+
+        const revision = current.revision + 1
+        setOwn(roadmap.entries, change.key, { revision, value: change.value })
+        applied.push({ key: change.key, revision })
+    })
+
+    if (applied.length) setOwn(data.roadmaps, roadmapId, roadmap)
+    return { applied, conflicts }
+}
+
+const handle = async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204)
+
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+        throw new HttpError(401, 'Нужен токен доступа')
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost')
+    const parts = decodePath(pathname)
+
+    if (req.method === 'GET' && parts.length === 1 && parts[0] === 'roadmaps') {
+        return send(res, 200, listRoadmaps())
+    }
+
+    if (parts[0] === 'roadmaps' && parts.length === 2 && req.method === 'GET') {
+        const roadmap = getOwn(data.roadmaps, parts[1])
+        if (!roadmap) throw new HttpError(404, 'Карта не найдена')
+        return send(res, 200, { entries: roadmap.entries })
+    }
+
+    if (parts[0] === 'roadmaps' && parts.length === 3 && parts[2] === 'changes' && req.method === 'POST') {
+        const body = await readBody(req)
+        if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+            throw new HttpError(400, 'Ожидается объект с полем changes')
+        }
+        const result = applyChanges(parts[1], body.changes)
+        if (result.applied.length) await save()
+        return send(res, 200, result)
+    }
+
+    throw new HttpError(404, 'Нет такого адреса')
+}
+
+await load()
+
+http.createServer((req, res) => {
+    handle(req, res).catch(err => {
+        if (!(err instanceof HttpError)) console.error(err)
+        // Тело запроса прочитано не до конца: соединение закрывается, когда ответ уйдёт
+        if (!req.complete) {
+            res.setHeader('Connection', 'close')
+            res.once('finish', () => req.destroy())
+        }
+        if (!res.headersSent) send(res, err.status ?? 500, { error: err.message })
+    })
+}).listen(PORT, () => {
+    console.log(`Сервер синхронизации: http://localhost:${PORT}, данные в ${DATA_FILE}`)
+})
@@ -1,177 +1,761 @@
-﻿import { useState, useEffect, useCallback } from 'react'
-import { Routes, Route, Link, useParams, useNavigate } from 'react-router-dom'
+﻿import { useState, useEffect, useCallback, useRef } from 'react'
+import { Routes, Route, Link, Navigate, matchPath, useParams, useNavigate, useLocation, useSearchParams } from 'react-router-dom'
 import { format, parseISO, isValid } from 'date-fns'
-import { ru } from 'date-fns/locale'
+import Header from './Header'
+import LibraryPage from './LibraryPage'
+import EditorPage from './EditorPage'
+import StatsPage from './StatsPage'
+import ReviewPage from './ReviewPage'
+import SyncPage from './SyncPage'
+import CommandPalette from './CommandPalette'
+import Toast from './Toast'
+import NotesEditor from './NotesEditor'
+import MarkdownView from './MarkdownView'
+import MergeDialog from './MergeDialog'
+import DependencyGraph from './DependencyGraph'
+import KanbanBoard from './KanbanBoard'
+import DeadlinesPanel from './DeadlinesPanel'
+import ScheduleDialog from './ScheduleDialog'
+import TimeTracker from './TimeTracker'
+import FlashcardsEditor from './FlashcardsEditor'
+import { getBlockers, getDependsOn } from './dependencies'
+import { getDaysLeft, getDeadlineState, describeDaysLeft } from './deadlines'
+import { useDeadlineReminders } from './reminders'
+import { useSync, useSyncState, isRoadmapSynced, setRoadmapSynced, pruneSyncedRoadmaps, getFreshEntries, applyRemoteEntries } from './sync'
+import { useCommandPaletteOpen, toggleCommandPalette } from './commands'
+import { isEditableTarget, hasModifier, findArrowTarget } from './keyboard'
+import { getDueCards } from './review'
+import { getTimeProgress, getTimeTotals, getLoggedMinutes, hasEstimate, formatDuration, formatHours } from './timeTracking'
+import FilterToolbar from './FilterToolbar'
+import ExportMenu from './ExportMenu'
+import { getFormat, getExportFormats, getImportAccept, findFormatForFile } from './formats'
+import { parseFilters, applyFiltersToParams, applyFilters, filterItems, hasActiveFilters, getVisibleItems } from './filters'
+import { diffRoadmaps, mergeRoadmaps } from './merge'
+import { withHistory, getItemHistory } from './history'
+import { pruneAttachments } from './notes'
+import {
+    getStatuses,
+    getStatusInfo,
+    getInitialStatus,
+    isDoneStatus,
+    calculateProgress,
+    countCompleted,
+    addRoadmapToLibrary,
+    getItemProgress,
+    getSectionProgress,
+    getSubtasks,
+    groupBySection,
+    toPercent
+} from './roadmap'
+import { importRoadmap, isValidUrl } from './schema'
+import { createEmptyRoadmap } from './editor'
+import { loadState, saveState } from './storage'
+import { undoReducer, createUndoState, getUndoLabel, getRedoLabel } from './undo'
+import { createShareUrl, decodeSnapshot, SHARE_PATH } from './share'
+import { t, formatDate, getLocalized, useLocale } from './i18n'
 import './App.css'
 
-const STATUSES = {
-    'not-started': { label: 'Не начат', color: 'var(--status-not-started)', icon: '⭕' },
-    'in-progress': { label: 'В работе', color: 'var(--status-in-progress)', icon: '🔄' },
-    'completed': { label: 'Выполнено', color: 'var(--status-completed)', icon: '✅' }
-}
-
 function App() {
-    const [roadmap, setRoadmap] = useState(null)
-    const [loading, setLoading] = useState(false)
+    const navigate = useNavigate()
+    const location = useLocation()
+    // Смена языка перерисовывает всё приложение
+    useLocale()
+    // Библиотека живёт в App над маршрутами, поэтому история отмены переживает переходы.
+    // Правка применяется сразу и к ref: следующая правка (например, после await) видит
+    // актуальную библиотеку, а вызывающий код — результат своего updater
+    const [library, setLibrary] = useState(() => createUndoState({ roadmaps: [], activeRoadmapId: null }))
+    const libraryRef = useRef(library)
+    const dispatch = useCallback((action) => {
+        libraryRef.current = undoReducer(libraryRef.current, action)
+        setLibrary(libraryRef.current)
+    }, [])
+    const { roadmaps, activeRoadmapId } = library.present
+    const [restored, setRestored] = useState(false)
+    // После неудачного восстановления пустая библиотека не должна затереть сохранённые данные:
+    // автосохранение ждёт, пока пользователь сам загрузит или создаст карту
+    const [saveBlocked, setSaveBlocked] = useState(false)
+    const [loading, setLoading] = useState(true)
     const [error, setError] = useState('')
+    const [pendingMerge, setPendingMerge] = useState(null)
+    const [toast, setToast] = useState(null)
+    const paletteOpen = useCommandPaletteOpen()
+    // Скрытые поля выбора файла для команд импорта из палитры
+    const importInputRef = useRef(null)
+    const updateInputRef = useRef(null)
+    const updateTargetRef = useRef(null)
+
+    const showToast = useCallback((message, action) => setToast({ id: Date.now(), message, action }), [])
+    const closeToast = useCallback(() => setToast(null), [])
+
+    // Записывает изменение библиотеки в историю отмены.
+    // toast — сообщение с кнопкой «Отменить» после необратимых на вид действий.
+    const commit = useCallback((updater, { label, mergeKey, toast: message } = {}) => {
+        dispatch({ type: 'set', updater, label, mergeKey, at: Date.now() })
+        if (message) showToast(message, 'undo')
+        else setToast(null)
+    }, [dispatch, showToast])
 
-    // Загрузка примера дорожной карты при монтировании
+    const setActiveRoadmapId = useCallback((roadmapId) => {
+        dispatch({ type: 'set', record: false, updater: state => ({ ...state, activeRoadmapId: roadmapId }) })
+    }, [dispatch])
+
+    const undo = useCallback(() => {
+        const label = getUndoLabel(library)
+        if (!label) return
+        dispatch({ type: 'undo' })
+        showToast(t('undo.undone', { label }), 'redo')
+    }, [library, dispatch, showToast])
+
+    const redo = useCallback(() => {
+        const label = getRedoLabel(library)
+        if (!label) return
+        dispatch({ type: 'redo' })
+        showToast(t('undo.redone', { label }), 'undo')
+    }, [library, dispatch, showToast])
+
+    // Ctrl+K — палитра команд, в том числе из полей ввода.
+    // Ctrl+Z / Ctrl+Shift+Z (и Ctrl+Y). В полях ввода работает родная отмена браузера.
     useEffect(() => {
-        loadExampleRoadmap()
-    }, [])
+        const handleKeyDown = (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return
+            // По коду клавиши, чтобы сочетание работало и в русской раскладке
+            if (event.code === 'KeyK' && !event.shiftKey) {
+                event.preventDefault()
+                toggleCommandPalette()
+                return
+            }
+            if (isEditableTarget(event.target)) return
+
+            const key = event.key.toLowerCase()
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault()
+                undo()
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault()
+                redo()
+            }
+        }
+
+        window.addEventListener('keydown', handleKeyDown)
+        return () => window.removeEventListener('keydown', handleKeyDown)
+    }, [undo, redo])
+
+    // Автосохранение после каждого изменения
+    useEffect(() => {
+        if (!restored || saveBlocked) return
+
+        saveState({ roadmaps, activeRoadmapId }).catch(err => {
+            setError(t('app.saveError', { message: err.message }))
+            console.error('Ошибка сохранения:', err)
+        })
+    }, [roadmaps, activeRoadmapId, restored, saveBlocked])
+
+    useDeadlineReminders(roadmaps)
+
+    // Записи с сервера не действие пользователя, и отменять их нечего: они применяются
+    // к текущей карте и ко всем снимкам истории, чтобы отмена не вернула старые значения.
+    // В снимки попадают только записи, которые применились к текущей карте.
+    const applyRemote = useCallback((roadmapId, entries) => {
+        dispatch({
+            type: 'rebase',
+            updater: (state, present) => {
+                const current = present.roadmaps.find(roadmap => roadmap.id === roadmapId)
+                const fresh = current ? getFreshEntries(current, entries).map(({ key, value }) => ({ key, value })) : []
+                if (!fresh.length) return state
+
+                return {
+                    ...state,
+                    roadmaps: state.roadmaps.map(roadmap =>
+                        roadmap.id === roadmapId ? applyRemoteEntries(roadmap, fresh) : roadmap
+                    )
+                }
+            }
+        })
+    }, [dispatch])
+
+    // Правки (updateItem и остальные) сразу попадают в библиотеку,
+    // а на сервер уходят в фоне — после паузы в изменениях
+    const syncNow = useSync(roadmaps, applyRemote, restored)
+
+    // Добавляет карту в библиотеку и делает её текущей, возвращает выданный ей id.
+    // Библиотека берётся из актуального состояния: карту часто добавляют после await
+    // (файл, сеть), и за это время она могла измениться — в том числе синхронизацией.
+    const addRoadmap = useCallback((roadmap, options = {}) => {
+        setSaveBlocked(false)
+        let id = null
+        commit(state => {
+            const next = addRoadmapToLibrary(state.roadmaps, roadmap)
+            id = next.id
+            return { roadmaps: next.roadmaps, activeRoadmapId: id }
+        }, {
+            label: t('app.addRoadmapAction', { title: roadmap.title }),
+            ...options
+        })
+        // base от удалённой карты с тем же id чужая для новой: её значения по умолчанию
+        // ушли бы на сервер поверх прогресса, сохранённого там
+        if (isRoadmapSynced(id)) setRoadmapSynced(id, false)
+        return id
+    }, [commit])
 
-    const loadExampleRoadmap = async () => {
+    const loadExampleRoadmap = useCallback(async () => {
         try {
             setLoading(true)
-            const response = await fetch('/react-roadmap.json')
-            if (!response.ok) throw new Error('Не удалось загрузить дорожную карту')
-            const data = await response.json()
-            setRoadmap(data)
+            // Без сети файл отдаёт сервис-воркер; если его ещё нет в кэше, fetch упадёт
+            const response = await fetch('/react-roadmap.json').catch(() => {
+                throw new Error(navigator.onLine ? t('app.exampleLoadError') : t('app.exampleOffline'))
+            })
+            if (!response.ok) throw new Error(t('app.exampleLoadError'))
+            const data = importRoadmap(await response.json())
+
+            // Пример уже в библиотеке — просто переключаемся на него. Проверяем актуальную
+            // библиотеку: загрузка могла начаться дважды (повторный клик, двойной монтаж в StrictMode)
+            if (libraryRef.current.present.roadmaps.some(roadmap => roadmap.id === data.id)) {
+                setActiveRoadmapId(data.id)
+            } else {
+                addRoadmap(data)
+            }
             setError('')
         } catch (err) {
             setError(err.message)
         } finally {
             setLoading(false)
         }
-    }
+    }, [addRoadmap, setActiveRoadmapId])
+
+    // Сохранённые данные загружены: показываем их, а в пустой библиотеке — пример
+    const restoreLibrary = useCallback(async (saved) => {
+        // Истории отмены после загрузки нет: base удалённых карт больше не понадобится
+        pruneSyncedRoadmaps(saved?.roadmaps.map(roadmap => roadmap.id) ?? [])
+        if (saved && saved.roadmaps.length) {
+            dispatch({ type: 'reset', present: { roadmaps: saved.roadmaps, activeRoadmapId: saved.activeRoadmapId } })
+            setRestored(true)
+            setLoading(false)
+            return
+        }
+
+        setRestored(true)
+        await loadExampleRoadmap()
+    }, [dispatch, loadExampleRoadmap])
 
-    const handleFileUpload = (event) => {
+    // Не подменяем молча повреждённые данные примером: сообщаем об ошибке
+    const handleRestoreError = useCallback((err) => {
+        setError(t(err.backedUp ? 'app.restoreError' : 'app.restoreErrorNoBackup', { message: err.message }))
+        console.error('Ошибка восстановления данных:', err)
+        setSaveBlocked(true)
+        setRestored(true)
+        setLoading(false)
+    }, [])
+
+    // Восстановление сохранённого прогресса при монтировании
+    useEffect(() => {
+        loadState().then(restoreLibrary, handleRestoreError)
+    }, [restoreLibrary, handleRestoreError])
+
+    const handleFileUpload = async (event) => {
         const file = event.target.files[0]
         if (!file) return
+        event.target.value = ''
 
-        const reader = new FileReader()
-        reader.onload = (e) => {
-            try {
-                const content = e.target.result
-                const parsed = JSON.parse(content)
+        try {
+            // Проверка схемы и миграция старых версий файла
+            const roadmap = importRoadmap(await parseRoadmapFile(file))
 
-                // Валидация структуры
-                if (!parsed.title || !Array.isArray(parsed.items)) {
-                    throw new Error('Неверный формат файла. Ожидается JSON с полями title и items')
-                }
+            const id = addRoadmap(roadmap, { toast: t('app.roadmapLoaded', { title: getLocalized(roadmap, 'title') }) })
+            setError('')
+            navigate(`/roadmap/${id}`)
+        } catch (err) {
+            setError(t('app.uploadError', { message: err.message }))
+            console.error('Ошибка импорта дорожной карты:', err)
+        }
+    }
 
-                // Инициализация статусов если их нет
-                const itemsWithStatus = parsed.items.map(item => ({
-                    ...item,
-                    status: item.status || 'not-started',
-                    userNotes: item.userNotes || '',
-                    dueDate: item.dueDate || null
-                }))
+    // Пустая карта сразу открывается в редакторе
+    const createRoadmap = () => {
+        const id = addRoadmap(createEmptyRoadmap())
+        setError('')
+        navigate(`/roadmap/${id}/edit`)
+    }
 
-                setRoadmap({ ...parsed, items: itemsWithStatus })
-                setError('')
-                alert('Дорожная карта успешно загружена!')
-            } catch (err) {
-                setError(`Ошибка загрузки: ${err.message}`)
-                console.error('Ошибка парсинга JSON:', err)
-            }
+    // Новая версия файла для существующей карты: сначала показываем изменения
+    const handleUpdateUpload = async (roadmapId, event) => {
+        const file = event.target.files[0]
+        if (!file) return
+        event.target.value = ''
+
+        try {
+            const incoming = importRoadmap(await parseRoadmapFile(file))
+            const current = roadmaps.find(roadmap => roadmap.id === roadmapId)
+
+            setPendingMerge({ roadmapId, incoming, diff: diffRoadmaps(current, incoming) })
+            setError('')
+        } catch (err) {
+            setError(t('app.updateError', { message: err.message }))
+            console.error('Ошибка импорта дорожной карты:', err)
         }
+    }
 
-        reader.onerror = () => {
-            setError('Ошибка чтения файла')
+    const applyMerge = (resolutions) => {
+        const { roadmapId, incoming } = pendingMerge
+        updateRoadmap(roadmapId, roadmap => mergeRoadmaps(roadmap, incoming, resolutions), {
+            label: t('app.updateRoadmapAction'),
+            toast: t('app.roadmapUpdated')
+        })
+        setPendingMerge(null)
+    }
+
+    // Ссылка копируется в буфер; если браузер не даёт доступа — показываем её для ручного копирования
+    const shareRoadmap = async (roadmap) => {
+        try {
+            const url = await createShareUrl(roadmap)
+            try {
+                await navigator.clipboard.writeText(url)
+                showToast(t('share.copied'))
+            } catch {
+                window.prompt(t('share.copyPrompt'), url)
+            }
+        } catch (err) {
+            setError(t('share.error', { message: err.message }))
+            console.error('Ошибка создания ссылки:', err)
         }
+    }
 
-        reader.readAsText(file, 'UTF-8')
+    // Снимок из чужой ссылки становится обычной картой библиотеки
+    const importSharedRoadmap = (roadmap) => {
+        const id = addRoadmap(structuredClone(roadmap), {
+            toast: t('share.imported', { title: getLocalized(roadmap, 'title') })
+        })
+        setError('')
+        navigate(`/roadmap/${id}`)
     }
 
-    const exportRoadmap = () => {
+    const exportRoadmap = (roadmap, formatId = 'json') => {
         if (!roadmap) {
-            alert('Нет данных для экспорта')
+            alert(t('app.nothingToExport'))
             return
         }
 
-        const dataStr = JSON.stringify(roadmap, null, 2)
-        const dataBlob = new Blob([dataStr], { type: 'application/json;charset=utf-8' })
+        const format = getFormat(formatId)
+        const dataStr = format.serialize(roadmap)
+        const dataBlob = new Blob([dataStr], { type: format.mimeType })
 
         const link = document.createElement('a')
         link.href = URL.createObjectURL(dataBlob)
-        link.download = `${roadmap.title.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.json`
+        link.download = `${roadmap.title.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}${format.extension}`
         link.click()
     }
 
-    const updateItem = (itemId, updates) => {
-        if (!roadmap) return
+    // Единая точка изменения карты: изменения статуса, срока и заметок попадают в журнал,
+    // а сама правка — в историю отмены
+    const updateRoadmap = (roadmapId, updater, options = {}) => {
+        commit(state => ({
+            ...state,
+            roadmaps: state.roadmaps.map(roadmap =>
+                roadmap.id === roadmapId ? withHistory(roadmap, updater(roadmap)) : roadmap
+            )
+        }), { label: t('app.changeRoadmapAction'), ...options })
+    }
 
-        setRoadmap(prev => ({
-            ...prev,
-            items: prev.items.map(item =>
+    const updateItem = (roadmapId, itemId, updates, options = {}) => {
+        updateRoadmap(roadmapId, roadmap => ({
+            ...roadmap,
+            items: roadmap.items.map(item =>
                 item.id === itemId ? { ...item, ...updates } : item
             )
-        }))
+        }), { label: t('app.changeItemAction'), ...options })
+    }
+
+    const renameRoadmap = (roadmapId, title) => {
+        updateRoadmap(roadmapId, roadmap => ({ ...roadmap, title }), { label: t('app.renameRoadmapAction') })
     }
 
-    const calculateProgress = () => {
-        if (!roadmap || !roadmap.items.length) return 0
+    const duplicateRoadmap = (roadmapId) => {
+        commit(state => {
+            const source = state.roadmaps.find(roadmap => roadmap.id === roadmapId)
+            if (!source) return state
 
-        const completedItems = roadmap.items.filter(item => item.status === 'completed').length
-        return Math.round((completedItems / roadmap.items.length) * 100)
+            const { roadmaps: nextRoadmaps } = addRoadmapToLibrary(state.roadmaps, {
+                ...structuredClone(source),
+                title: t('app.copyTitle', { title: source.title })
+            })
+            return { ...state, roadmaps: nextRoadmaps }
+        }, { label: t('app.duplicateRoadmapAction') })
+    }
+
+    const deleteRoadmap = (roadmapId) => {
+        const source = roadmaps.find(roadmap => roadmap.id === roadmapId)
+        commit(state => {
+            const nextRoadmaps = state.roadmaps.filter(roadmap => roadmap.id !== roadmapId)
+            return {
+                roadmaps: nextRoadmaps,
+                activeRoadmapId: state.activeRoadmapId === roadmapId ? nextRoadmaps[0]?.id ?? null : state.activeRoadmapId
+            }
+        }, {
+            label: t('app.deleteRoadmapAction'),
+            toast: t('app.roadmapDeleted', { title: source && getLocalized(source, 'title') })
+        })
+        // base остаётся, пока удаление можно отменить: её сбрасывают addRoadmap для новой карты
+        // с тем же id и restoreLibrary при следующей загрузке
+    }
+
+    // Команды палитры собираются при её открытии: текущие карта и тема берутся из адреса
+    const createCommands = () => {
+        const roadmapMatch = matchPath('/roadmap/:roadmapId/*', location.pathname)
+        const itemMatch = matchPath('/roadmap/:roadmapId/item/:itemId', location.pathname)
+        const roadmap = roadmaps.find(roadmap => roadmap.id === (roadmapMatch?.params.roadmapId ?? activeRoadmapId))
+        const item = itemMatch && roadmap?.items.find(item => item.id === itemMatch.params.itemId)
+        const commands = []
+
+        if (item) {
+            Object.entries(getStatuses(roadmap))
+                .filter(([key]) => key !== item.status)
+                .forEach(([key, status]) => commands.push({
+                    id: `status:${key}`,
+                    group: t('commands.groupStatus'),
+                    label: t('commands.setStatus', { status: status.label }),
+                    hint: item.title,
+                    icon: 'fas fa-flag',
+                    run: () => updateItem(roadmap.id, item.id, { status: key }, { toast: t('item.statusSet', { status: status.label }) })
+                }))
+        }
+
+        if (roadmap) {
+            commands.push({
+                id: 'roadmap:open',
+                group: t('commands.groupRoadmap'),
+                label: t('commands.openRoadmap', { title: getLocalized(roadmap, 'title') }),
+                icon: 'fas fa-map',
+                run: () => navigate(`/roadmap/${roadmap.id}`)
+            }, {
+                id: 'roadmap:board',
+                group: t('commands.groupRoadmap'),
+                label: t('home.viewBoard'),
+                icon: 'fas fa-columns',
+                run: () => navigate(`/roadmap/${roadmap.id}/board`)
+            }, {
+                id: 'roadmap:edit',
+                group: t('commands.groupRoadmap'),
+                label: t('home.editRoadmap'),
+                icon: 'fas fa-pen',
+                run: () => navigate(`/roadmap/${roadmap.id}/edit`)
+            }, ...getExportFormats().map(format => ({
+                id: `export:${format.id}`,
+                group: t('commands.groupRoadmap'),
+                label: t('commands.export', { format: format.label }),
+                hint: format.extension,
+                icon: 'fas fa-download',
+                run: () => exportRoadmap(roadmap, format.id)
+            })), {
+                id: 'roadmap:update',
+                group: t('commands.groupRoadmap'),
+                label: t('commands.update'),
+                icon: 'fas fa-sync-alt',
+                run: () => {
+                    updateTargetRef.current = roadmap.id
+                    updateInputRef.current.click()
+                }
+            })
+        }
+
+        commands.push({
+            id: 'import',
+            group: t('commands.groupLibrary'),
+            label: t('home.upload'),
+            hint: getImportAccept(),
+            icon: 'fas fa-upload',
+            run: () => importInputRef.current.click()
+        }, {
+            id: 'create',
+            group: t('commands.groupLibrary'),
+            label: t('library.create'),
+            icon: 'fas fa-plus',
+            run: createRoadmap
+        }, ...[
+            ['/roadmaps', 'header.library', 'fas fa-layer-group'],
+            ['/stats', 'header.stats', 'fas fa-chart-line'],
+            ['/review', 'header.review', 'far fa-clone'],
+            ['/sync', 'header.sync', 'fas fa-sync-alt']
+        ].map(([path, labelKey, icon]) => ({
+            id: `page:${path}`,
+            group: t('commands.groupPages'),
+            label: t(labelKey),
+            icon,
+            run: () => navigate(path)
+        })))
+
+        // Темы текущей карты идут первыми, за ними — остальные карты библиотеки
+        const ordered = roadmap ? [roadmap, ...roadmaps.filter(other => other !== roadmap)] : roadmaps
+        ordered.forEach(other => {
+            if (other !== roadmap) {
+                commands.push({
+                    id: `roadmap:${other.id}`,
+                    group: t('commands.groupLibrary'),
+                    label: t('commands.openRoadmap', { title: getLocalized(other, 'title') }),
+                    icon: 'fas fa-map',
+                    run: () => navigate(`/roadmap/${other.id}`)
+                })
+            }
+            other.items.forEach(otherItem => commands.push({
+                id: `item:${other.id}/${otherItem.id}`,
+                group: t('commands.groupItems'),
+                label: otherItem.title,
+                hint: getLocalized(other, 'title'),
+                icon: 'far fa-file-alt',
+                run: () => navigate(getItemPath(otherItem, other))
+            }))
+        })
+
+        return commands
     }
 
     if (loading) {
         return (
             <div className="loading-container">
                 <div className="loading-spinner"></div>
-                <p>Загрузка дорожной карты...</p>
+                <p>{t('app.loading')}</p>
             </div>
         )
     }
 
+    const renderHomePage = (board = false) => (
+        <HomePage
+            roadmaps={roadmaps}
+            activeRoadmapId={activeRoadmapId}
+            error={error}
+            board={board}
+            onSelectRoadmap={setActiveRoadmapId}
+            onFileUpload={handleFileUpload}
+            onUpdateUpload={handleUpdateUpload}
+            onUpdateItem={updateItem}
+            onUpdateRoadmap={updateRoadmap}
+            onExport={exportRoadmap}
+            onShare={shareRoadmap}
+            onLoadExample={loadExampleRoadmap}
+            onCreateRoadmap={createRoadmap}
+        />
+    )
+
     return (
         <div className="app">
             <Routes>
-                <Route path="/" element={
-                    <HomePage
-                        roadmap={roadmap}
-                        error={error}
-                        onFileUpload={handleFileUpload}
-                        onExport={exportRoadmap}
-                        progress={calculateProgress()}
+                <Route path="/" element={renderHomePage()} />
+                <Route path="/roadmap/:roadmapId" element={renderHomePage()} />
+                <Route path="/board" element={renderHomePage(true)} />
+                <Route path="/roadmap/:roadmapId/board" element={renderHomePage(true)} />
+                <Route path="/roadmaps" element={
+                    <LibraryPage
+                        roadmaps={roadmaps}
+                        activeRoadmapId={activeRoadmapId}
+                        onSelect={setActiveRoadmapId}
+                        onRename={renameRoadmap}
+                        onDuplicate={duplicateRoadmap}
+                        onDelete={deleteRoadmap}
+                        onCreate={createRoadmap}
                     />
                 } />
-                <Route path="/item/:itemId" element={
+                <Route path="/stats" element={
+                    <StatsPage roadmaps={roadmaps} activeRoadmapId={activeRoadmapId} />
+                } />
+                <Route path="/roadmap/:roadmapId/stats" element={
+                    <StatsPage roadmaps={roadmaps} activeRoadmapId={activeRoadmapId} />
+                } />
+                <Route path="/review" element={
+                    <ReviewPage roadmaps={roadmaps} activeRoadmapId={activeRoadmapId} onUpdateItem={updateItem} />
+                } />
+                <Route path="/roadmap/:roadmapId/review" element={
+                    <ReviewPage roadmaps={roadmaps} activeRoadmapId={activeRoadmapId} onUpdateItem={updateItem} />
+                } />
+                <Route path="/sync" element={
+                    <SyncPage
+                        roadmaps={roadmaps}
+                        onAddRoadmap={(roadmap) => addRoadmap(roadmap, {
+                            toast: t('sync.imported', { title: getLocalized(roadmap, 'title') })
+                        })}
+                        onApplyRemote={applyRemote}
+                        onSyncNow={syncNow}
+                    />
+                } />
+                <Route path="/roadmap/:roadmapId/edit" element={
+                    <EditorPage
+                        roadmaps={roadmaps}
+                        onUpdateRoadmap={updateRoadmap}
+                        onUpdateItem={updateItem}
+                    />
+                } />
+                <Route path={`${SHARE_PATH}/*`} element={
+                    <SharedPage onImport={importSharedRoadmap} />
+                } />
+                <Route path="/roadmap/:roadmapId/item/:itemId" element={
                     <ItemDetailPage
-                        roadmap={roadmap}
+                        roadmaps={roadmaps}
                         onUpdateItem={updateItem}
                     />
                 } />
+                {/* Старые ссылки без карты ведут в текущую карту */}
+                <Route path="/item/:itemId" element={
+                    <LegacyItemRedirect activeRoadmapId={activeRoadmapId} />
+                } />
             </Routes>
+
+            {pendingMerge && (
+                <MergeDialog
+                    roadmap={roadmaps.find(roadmap => roadmap.id === pendingMerge.roadmapId)}
+                    diff={pendingMerge.diff}
+                    onApply={applyMerge}
+                    onCancel={() => setPendingMerge(null)}
+                />
+            )}
+
+            <input
+                ref={importInputRef}
+                type="file"
+                accept={getImportAccept()}
+                onChange={handleFileUpload}
+                hidden
+            />
+            <input
+                ref={updateInputRef}
+                type="file"
+                accept={getImportAccept()}
+                onChange={(e) => handleUpdateUpload(updateTargetRef.current, e)}
+                hidden
+            />
+
+            {paletteOpen && <CommandPalette getCommands={createCommands} />}
+
+            {toast && (
+                <Toast
+                    key={toast.id}
+                    message={toast.message}
+                    actionLabel={toast.action === 'redo' ? t('undo.redo') : t('undo.undo')}
+                    actionIcon={toast.action === 'redo' ? 'fa-redo' : 'fa-undo'}
+                    onAction={toast.action ? (toast.action === 'redo' ? redo : undo) : undefined}
+                    onClose={closeToast}
+                />
+            )}
         </div>
     )
 }
 
-function HomePage({ roadmap, error, onFileUpload, onExport, progress }) {
+const readTextFile = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = (e) => resolve(e.target.result)
+    reader.onerror = () => reject(new Error(t('app.fileReadError')))
+    reader.readAsText(file, 'UTF-8')
+})
+
+// Формат файла определяется по расширению через реестр форматов
+const parseRoadmapFile = async (file) => {
+    const format = findFormatForFile(file.name)
+    if (!format) {
+        throw new Error(t('app.unsupportedFormat', { formats: getImportAccept() }))
+    }
+
+    return format.parse(await readTextFile(file), { fileName: file.name })
+}
+
+function LegacyItemRedirect({ activeRoadmapId }) {
+    const { itemId } = useParams()
+
+    if (!activeRoadmapId) return <Navigate to="/" replace />
+    return <Navigate to={`/roadmap/${activeRoadmapId}/item/${itemId}`} replace />
+}
+
+function HomePage({ roadmaps, activeRoadmapId, error, board, onSelectRoadmap, onFileUpload, onUpdateUpload, onUpdateItem, onUpdateRoadmap, onExport, onShare, onLoadExample, onCreateRoadmap }) {
     const navigate = useNavigate()
+    const { roadmapId } = useParams()
+    const [searchParams, setSearchParams] = useSearchParams()
+    const roadmap = roadmaps.find(roadmap => roadmap.id === (roadmapId ?? activeRoadmapId))
+    const view = board ? 'board' : searchParams.get('view') === 'graph' ? 'graph' : 'grid'
+    const filters = parseFilters(searchParams)
+    const dueCards = roadmap ? getDueCards(roadmap) : []
+    const syncConflicts = useSyncState().conflicts[roadmap?.id]?.length ?? 0
+    const [scheduling, setScheduling] = useState(false)
+
+    const setFilters = (nextFilters) => {
+        setSearchParams(prev => applyFiltersToParams(prev, nextFilters), { replace: true })
+    }
+
+    // Доска — отдельный маршрут, граф — параметр view; фильтры переносятся между видами
+    const setView = (nextView) => {
+        const next = new URLSearchParams(searchParams)
+        if (nextView === 'graph') next.set('view', 'graph')
+        else next.delete('view')
+
+        const search = next.toString()
+        navigate({
+            pathname: `/roadmap/${roadmap.id}${nextView === 'board' ? '/board' : ''}`,
+            search: search ? `?${search}` : ''
+        }, { replace: true })
+    }
+
+    // Все предложенные сроки записываются одним шагом истории отмены
+    const applySchedule = (proposals) => {
+        const dueDates = new Map(proposals.map(({ item, dueDate }) => [item.id, dueDate]))
+        onUpdateRoadmap(roadmap.id, current => ({
+            ...current,
+            items: current.items.map(item => (dueDates.has(item.id) ? { ...item, dueDate: dueDates.get(item.id) } : item))
+        }), {
+            label: t('schedule.action'),
+            toast: t('schedule.applied', { count: dueDates.size })
+        })
+        setScheduling(false)
+    }
+
+    // Открытая по ссылке карта становится текущей
+    useEffect(() => {
+        if (roadmap && roadmapId && roadmapId !== activeRoadmapId) {
+            onSelectRoadmap(roadmapId)
+        }
+    }, [roadmap, roadmapId, activeRoadmapId, onSelectRoadmap])
+
+    if (roadmapId && !roadmap) {
+        return (
+            <div className="container">
+                <div className="error-state">
+                    <h2>{t('common.roadmapNotFound')}</h2>
+                    <button onClick={() => navigate('/roadmaps')} className="primary-btn">
+                        {t('common.openLibrary')}
+                    </button>
+                </div>
+            </div>
+        )
+    }
 
     return (
         <>
-            <header className="header">
-                <div className="container">
-                    <div className="header-content">
-                        <Link to="/" className="logo">
-                            <i className="fas fa-map"></i>
-                            <span>Трекер технологий</span>
-                        </Link>
-
-                        <div className="header-actions">
-                            <label className="upload-btn">
-                                <input
-                                    type="file"
-                                    accept=".json"
-                                    onChange={onFileUpload}
-                                    style={{ display: 'none' }}
-                                />
-                                <i className="fas fa-upload"></i> Загрузить карту
-                            </label>
-
-                            {roadmap && (
-                                <button onClick={onExport} className="export-btn">
-                                    <i className="fas fa-download"></i> Экспорт
-                                </button>
-                            )}
-                        </div>
-                    </div>
-                </div>
-            </header>
+            <Header>
+                <label className="upload-btn">
+                    <input
+                        type="file"
+                        accept={getImportAccept()}
+                        onChange={onFileUpload}
+                        style={{ display: 'none' }}
+                    />
+                    <i className="fas fa-upload"></i> {t('home.upload')}
+                </label>
+
+                {roadmap && (
+                    <label className="export-btn" title={t('home.updateHint')}>
+                        <input
+                            type="file"
+                            accept={getImportAccept()}
+                            onChange={(e) => onUpdateUpload(roadmap.id, e)}
+                            style={{ display: 'none' }}
+                        />
+                        <i className="fas fa-sync-alt"></i> {t('home.update')}
+                    </label>
+                )}
+
+                {roadmap && (
+                    <ExportMenu onExport={(formatId) => onExport(roadmap, formatId)} />
+                )}
+
+                {roadmap && (
+                    <button onClick={() => onShare(roadmap)} className="export-btn" title={t('share.hint')}>
+                        <i className="fas fa-share-alt"></i> {t('share.button')}
+                    </button>
+                )}
+            </Header>
 
             <main className="main-content">
                 <div className="container">
@@ -185,99 +769,119 @@ function HomePage({ roadmap, error, onFileUpload, onExport, progress }) {
                     {roadmap ? (
                         <>
                             <div className="roadmap-header">
-                                <h1>{roadmap.title}</h1>
-                                <p className="roadmap-description">{roadmap.description}</p>
-
-                                <div className="progress-section">
-                                    <div className="progress-bar-container">
-                                        <div
-                                            className="progress-bar"
-                                            style={{ width: `${progress}%` }}
-                                        ></div>
-                                    </div>
-                                    <div className="progress-stats">
-                                        <span className="progress-percent">{progress}%</span>
-                                        <span className="progress-text">
-                                            {roadmap.items.filter(item => item.status === 'completed').length} из {roadmap.items.length} тем
-                                        </span>
-                                    </div>
+                                <div className="roadmap-title-row">
+                                    <h1>{getLocalized(roadmap, 'title')}</h1>
+                                    <button onClick={() => navigate(`/roadmap/${roadmap.id}/edit`)} className="edit-btn">
+                                        <i className="fas fa-pen"></i> {t('home.editRoadmap')}
+                                    </button>
                                 </div>
-                            </div>
+                                <p className="roadmap-description">{getLocalized(roadmap, 'description')}</p>
 
-                            <div className="status-legend">
-                                {Object.entries(STATUSES).map(([key, status]) => (
-                                    <div key={key} className="legend-item">
-                                        <span className="status-badge" style={{ backgroundColor: status.color }}>
-                                            {status.icon}
-                                        </span>
-                                        <span>{status.label}</span>
-                                    </div>
-                                ))}
+                                <ProgressSection roadmap={roadmap} />
                             </div>
 
-                            <div className="roadmap-grid">
-                                {roadmap.items.map(item => (
-                                    <div
-                                        key={item.id}
-                                        className={`roadmap-card status-${item.status}`}
-                                        onClick={() => navigate(`/item/${item.id}`)}
-                                    >
-                                        <div className="card-header">
-                                            <span className="status-indicator" style={{ backgroundColor: STATUSES[item.status].color }}>
-                                                {STATUSES[item.status].icon}
-                                            </span>
-                                            <h3>{item.title}</h3>
-                                        </div>
+                            {dueCards.length > 0 && (
+                                <Link to={`/roadmap/${roadmap.id}/review`} className="review-banner">
+                                    <i className="far fa-clone"></i>
+                                    <span>{t('review.dueBanner', { count: dueCards.length })}</span>
+                                    <i className="fas fa-arrow-right"></i>
+                                </Link>
+                            )}
 
-                                        <p className="card-description">{item.description}</p>
+                            {syncConflicts > 0 && (
+                                <Link to="/sync" className="review-banner sync-banner">
+                                    <i className="fas fa-exclamation-triangle"></i>
+                                    <span>{t('sync.conflictBanner', { count: syncConflicts })}</span>
+                                    <i className="fas fa-arrow-right"></i>
+                                </Link>
+                            )}
 
-                                        {item.dueDate && (
-                                            <div className="due-date">
-                                                <i className="far fa-calendar"></i>
-                                                <span>До: {format(parseISO(item.dueDate), 'dd.MM.yyyy', { locale: ru })}</span>
-                                            </div>
-                                        )}
+                            <DeadlinesPanel roadmap={roadmap} onSchedule={() => setScheduling(true)} />
 
-                                        {item.userNotes && (
-                                            <div className="has-notes">
-                                                <i className="far fa-sticky-note"></i>
-                                                <span>Есть заметки</span>
-                                            </div>
-                                        )}
-
-                                        <div className="card-footer">
-                                            <span className="view-details">
-                                                Подробнее <i className="fas fa-arrow-right"></i>
-                                            </span>
-                                        </div>
-                                    </div>
-                                ))}
+                            <div className="view-switcher" role="tablist" aria-label={t('home.views')}>
+                                <button
+                                    role="tab"
+                                    aria-selected={view === 'grid'}
+                                    className={`view-option ${view === 'grid' ? 'active' : ''}`}
+                                    onClick={() => setView('grid')}
+                                >
+                                    <i className="fas fa-th-large"></i> {t('home.viewGrid')}
+                                </button>
+                                <button
+                                    role="tab"
+                                    aria-selected={view === 'board'}
+                                    className={`view-option ${view === 'board' ? 'active' : ''}`}
+                                    onClick={() => setView('board')}
+                                >
+                                    <i className="fas fa-columns"></i> {t('home.viewBoard')}
+                                </button>
+                                <button
+                                    role="tab"
+                                    aria-selected={view === 'graph'}
+                                    className={`view-option ${view === 'graph' ? 'active' : ''}`}
+                                    onClick={() => setView('graph')}
+                                >
+                                    <i className="fas fa-project-diagram"></i> {t('home.viewGraph')}
+                                </button>
                             </div>
+
+                            <StatusLegend roadmap={roadmap} />
+
+                            {view === 'graph' ? (
+                                <DependencyGraph roadmap={roadmap} />
+                            ) : (
+                                <>
+                                    <FilterToolbar
+                                        filters={filters}
+                                        statuses={getStatuses(roadmap)}
+                                        onChange={setFilters}
+                                        shownCount={filterItems(roadmap.items, filters, getStatuses(roadmap)).length}
+                                        totalCount={roadmap.items.length}
+                                    />
+                                    {view === 'board' ? (
+                                        <KanbanBoard roadmap={roadmap} filters={filters} onUpdateItem={onUpdateItem} />
+                                    ) : (
+                                        <RoadmapGrid roadmap={roadmap} filters={filters} />
+                                    )}
+                                </>
+                            )}
                         </>
                     ) : (
                         <div className="empty-state">
                             <i className="fas fa-road"></i>
-                            <h2>Добро пожаловать в Трекер технологий!</h2>
-                            <p>Загрузите дорожную карту в формате JSON или начните с примера</p>
+                            <h2>{t('home.welcome')}</h2>
+                            <p>{t('home.welcomeHint')}</p>
 
                             <div className="empty-state-actions">
                                 <label className="primary-btn">
                                     <input
                                         type="file"
-                                        accept=".json"
+                                        accept={getImportAccept()}
                                         onChange={onFileUpload}
                                         style={{ display: 'none' }}
                                     />
-                                    <i className="fas fa-upload"></i> Загрузить карту
+                                    <i className="fas fa-upload"></i> {t('home.upload')}
                                 </label>
 
-                                <p className="mt-2 text-center">Или используйте пример дорожной карты React</p>
+                                <p className="mt-2 text-center">{t('home.exampleHint')}</p>
+
+                                <button onClick={onLoadExample} className="secondary-btn">
+                                    <i className="fas fa-magic"></i> {t('home.openExample')}
+                                </button>
+
+                                <button onClick={onCreateRoadmap} className="secondary-btn">
+                                    <i className="fas fa-plus"></i> {t('home.createEmpty')}
+                                </button>
                             </div>
                         </div>
                     )}
                 </div>
             </main>
 
+            {scheduling && roadmap && (
+                <ScheduleDialog roadmap={roadmap} onApply={applySchedule} onCancel={() => setScheduling(false)} />
+            )}
+
             <footer className="footer">
                 <div className="container">
                     <p>© 2025.</p>
@@ -287,17 +891,343 @@ function HomePage({ roadmap, error, onFileUpload, onExport, progress }) {
     )
 }
 
-function ItemDetailPage({ roadmap, onUpdateItem }) {
+// Снимок карты по ссылке: сетка и страницы тем без редактирования
+function SharedPage({ onImport }) {
+    const location = useLocation()
+    const [decoded, setDecoded] = useState({ hash: null })
+
+    // Фрагмент разбирается заново, если в ту же вкладку вставили другую ссылку
+    useEffect(() => {
+        let cancelled = false
+        const hash = location.hash
+        decodeSnapshot(hash)
+            .then(snapshot => !cancelled && setDecoded({ hash, snapshot }))
+            .catch(err => !cancelled && setDecoded({ hash, error: err.message }))
+        return () => {
+            cancelled = true
+        }
+    }, [location.hash])
+
+    if (decoded.hash !== location.hash) {
+        return (
+            <div className="loading-container">
+                <div className="loading-spinner"></div>
+                <p>{t('share.loading')}</p>
+            </div>
+        )
+    }
+
+    if (decoded.error) {
+        return (
+            <div className="container">
+                <div className="error-state">
+                    <h2>{t('share.errorTitle')}</h2>
+                    <p>{decoded.error}</p>
+                    <Link to="/" className="primary-btn">{t('item.backHome')}</Link>
+                </div>
+            </div>
+        )
+    }
+
+    const { roadmap, sharedAt } = decoded.snapshot
+    // Хеш со снимком переносится во все ссылки внутри просмотра
+    const sharedPath = (path = '') => ({ pathname: `${SHARE_PATH}${path}`, hash: location.hash })
+
+    return (
+        <Routes>
+            <Route index element={
+                <>
+                    <Header />
+
+                    <main className="main-content">
+                        <div className="container">
+                            <div className="shared-banner">
+                                <span>
+                                    <i className="fas fa-eye"></i>{' '}
+                                    {sharedAt ? t('share.banner', { date: formatDate(sharedAt, 'dateTime') }) : t('share.bannerNoDate')}
+                                </span>
+                                <button onClick={() => onImport(roadmap)} className="primary-btn">
+                                    <i className="fas fa-file-import"></i> {t('share.import')}
+                                </button>
+                            </div>
+
+                            <div className="roadmap-header">
+                                <h1>{getLocalized(roadmap, 'title')}</h1>
+                                <p className="roadmap-description">{getLocalized(roadmap, 'description')}</p>
+                                <ProgressSection roadmap={roadmap} />
+                            </div>
+
+                            <StatusLegend roadmap={roadmap} />
+                            <RoadmapGrid
+                                roadmap={roadmap}
+                                filters={parseFilters(new URLSearchParams())}
+                                itemLink={(item) => sharedPath(`/item/${item.id}`)}
+                            />
+                        </div>
+                    </main>
+                </>
+            } />
+            <Route path="item/:itemId" element={
+                <SharedItemPage roadmap={roadmap} sharedPath={sharedPath} />
+            } />
+        </Routes>
+    )
+}
+
+function SharedItemPage({ roadmap, sharedPath }) {
     const { itemId } = useParams()
+    const item = roadmap.items.find(item => item.id === itemId)
+
+    if (!item) {
+        return (
+            <div className="container">
+                <div className="error-state">
+                    <h2>{t('item.notFound')}</h2>
+                    <Link to={sharedPath()} className="primary-btn">{t('item.backToRoadmapButton')}</Link>
+                </div>
+            </div>
+        )
+    }
+
+    return (
+        <ItemDetail
+            key={item.id}
+            roadmap={roadmap}
+            item={item}
+            readOnly
+            backTo={sharedPath()}
+            itemLink={(other) => sharedPath(`/item/${other.id}`)}
+        />
+    )
+}
+
+function StatusLegend({ roadmap }) {
+    return (
+        <div className="status-legend">
+            {Object.entries(getStatuses(roadmap)).map(([key, status]) => (
+                <div key={key} className="legend-item">
+                    <span className="status-badge" style={{ backgroundColor: status.color }}>
+                        {status.icon}
+                    </span>
+                    <span>{status.label}</span>
+                </div>
+            ))}
+        </div>
+    )
+}
+
+function ProgressSection({ roadmap }) {
+    const progress = calculateProgress(roadmap)
+    const timeProgress = getTimeProgress(roadmap)
+    const timeTotals = getTimeTotals(roadmap)
+    const statuses = getStatuses(roadmap)
+    const sectionGroups = groupBySection(roadmap).filter(group => group.section)
+
+    return (
+        <div className="progress-section">
+            <div className="progress-bar-container">
+                <div
+                    className="progress-bar"
+                    style={{ width: `${progress}%` }}
+                ></div>
+            </div>
+            <div className="progress-stats">
+                <span className="progress-percent">{progress}%</span>
+                <span className="progress-text">
+                    {t('common.completedOf', { completed: countCompleted(roadmap), count: roadmap.items.length })}
+                </span>
+            </div>
+
+            {(timeTotals.estimated > 0 || timeTotals.actual > 0) && (
+                <div className="progress-time">
+                    <i className="far fa-clock"></i>
+                    {timeProgress !== null && (
+                        <span title={t('time.progressHint', { count: timeTotals.estimatedCount, total: roadmap.items.length })}>
+                            {t('time.progress', { percent: timeProgress })}
+                        </span>
+                    )}
+                    <span>
+                        {timeTotals.estimated > 0
+                            ? t('time.spentOf', { duration: formatHours(timeTotals.actual), estimate: formatHours(timeTotals.estimated) })
+                            : t('time.spent', { duration: formatHours(timeTotals.actual) })}
+                    </span>
+                </div>
+            )}
+
+            {sectionGroups.length > 0 && (
+                <div className="section-progress-list">
+                    {sectionGroups.map(({ section, items }) => {
+                        const sectionProgress = getSectionProgress(items, statuses)
+
+                        return (
+                            <div key={section.id} className="section-progress">
+                                <span className="section-progress-title">{section.title}</span>
+                                <div className="progress-bar-container">
+                                    <div className="progress-bar" style={{ width: `${sectionProgress}%` }}></div>
+                                </div>
+                                <span className="section-progress-percent">{sectionProgress}%</span>
+                            </div>
+                        )
+                    })}
+                </div>
+            )}
+        </div>
+    )
+}
+
+function RoadmapGrid({ roadmap, filters, itemLink }) {
+    const filtering = hasActiveFilters(filters)
+    const statuses = getStatuses(roadmap)
+    const groups = groupBySection(roadmap)
+        .map(group => ({ ...group, visibleItems: applyFilters(group.items, filters, statuses) }))
+        .filter(group => group.visibleItems.length || !filtering)
+
+    if (filtering && !groups.length) {
+        return (
+            <div className="empty-notes">
+                <i className="fas fa-search"></i>
+                <p>{t('home.noMatches')}</p>
+            </div>
+        )
+    }
+
+    // Стрелки, Home и End переводят фокус между карточками всех разделов
+    const handleKeyDown = (event) => {
+        if (hasModifier(event) || !event.target.matches('[data-grid-card]')) return
+
+        const cards = [...event.currentTarget.querySelectorAll('[data-grid-card]')]
+        const target = findArrowTarget(cards, event.target, event.key)
+        if (!target) return
+        event.preventDefault()
+        target.focus()
+    }
+
+    return (
+        <div className="roadmap-sections" onKeyDown={handleKeyDown}>
+            {groups.map(({ section, items, visibleItems }) => (
+                <section key={section?.id ?? ''} className="roadmap-section">
+                    {section && (
+                        <div className="roadmap-section-header">
+                            <h2>{section.title}</h2>
+                            <span className="roadmap-section-progress">{getSectionProgress(items, statuses)}%</span>
+                        </div>
+                    )}
+                    {section?.description && (
+                        <p className="roadmap-description">{section.description}</p>
+                    )}
+
+                    <div className="roadmap-grid" role="group" aria-label={section?.title ?? getLocalized(roadmap, 'title')}>
+                        {visibleItems.map(item => (
+                            <RoadmapCard key={item.id} roadmap={roadmap} item={item} itemLink={itemLink} />
+                        ))}
+                    </div>
+                </section>
+            ))}
+        </div>
+    )
+}
+
+function RoadmapCard({ roadmap, item, itemLink = getItemPath }) {
     const navigate = useNavigate()
+    const location = useLocation()
+    const blockers = getBlockers(roadmap, item)
+    const subtasks = getSubtasks(item)
+    const statuses = getStatuses(roadmap)
+    const status = getStatusInfo(statuses, item.status)
+    const deadline = getDeadlineState(item, statuses)
+
+    const open = () => navigate(itemLink(item, roadmap), { state: { search: location.search } })
+
+    // Карточка ведёт себя как ссылка: фокус с клавиатуры, Enter и пробел открывают тему
+    const handleKeyDown = (event) => {
+        if (event.key !== 'Enter' && event.key !== ' ') return
+        event.preventDefault()
+        open()
+    }
+
+    return (
+        <div
+            className={`roadmap-card ${blockers.length ? 'blocked' : ''} ${deadline ? `deadline-${deadline}` : ''}`}
+            style={{ '--status-color': status.color }}
+            role="link"
+            tabIndex={0}
+            aria-label={t('card.label', { title: item.title, status: status.label })}
+            data-grid-card
+            onClick={open}
+            onKeyDown={handleKeyDown}
+        >
+            <div className="card-header">
+                <span className="status-indicator" style={{ backgroundColor: status.color }}>
+                    {status.icon}
+                </span>
+                <h3>{item.title}</h3>
+            </div>
+
+            <p className="card-description">{item.description}</p>
+
+            {blockers.length > 0 && (
+                <div className="blocked-note">
+                    <i className="fas fa-lock"></i>
+                    <span>{t('card.blockedBy', { titles: blockers.map(blocker => blocker.title).join(', ') })}</span>
+                </div>
+            )}
+
+            {item.dueDate && (
+                <div className={`due-date ${deadline ?? ''}`}>
+                    <i className={deadline === 'overdue' ? 'fas fa-exclamation-circle' : 'far fa-calendar'}></i>
+                    <span>
+                        {t('card.due', { date: formatDate(item.dueDate) })}
+                        {deadline && ` · ${describeDaysLeft(getDaysLeft(item, statuses))}`}
+                    </span>
+                </div>
+            )}
+
+            {(hasEstimate(item) || getLoggedMinutes(item) > 0) && (
+                <div className="has-notes">
+                    <i className="far fa-clock"></i>
+                    <span>
+                        {hasEstimate(item)
+                            ? t('card.time', { spent: formatDuration(getLoggedMinutes(item)), estimate: formatHours(item.estimateHours) })
+                            : formatDuration(getLoggedMinutes(item))}
+                    </span>
+                </div>
+            )}
+
+            {subtasks.length > 0 && (
+                <div className="has-notes">
+                    <i className="far fa-check-square"></i>
+                    <span>{t('card.subtasks', { done: subtasks.filter(subtask => subtask.done).length, count: subtasks.length })}</span>
+                </div>
+            )}
+
+            {item.userNotes && (
+                <div className="has-notes">
+                    <i className="far fa-sticky-note"></i>
+                    <span>{t('common.hasNotes')}</span>
+                </div>
+            )}
+
+            <div className="card-footer">
+                <span className="view-details">
+                    {t('card.details')} <i className="fas fa-arrow-right"></i>
+                </span>
+            </div>
+        </div>
+    )
+}
+
+function ItemDetailPage({ roadmaps, onUpdateItem }) {
+    const { roadmapId, itemId } = useParams()
+    const navigate = useNavigate()
+    const roadmap = roadmaps.find(roadmap => roadmap.id === roadmapId)
 
     if (!roadmap) {
         return (
             <div className="container">
                 <div className="error-state">
-                    <h2>Дорожная карта не загружена</h2>
+                    <h2>{t('item.roadmapNotLoaded')}</h2>
                     <button onClick={() => navigate('/')} className="primary-btn">
-                        Вернуться на главную
+                        {t('item.backHome')}
                     </button>
                 </div>
             </div>
@@ -310,28 +1240,122 @@ function ItemDetailPage({ roadmap, onUpdateItem }) {
         return (
             <div className="container">
                 <div className="error-state">
-                    <h2>Тема не найдена</h2>
-                    <button onClick={() => navigate('/')} className="primary-btn">
-                        Вернуться на главную
+                    <h2>{t('item.notFound')}</h2>
+                    <button onClick={() => navigate(`/roadmap/${roadmap.id}`)} className="primary-btn">
+                        {t('item.backToRoadmapButton')}
                     </button>
                 </div>
             </div>
         )
     }
 
+    // key сбрасывает локальное состояние формы при переходе к другой теме
+    return (
+        <ItemDetail
+            key={`${roadmap.id}/${item.id}`}
+            roadmap={roadmap}
+            item={item}
+            onUpdateItem={(updates, options) => onUpdateItem(roadmap.id, item.id, updates, options)}
+        />
+    )
+}
+
+// readOnly — просмотр снимка по ссылке: без формы и отметок подзадач
+function ItemDetail({ roadmap, item, onUpdateItem, readOnly = false, backTo, itemLink = getItemPath }) {
+    const navigate = useNavigate()
+    const location = useLocation()
+    const blockers = getBlockers(roadmap, item)
+    const prerequisites = getDependsOn(item)
+        .map(id => roadmap.items.find(other => other.id === id))
+        .filter(Boolean)
+    const subtasks = getSubtasks(item)
+    // Редактор сохраняет ссылки по мере ввода, поэтому недописанные и javascript: сюда не попадают
+    const links = (item.links ?? []).filter(link => isValidUrl(link.url))
+    const statuses = getStatuses(roadmap)
+    const itemHistory = getItemHistory(roadmap, item.id).slice().reverse()
+
+    const toggleSubtask = (subtaskId) => {
+        onUpdateItem({
+            subtasks: subtasks.map(subtask =>
+                subtask.id === subtaskId ? { ...subtask, done: !subtask.done } : subtask
+            )
+        })
+    }
+
     const [notes, setNotes] = useState(item.userNotes || '')
-    const [status, setStatus] = useState(item.status || 'not-started')
+    const [attachments, setAttachments] = useState(item.attachments ?? {})
+    const [status, setStatus] = useState(item.status || getInitialStatus(statuses))
     const [dueDate, setDueDate] = useState(item.dueDate || '')
+    const [estimate, setEstimate] = useState(item.estimateHours ?? '')
     const [isEditing, setIsEditing] = useState(false)
+    // Пока форма закрыта, показываем данные темы: они могут измениться после отмены
+    const shownStatus = getStatusInfo(statuses, isEditing ? status : item.status)
+
+    // Соседние темы — в порядке сетки, из которой открыли тему (с её фильтрами).
+    // Если тема под фильтры уже не подходит, листаем всю карту.
+    const filteredItems = getVisibleItems(roadmap, parseFilters(new URLSearchParams(location.state?.search ?? '')))
+    const siblings = filteredItems.some(other => other.id === item.id)
+        ? filteredItems
+        : getVisibleItems(roadmap, parseFilters(new URLSearchParams()))
+    const position = siblings.findIndex(other => other.id === item.id)
+    const previousItem = siblings[position - 1]
+    const nextItem = siblings[position + 1]
+
+    // replace: кнопка «Назад» браузера возвращает к карте, а не перебирает просмотренные темы
+    const goToItem = useCallback((other) => {
+        navigate(itemLink(other, roadmap), { state: location.state, replace: true })
+    }, [navigate, itemLink, roadmap, location.state])
+
+    // J / K — следующая и предыдущая тема, цифры — статус по порядку в процессе карты
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (isEditing || hasModifier(event) || isEditableTarget(event.target)) return
+
+            // По коду клавиши, чтобы буквы работали и в русской раскладке
+            if (event.code === 'KeyJ' && nextItem) {
+                event.preventDefault()
+                goToItem(nextItem)
+                return
+            }
+            if (event.code === 'KeyK' && previousItem) {
+                event.preventDefault()
+                goToItem(previousItem)
+                return
+            }
+
+            const statusKey = /^[1-9]$/.test(event.key) && Object.keys(statuses)[Number(event.key) - 1]
+            if (readOnly || !statusKey || statusKey === item.status) return
+            event.preventDefault()
+            onUpdateItem({ status: statusKey }, { toast: t('item.statusSet', { status: statuses[statusKey].label }) })
+        }
+
+        window.addEventListener('keydown', handleKeyDown)
+        return () => window.removeEventListener('keydown', handleKeyDown)
+    }, [isEditing, readOnly, nextItem, previousItem, goToItem, statuses, item.status, onUpdateItem])
+
+    // Форма заполняется актуальными данными при каждом открытии
+    const startEditing = () => {
+        setNotes(item.userNotes || '')
+        setAttachments(item.attachments ?? {})
+        setStatus(item.status || getInitialStatus(statuses))
+        setDueDate(item.dueDate || '')
+        setEstimate(item.estimateHours ?? '')
+        setIsEditing(true)
+    }
 
     const handleSave = () => {
+        // Вложения, на которые больше нет ссылок в тексте, не храним
+        const usedAttachments = pruneAttachments(notes, attachments)
         const updates = {
             userNotes: notes,
+            attachments: Object.keys(usedAttachments).length ? usedAttachments : undefined,
             status: status,
-            dueDate: dueDate || null
+            dueDate: dueDate || null,
+            // Пустое или неположительное значение убирает оценку
+            estimateHours: Number(estimate) > 0 ? Number(estimate) : undefined
         }
 
-        onUpdateItem(itemId, updates)
+        onUpdateItem(updates)
         setIsEditing(false)
     }
 
@@ -350,12 +1374,36 @@ function ItemDetailPage({ roadmap, onUpdateItem }) {
             <header className="detail-header">
                 <div className="container">
                     <div className="d-flex align-center justify-between">
-                        <button onClick={() => navigate('/')} className="back-btn">
-                            <i className="fas fa-arrow-left"></i> Назад к карте
+                        <button onClick={() => navigate(backTo ?? `${location.state?.from ?? `/roadmap/${roadmap.id}`}${location.state?.search ?? ''}`)} className="back-btn">
+                            <i className="fas fa-arrow-left"></i> {t('item.back')}
                         </button>
 
+                        <nav className="item-nav" aria-label={t('item.navigation')}>
+                            <button
+                                onClick={() => goToItem(previousItem)}
+                                disabled={!previousItem}
+                                className="cancel-btn"
+                                title={previousItem?.title}
+                                aria-keyshortcuts="K"
+                            >
+                                <i className="fas fa-chevron-left"></i> {t('item.previous')}
+                            </button>
+                            <span className="item-nav-position">
+                                {t('item.position', { position: position + 1, count: siblings.length })}
+                            </span>
+                            <button
+                                onClick={() => goToItem(nextItem)}
+                                disabled={!nextItem}
+                                className="cancel-btn"
+                                title={nextItem?.title}
+                                aria-keyshortcuts="J"
+                            >
+                                {t('item.next')} <i className="fas fa-chevron-right"></i>
+                            </button>
+                        </nav>
+
                         <div className="progress-indicator">
-                            Прогресс: {Math.round((roadmap.items.filter(i => i.status === 'completed').length / roadmap.items.length) * 100)}%
+                            {t('item.progress', { item: toPercent(getItemProgress(item, statuses)), roadmap: calculateProgress(roadmap) })}
                         </div>
                     </div>
                 </div>
@@ -366,20 +1414,70 @@ function ItemDetailPage({ roadmap, onUpdateItem }) {
                     <div className="detail-content">
                         <div className="detail-card">
                             <div className="detail-header-section">
-                                <div className="status-badge-large" style={{ backgroundColor: STATUSES[status].color }}>
-                                    {STATUSES[status].icon}
-                                    <span>{STATUSES[status].label}</span>
+                                <div className="status-badge-large" style={{ backgroundColor: shownStatus.color }}>
+                                    {shownStatus.icon}
+                                    <span>{shownStatus.label}</span>
                                 </div>
 
                                 <h1>{item.title}</h1>
                                 <p className="item-description">{item.description}</p>
                             </div>
 
-                            {item.links && item.links.length > 0 && (
+                            {blockers.length > 0 && (
+                                <div className="blocked-alert">
+                                    <i className="fas fa-lock"></i>
+                                    <span>{t('item.blocked')}</span>
+                                </div>
+                            )}
+
+                            {subtasks.length > 0 && (
+                                <div className="links-section">
+                                    <h3><i className="far fa-check-square"></i> {t('item.subtasks')}</h3>
+                                    <div className="progress-bar-container">
+                                        <div className="progress-bar" style={{ width: `${toPercent(getItemProgress(item, statuses))}%` }}></div>
+                                    </div>
+                                    <ul className="checklist">
+                                        {subtasks.map(subtask => (
+                                            <li key={subtask.id} className={`checklist-item ${subtask.done ? 'done' : ''}`}>
+                                                <label>
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={subtask.done}
+                                                        onChange={() => toggleSubtask(subtask.id)}
+                                                        disabled={readOnly}
+                                                    />
+                                                    <span>{subtask.title}</span>
+                                                </label>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
+                            {prerequisites.length > 0 && (
                                 <div className="links-section">
-                                    <h3><i className="fas fa-link"></i> Полезные ссылки</h3>
+                                    <h3><i className="fas fa-sitemap"></i> {t('item.dependsOn')}</h3>
                                     <div className="links-grid">
-                                        {item.links.map((link, index) => (
+                                        {prerequisites.map(prerequisite => (
+                                            <Link
+                                                key={prerequisite.id}
+                                                to={itemLink(prerequisite, roadmap)}
+                                                state={location.state}
+                                                className={`link-card ${isDoneStatus(statuses, prerequisite.status) ? '' : 'pending'}`}
+                                            >
+                                                <span>{getStatusInfo(statuses, prerequisite.status).icon}</span>
+                                                <span>{prerequisite.title}</span>
+                                            </Link>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+
+                            {links.length > 0 && (
+                                <div className="links-section">
+                                    <h3><i className="fas fa-link"></i> {t('item.links')}</h3>
+                                    <div className="links-grid">
+                                        {links.map((link, index) => (
                                             <a
                                                 key={index}
                                                 href={link.url}
@@ -397,18 +1495,18 @@ function ItemDetailPage({ roadmap, onUpdateItem }) {
 
                             <div className="edit-section">
                                 <div className="section-header">
-                                    <h3><i className="far fa-edit"></i> Персонализация</h3>
-                                    {!isEditing ? (
-                                        <button onClick={() => setIsEditing(true)} className="edit-btn">
-                                            <i className="fas fa-pencil-alt"></i> Редактировать
+                                    <h3><i className="far fa-edit"></i> {t('item.personal')}</h3>
+                                    {readOnly ? null : !isEditing ? (
+                                        <button onClick={startEditing} className="edit-btn">
+                                            <i className="fas fa-pencil-alt"></i> {t('item.edit')}
                                         </button>
                                     ) : (
                                         <div className="edit-actions">
                                             <button onClick={handleSave} className="save-btn">
-                                                <i className="fas fa-save"></i> Сохранить
+                                                <i className="fas fa-save"></i> {t('common.save')}
                                             </button>
                                             <button onClick={() => setIsEditing(false)} className="cancel-btn">
-                                                Отмена
+                                                {t('common.cancel')}
                                             </button>
                                         </div>
                                     )}
@@ -417,11 +1515,12 @@ function ItemDetailPage({ roadmap, onUpdateItem }) {
                                 {isEditing ? (
                                     <div className="edit-form">
                                         <div className="form-group">
-                                            <label>Статус:</label>
-                                            <div className="status-selector">
-                                                {Object.entries(STATUSES).map(([key, statusInfo]) => (
+                                            <label>{t('item.statusLabel')}</label>
+                                            <div className="status-selector" role="group" aria-label={t('item.statusLabel')}>
+                                                {Object.entries(statuses).map(([key, statusInfo]) => (
                                                     <button
                                                         key={key}
+                                                        aria-pressed={status === key}
                                                         className={`status-option ${status === key ? 'active' : ''}`}
                                                         style={{ borderColor: statusInfo.color }}
                                                         onClick={() => setStatus(key)}
@@ -433,7 +1532,7 @@ function ItemDetailPage({ roadmap, onUpdateItem }) {
                                         </div>
 
                                         <div className="form-group">
-                                            <label>Дата завершения:</label>
+                                            <label>{t('item.dueDateLabel')}</label>
                                             <input
                                                 type="date"
                                                 value={formatDateForInput(dueDate)}
@@ -443,50 +1542,93 @@ function ItemDetailPage({ roadmap, onUpdateItem }) {
                                         </div>
 
                                         <div className="form-group">
-                                            <label>Мои заметки:</label>
-                                            <textarea
+                                            <label>{t('item.estimateLabel')}</label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="0.5"
+                                                value={estimate}
+                                                onChange={(e) => setEstimate(e.target.value)}
+                                                placeholder={t('item.estimatePlaceholder')}
+                                                className="date-input"
+                                            />
+                                        </div>
+
+                                        <div className="form-group">
+                                            <label>{t('item.notesLabel')}</label>
+                                            <NotesEditor
                                                 value={notes}
-                                                onChange={(e) => setNotes(e.target.value)}
-                                                placeholder="Добавьте свои заметки, конспекты, полезные команды..."
-                                                className="notes-textarea"
-                                                rows={6}
+                                                attachments={attachments}
+                                                onChange={(nextNotes, nextAttachments) => {
+                                                    setNotes(nextNotes)
+                                                    setAttachments(nextAttachments)
+                                                }}
                                             />
                                         </div>
                                     </div>
                                 ) : (
                                     <div className="view-section">
                                         <div className="info-row">
-                                            <span className="info-label">Статус:</span>
+                                            <span className="info-label">{t('item.statusLabel')}</span>
                                             <span className="info-value">
-                                                <span className="status-dot" style={{ backgroundColor: STATUSES[status].color }}></span>
-                                                {STATUSES[status].label}
+                                                <span className="status-dot" style={{ backgroundColor: getStatusInfo(statuses, item.status).color }}></span>
+                                                {getStatusInfo(statuses, item.status).label}
                                             </span>
+                                            {!readOnly && (
+                                                <span className="keyboard-hint">
+                                                    {t('item.statusKeysHint', { last: Math.min(Object.keys(statuses).length, 9) })}
+                                                </span>
+                                            )}
                                         </div>
 
-                                        {dueDate && (
+                                        {item.dueDate && (
                                             <div className="info-row">
-                                                <span className="info-label">Дата завершения:</span>
+                                                <span className="info-label">{t('item.dueDateLabel')}</span>
                                                 <span className="info-value">
                                                     <i className="far fa-calendar"></i>
-                                                    {format(parseISO(dueDate), 'dd MMMM yyyy', { locale: ru })}
+                                                    {formatDate(item.dueDate, 'long')}
                                                 </span>
                                             </div>
                                         )}
 
-                                        {notes ? (
+                                        {item.userNotes ? (
                                             <div className="notes-view">
-                                                <h4><i className="far fa-sticky-note"></i> Мои заметки:</h4>
-                                                <div className="notes-content">{notes}</div>
+                                                <h4><i className="far fa-sticky-note"></i> {t('item.notesLabel')}</h4>
+                                                <MarkdownView
+                                                    source={item.userNotes}
+                                                    attachments={item.attachments}
+                                                    className="notes-content"
+                                                />
                                             </div>
                                         ) : (
                                             <div className="empty-notes">
                                                 <i className="far fa-sticky-note"></i>
-                                                <p>Заметок пока нет. Нажмите "Редактировать" чтобы добавить свои заметки.</p>
+                                                <p>{readOnly ? t('share.noNotes') : t('item.noNotes')}</p>
                                             </div>
                                         )}
                                     </div>
                                 )}
                             </div>
+
+                            <TimeTracker roadmap={roadmap} item={item} onUpdateItem={onUpdateItem} readOnly={readOnly} />
+
+                            <FlashcardsEditor item={item} onUpdateItem={onUpdateItem} readOnly={readOnly} />
+
+                            {itemHistory.length > 0 && (
+                                <div className="links-section">
+                                    <h3><i className="fas fa-history"></i> {t('item.history')}</h3>
+                                    <ul className="history-list">
+                                        {itemHistory.map((entry, index) => (
+                                            <li key={index}>
+                                                <span className="history-time">
+                                                    {formatDate(entry.at, 'dateTime')}
+                                                </span>
+                                                <span>{describeHistoryEntry(entry, statuses)}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
                         </div>
                     </div>
                 </div>
@@ -495,4 +1637,21 @@ function ItemDetailPage({ roadmap, onUpdateItem }) {
     )
 }
 
+const getItemPath = (item, roadmap) => `/roadmap/${roadmap.id}/item/${item.id}`
+
+const formatHistoryDate = (value) => (value ? formatDate(value) : '—')
+
+const formatHistoryStatus = (statuses, statusId) => (statusId ? getStatusInfo(statuses, statusId).label : '—')
+
+const describeHistoryEntry = (entry, statuses) => {
+    switch (entry.field) {
+        case 'status':
+            return t('history.status', { from: formatHistoryStatus(statuses, entry.from), to: formatHistoryStatus(statuses, entry.to) })
+        case 'dueDate':
+            return t('history.dueDate', { from: formatHistoryDate(entry.from), to: formatHistoryDate(entry.to) })
+        default:
+            return t('history.notes')
+    }
+}
+
 export default App
\ No newline at end of file
@@ -0,0 +1,105 @@
+import { useState, useEffect, useRef } from 'react'
+import { filterCommands, closeCommandPalette } from './commands'
+import { t } from './i18n'
+
+// Поле поиска — combobox, список — listbox: фокус остаётся в поле,
+// а выбранная строка сообщается через aria-activedescendant.
+// Команды собираются один раз при открытии: после выполнения палитра закрывается.
+function CommandPalette({ getCommands }) {
+    const [commands] = useState(getCommands)
+    const [query, setQuery] = useState('')
+    const [activeIndex, setActiveIndex] = useState(0)
+    const listRef = useRef(null)
+    const results = filterCommands(commands, query)
+    const active = Math.min(activeIndex, results.length - 1)
+
+    // После закрытия фокус возвращается туда, где был
+    useEffect(() => {
+        const previous = document.activeElement
+        return () => previous?.focus?.()
+    }, [])
+
+    useEffect(() => {
+        listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' })
+    }, [active])
+
+    const runCommand = (command) => {
+        closeCommandPalette()
+        command.run()
+    }
+
+    const handleKeyDown = (event) => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault()
+            if (!results.length) return
+            const step = event.key === 'ArrowDown' ? 1 : -1
+            setActiveIndex((active + step + results.length) % results.length)
+        } else if (event.key === 'Enter') {
+            event.preventDefault()
+            if (results[active]) runCommand(results[active])
+        } else if (event.key === 'Escape') {
+            event.preventDefault()
+            closeCommandPalette()
+        }
+    }
+
+    return (
+        <div className="modal-backdrop command-backdrop" onClick={closeCommandPalette}>
+            <div
+                className="modal command-palette"
+                role="dialog"
+                aria-modal="true"
+                aria-label={t('commands.title')}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="search-field">
+                    <i className="fas fa-search"></i>
+                    <input
+                        value={query}
+                        onChange={(e) => {
+                            setQuery(e.target.value)
+                            setActiveIndex(0)
+                        }}
+                        onKeyDown={handleKeyDown}
+                        placeholder={t('commands.placeholder')}
+                        role="combobox"
+                        aria-expanded="true"
+                        aria-controls="command-list"
+                        aria-autocomplete="list"
+                        aria-activedescendant={results.length ? `command-option-${active}` : undefined}
+                        aria-label={t('commands.title')}
+                        autoFocus
+                    />
+                </div>
+
+                {results.length ? (
+                    <ul id="command-list" className="command-list" role="listbox" ref={listRef} aria-label={t('commands.results')}>
+                        {results.map((command, index) => (
+                            <li
+                                key={command.id}
+                                id={`command-option-${index}`}
+                                role="option"
+                                aria-selected={index === active}
+                                className={`command-option ${index === active ? 'active' : ''}`}
+                                onMouseMove={() => index !== active && setActiveIndex(index)}
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => runCommand(command)}
+                            >
+                                <i className={command.icon} aria-hidden="true"></i>
+                                <span className="command-label">{command.label}</span>
+                                {command.hint && <span className="command-hint">{command.hint}</span>}
+                                <span className="command-group">{command.group}</span>
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="merge-empty" role="status">{t('commands.nothing')}</p>
+                )}
+
+                <p className="command-footer">{t('commands.footer')}</p>
+            </div>
+        </div>
+    )
+}
+
+export default CommandPalette
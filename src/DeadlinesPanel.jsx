@@ -0,0 +1,71 @@
+import { useState } from 'react'
+import { Link, useLocation } from 'react-router-dom'
+import { getUpcomingDeadlines, describeDaysLeft, UPCOMING_DAYS } from './deadlines'
+import { getReminderPermission, requestReminderPermission } from './reminders'
+import { t, formatDate } from './i18n'
+
+const MAX_SHOWN = 5
+
+function DeadlinesPanel({ roadmap, onSchedule }) {
+    const location = useLocation()
+    const [permission, setPermission] = useState(getReminderPermission)
+    const [expanded, setExpanded] = useState(false)
+    const upcoming = getUpcomingDeadlines(roadmap)
+    const shown = expanded ? upcoming : upcoming.slice(0, MAX_SHOWN)
+
+    const enableReminders = async () => {
+        setPermission(await requestReminderPermission())
+    }
+
+    return (
+        <section className="deadlines-panel" aria-labelledby="deadlines-title">
+            <div className="deadlines-header">
+                <h3 id="deadlines-title"><i className="far fa-calendar-alt"></i> {t('deadlines.title')}</h3>
+                <div className="deadlines-actions">
+                    {permission === 'default' && (
+                        <button onClick={enableReminders} className="cancel-btn">
+                            <i className="far fa-bell"></i> {t('deadlines.enableReminders')}
+                        </button>
+                    )}
+                    {permission === 'granted' && (
+                        <span className="deadlines-hint"><i className="fas fa-bell"></i> {t('deadlines.remindersOn')}</span>
+                    )}
+                    {permission === 'denied' && (
+                        <span className="deadlines-hint"><i className="fas fa-bell-slash"></i> {t('deadlines.remindersBlocked')}</span>
+                    )}
+                    <button onClick={onSchedule} className="edit-btn">
+                        <i className="fas fa-magic"></i> {t('deadlines.schedule')}
+                    </button>
+                </div>
+            </div>
+
+            {upcoming.length === 0 ? (
+                <p className="deadlines-hint">{t('deadlines.empty', { count: UPCOMING_DAYS })}</p>
+            ) : (
+                <ul className="deadlines-list">
+                    {shown.map(({ item, daysLeft }) => (
+                        <li key={item.id} className={daysLeft < 0 ? 'overdue' : ''}>
+                            <Link
+                                to={`/roadmap/${roadmap.id}/item/${item.id}`}
+                                state={{ from: location.pathname, search: location.search }}
+                            >
+                                {item.title}
+                            </Link>
+                            <span className="deadlines-date">
+                                {formatDate(item.dueDate)} · {describeDaysLeft(daysLeft)}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {upcoming.length > MAX_SHOWN && (
+                <button onClick={() => setExpanded(!expanded)} className="filter-reset">
+                    {expanded ? t('deadlines.showLess') : t('deadlines.showAll', { count: upcoming.length })}
+                </button>
+            )}
+        </section>
+    )
+}
+
+export default DeadlinesPanel
@@ -0,0 +1,92 @@
+import { useNavigate, useLocation } from 'react-router-dom'
+import { getStatuses, getStatusInfo } from './roadmap'
+import { getDependsOn, isBlocked, layoutLayers } from './dependencies'
+import { t } from './i18n'
+
+const NODE_WIDTH = 200
+const NODE_HEIGHT = 56
+const COLUMN_GAP = 80
+const ROW_GAP = 24
+const PADDING = 20
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text)
+
+function DependencyGraph({ roadmap }) {
+    const navigate = useNavigate()
+    const location = useLocation()
+    const layers = layoutLayers(roadmap.items)
+    const statuses = getStatuses(roadmap)
+
+    const positions = new Map()
+    layers.forEach((layer, column) => {
+        layer.forEach((item, row) => {
+            positions.set(item.id, {
+                x: PADDING + column * (NODE_WIDTH + COLUMN_GAP),
+                y: PADDING + row * (NODE_HEIGHT + ROW_GAP)
+            })
+        })
+    })
+
+    const width = PADDING * 2 + layers.length * NODE_WIDTH + Math.max(layers.length - 1, 0) * COLUMN_GAP
+    const maxRows = Math.max(0, ...layers.map(layer => layer.length))
+    const height = PADDING * 2 + maxRows * NODE_HEIGHT + Math.max(maxRows - 1, 0) * ROW_GAP
+
+    const edges = roadmap.items.flatMap(item =>
+        getDependsOn(item)
+            .filter(id => positions.has(id))
+            .map(id => ({ from: positions.get(id), to: positions.get(item.id), key: `${id}->${item.id}` }))
+    )
+
+    return (
+        <div className="dependency-graph">
+            <svg width={width} height={height} role="img" aria-label={t('graph.label')}>
+                <defs>
+                    <marker id="graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto">
+                        <path d="M 0 0 L 10 5 L 0 10 z" fill="var(--text-muted)" />
+                    </marker>
+                </defs>
+
+                {edges.map(({ from, to, key }) => {
+                    const startX = from.x + NODE_WIDTH
+                    const startY = from.y + NODE_HEIGHT / 2
+                    const endX = to.x
+                    const endY = to.y + NODE_HEIGHT / 2
+                    const bend = COLUMN_GAP / 2
+
+                    return (
+                        <path
+                            key={key}
+                            className="graph-edge"
+                            d={`M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}`}
+                            markerEnd="url(#graph-arrow)"
+                        />
+                    )
+                })}
+
+                {roadmap.items.map(item => {
+                    const { x, y } = positions.get(item.id)
+                    const blocked = isBlocked(roadmap, item)
+                    const status = getStatusInfo(statuses, item.status)
+
+                    return (
+                        <g
+                            key={item.id}
+                            className={`graph-node ${blocked ? 'blocked' : ''}`}
+                            transform={`translate(${x}, ${y})`}
+                            onClick={() => navigate(`/roadmap/${roadmap.id}/item/${item.id}`, { state: { search: location.search } })}
+                        >
+                            <title>{item.title}</title>
+                            <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="10" style={{ stroke: status.color }} />
+                            <rect width="6" height={NODE_HEIGHT} rx="3" style={{ fill: status.color }} />
+                            <text x="16" y={NODE_HEIGHT / 2} dominantBaseline="middle">
+                                {blocked ? '🔒' : status.icon} {truncate(item.title, 20)}
+                            </text>
+                        </g>
+                    )
+                })}
+            </svg>
+        </div>
+    )
+}
+
+export default DependencyGraph
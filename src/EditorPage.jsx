@@ -0,0 +1,277 @@
+import { useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import Header from './Header'
+import { getSections } from './roadmap'
+import { validateRoadmap, isValidUrl } from './schema'
+import { createItem, addItem, removeItem, moveItem } from './editor'
+import { t } from './i18n'
+
+function EditorPage({ roadmaps, onUpdateRoadmap, onUpdateItem }) {
+    const { roadmapId } = useParams()
+    const roadmap = roadmaps.find(roadmap => roadmap.id === roadmapId)
+    const [dragIndex, setDragIndex] = useState(null)
+    const [dropIndex, setDropIndex] = useState(null)
+    const [expandedId, setExpandedId] = useState(null)
+
+    if (!roadmap) {
+        return (
+            <div className="container">
+                <div className="error-state">
+                    <h2>{t('common.roadmapNotFound')}</h2>
+                    <Link to="/roadmaps" className="primary-btn">{t('common.openLibrary')}</Link>
+                </div>
+            </div>
+        )
+    }
+
+    const sections = getSections(roadmap)
+    const problems = validateRoadmap(roadmap)
+
+    // Набор текста в одном поле отменяется одним шагом
+    const update = (updater, options) => onUpdateRoadmap(roadmap.id, updater, { label: t('editor.editRoadmap'), ...options })
+    const updateItem = (itemId, updates) => onUpdateItem(roadmap.id, itemId, updates, {
+        label: t('editor.editItem'),
+        mergeKey: `${roadmap.id}/${itemId}/${Object.keys(updates).join()}`
+    })
+
+    const handleAddItem = () => {
+        const item = createItem(roadmap)
+        update(current => addItem(current, item), { label: t('editor.addItemAction') })
+        setExpandedId(item.id)
+    }
+
+    const handleRemoveItem = (item) => {
+        update(current => removeItem(current, item.id), {
+            label: t('editor.removeItemAction'),
+            toast: t('editor.itemRemoved', { title: item.title })
+        })
+    }
+
+    const handleDrop = (index) => {
+        if (dragIndex !== null) {
+            update(current => moveItem(current, dragIndex, index), { label: t('editor.moveItemAction') })
+        }
+        setDragIndex(null)
+        setDropIndex(null)
+    }
+
+    const updateLink = (item, index, changes) => {
+        updateItem(item.id, {
+            links: item.links.map((link, linkIndex) => (linkIndex === index ? { ...link, ...changes } : link))
+        })
+    }
+
+    return (
+        <>
+            <Header />
+
+            <main className="main-content">
+                <div className="container">
+                    <div className="editor-toolbar">
+                        <Link to={`/roadmap/${roadmap.id}`} className="back-btn">
+                            <i className="fas fa-arrow-left"></i> {t('editor.backToRoadmap')}
+                        </Link>
+                        <span className="editor-saved">
+                            <i className="fas fa-check"></i> {t('editor.autosave')}
+                        </span>
+                    </div>
+
+                    <div className="editor-card">
+                        <div className="form-group">
+                            <label htmlFor="roadmap-title">{t('editor.roadmapTitle')}</label>
+                            <input
+                                id="roadmap-title"
+                                value={roadmap.title}
+                                onChange={(e) => update(current => ({ ...current, title: e.target.value }), { mergeKey: `${roadmap.id}/title` })}
+                                className="date-input"
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="roadmap-description">{t('common.descriptionLabel')}</label>
+                            <textarea
+                                id="roadmap-description"
+                                value={roadmap.description ?? ''}
+                                onChange={(e) => update(current => ({ ...current, description: e.target.value }), { mergeKey: `${roadmap.id}/description` })}
+                                className="notes-textarea"
+                                rows={3}
+                            />
+                        </div>
+                    </div>
+
+                    {problems.length > 0 && (
+                        <div className="error-alert">
+                            <i className="fas fa-exclamation-triangle"></i>
+                            <span>
+                                {t('editor.problems')}{'\n'}
+                                {problems.map(problem => `${problem.path}: ${problem.message}`).join('\n')}
+                            </span>
+                        </div>
+                    )}
+
+                    <div className="section-header">
+                        <h3><i className="fas fa-list"></i> {t('editor.items', { count: roadmap.items.length })}</h3>
+                        <button onClick={handleAddItem} className="edit-btn">
+                            <i className="fas fa-plus"></i> {t('editor.addItem')}
+                        </button>
+                    </div>
+
+                    {roadmap.items.length === 0 && (
+                        <div className="empty-notes">
+                            <i className="fas fa-stream"></i>
+                            <p>{t('editor.empty')}</p>
+                        </div>
+                    )}
+
+                    <ol className="editor-list">
+                        {roadmap.items.map((item, index) => {
+                            const expanded = expandedId === item.id
+                            const links = item.links ?? []
+
+                            return (
+                                <li
+                                    key={item.id}
+                                    className={`editor-item ${dragIndex === index ? 'dragging' : ''} ${dropIndex === index && dragIndex !== index ? 'drop-target' : ''}`}
+                                    onDragOver={(e) => {
+                                        e.preventDefault()
+                                        setDropIndex(index)
+                                    }}
+                                    onDrop={(e) => {
+                                        e.preventDefault()
+                                        handleDrop(index)
+                                    }}
+                                >
+                                    <div className="editor-item-row">
+                                        <span
+                                            className="drag-handle"
+                                            draggable
+                                            onDragStart={(e) => {
+                                                e.dataTransfer.effectAllowed = 'move'
+                                                e.dataTransfer.setData('text/plain', item.id)
+                                                setDragIndex(index)
+                                            }}
+                                            onDragEnd={() => {
+                                                setDragIndex(null)
+                                                setDropIndex(null)
+                                            }}
+                                            title={t('editor.dragHint')}
+                                        >
+                                            <i className="fas fa-grip-vertical"></i>
+                                        </span>
+
+                                        <input
+                                            value={item.title}
+                                            onChange={(e) => updateItem(item.id, { title: e.target.value })}
+                                            className="date-input"
+                                            aria-label={t('editor.itemTitle')}
+                                        />
+
+                                        <div className="editor-item-actions">
+                                            <button
+                                                onClick={() => update(current => moveItem(current, index, index - 1), { label: t('editor.moveItemAction') })}
+                                                className="cancel-btn"
+                                                disabled={index === 0}
+                                                aria-label={t('editor.moveUp')}
+                                            >
+                                                <i className="fas fa-arrow-up"></i>
+                                            </button>
+                                            <button
+                                                onClick={() => update(current => moveItem(current, index, index + 1), { label: t('editor.moveItemAction') })}
+                                                className="cancel-btn"
+                                                disabled={index === roadmap.items.length - 1}
+                                                aria-label={t('editor.moveDown')}
+                                            >
+                                                <i className="fas fa-arrow-down"></i>
+                                            </button>
+                                            <button
+                                                onClick={() => setExpandedId(expanded ? null : item.id)}
+                                                className="cancel-btn"
+                                                aria-expanded={expanded}
+                                                aria-label={t('editor.details')}
+                                            >
+                                                <i className={`fas fa-chevron-${expanded ? 'up' : 'down'}`}></i>
+                                            </button>
+                                            <button
+                                                onClick={() => handleRemoveItem(item)}
+                                                className="cancel-btn danger"
+                                                aria-label={t('editor.removeItem')}
+                                            >
+                                                <i className="far fa-trash-alt"></i>
+                                            </button>
+                                        </div>
+                                    </div>
+
+                                    {expanded && (
+                                        <div className="editor-item-details">
+                                            <div className="form-group">
+                                                <label>{t('common.descriptionLabel')}</label>
+                                                <textarea
+                                                    value={item.description ?? ''}
+                                                    onChange={(e) => updateItem(item.id, { description: e.target.value })}
+                                                    className="notes-textarea"
+                                                    rows={3}
+                                                />
+                                            </div>
+
+                                            {sections.length > 0 && (
+                                                <div className="form-group">
+                                                    <label>{t('editor.section')}</label>
+                                                    <select
+                                                        value={item.sectionId ?? ''}
+                                                        onChange={(e) => updateItem(item.id, { sectionId: e.target.value || undefined })}
+                                                        className="date-input"
+                                                    >
+                                                        <option value="">{t('editor.noSection')}</option>
+                                                        {sections.map(section => (
+                                                            <option key={section.id} value={section.id}>{section.title}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                            )}
+
+                                            <div className="form-group">
+                                                <label>{t('editor.links')}</label>
+                                                {links.map((link, linkIndex) => (
+                                                    <div key={linkIndex} className="link-editor-row">
+                                                        <input
+                                                            value={link.title}
+                                                            onChange={(e) => updateLink(item, linkIndex, { title: e.target.value })}
+                                                            placeholder={t('editor.linkTitle')}
+                                                            className="date-input"
+                                                        />
+                                                        <input
+                                                            type="url"
+                                                            value={link.url}
+                                                            onChange={(e) => updateLink(item, linkIndex, { url: e.target.value })}
+                                                            placeholder="https://..."
+                                                            aria-invalid={Boolean(link.url) && !isValidUrl(link.url)}
+                                                            className="date-input"
+                                                        />
+                                                        <button
+                                                            onClick={() => updateItem(item.id, { links: links.filter((_, other) => other !== linkIndex) })}
+                                                            className="cancel-btn danger"
+                                                            aria-label={t('editor.removeLink')}
+                                                        >
+                                                            <i className="fas fa-times"></i>
+                                                        </button>
+                                                    </div>
+                                                ))}
+                                                <button
+                                                    onClick={() => updateItem(item.id, { links: [...links, { title: '', url: '' }] })}
+                                                    className="cancel-btn"
+                                                >
+                                                    <i className="fas fa-plus"></i> {t('editor.addLink')}
+                                                </button>
+                                            </div>
+                                        </div>
+                                    )}
+                                </li>
+                            )
+                        })}
+                    </ol>
+                </div>
+            </main>
+        </>
+    )
+}
+
+export default EditorPage
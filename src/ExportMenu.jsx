@@ -0,0 +1,42 @@
+import { useState } from 'react'
+import { getExportFormats } from './formats'
+import { t } from './i18n'
+
+function ExportMenu({ onExport }) {
+    const [open, setOpen] = useState(false)
+
+    const handleSelect = (formatId) => {
+        setOpen(false)
+        onExport(formatId)
+    }
+
+    return (
+        <div className="dropdown" onBlur={(e) => !e.currentTarget.contains(e.relatedTarget) && setOpen(false)}>
+            <button
+                onClick={() => setOpen(!open)}
+                className="export-btn"
+                aria-haspopup="menu"
+                aria-expanded={open}
+            >
+                <i className="fas fa-download"></i> {t('export.button')} <i className="fas fa-caret-down"></i>
+            </button>
+
+            {open && (
+                <div className="dropdown-menu" role="menu">
+                    {getExportFormats().map(format => (
+                        <button
+                            key={format.id}
+                            role="menuitem"
+                            className="dropdown-item"
+                            onClick={() => handleSelect(format.id)}
+                        >
+                            {format.label} <span className="dropdown-hint">{format.extension}</span>
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default ExportMenu
@@ -0,0 +1,106 @@
+import { SORT_OPTIONS, hasActiveFilters } from './filters'
+import { t } from './i18n'
+
+function FilterToolbar({ filters, statuses, onChange, shownCount, totalCount }) {
+    const update = (changes) => onChange({ ...filters, ...changes })
+
+    const toggleStatus = (status) => {
+        update({
+            statuses: filters.statuses.includes(status)
+                ? filters.statuses.filter(other => other !== status)
+                : [...filters.statuses, status]
+        })
+    }
+
+    const reset = () => {
+        onChange({ ...filters, query: '', statuses: [], overdue: false, hasNotes: false, dueFrom: '', dueTo: '' })
+    }
+
+    return (
+        <div className="filter-toolbar" role="search">
+            <div className="filter-row">
+                <div className="search-field">
+                    <i className="fas fa-search"></i>
+                    <input
+                        type="search"
+                        value={filters.query}
+                        onChange={(e) => update({ query: e.target.value })}
+                        placeholder={t('filters.searchPlaceholder')}
+                        aria-label={t('filters.search')}
+                    />
+                </div>
+
+                <label className="filter-select">
+                    <span>{t('filters.sort')}</span>
+                    <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })}>
+                        {SORT_OPTIONS.map(key => (
+                            <option key={key} value={key}>{t(`sort.${key}`)}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <div className="filter-row">
+                <div className="filter-chips" role="group" aria-label={t('filters.status')}>
+                    {Object.entries(statuses).map(([key, status]) => (
+                        <button
+                            key={key}
+                            className={`filter-chip ${filters.statuses.includes(key) ? 'active' : ''}`}
+                            style={{ borderColor: status.color }}
+                            aria-pressed={filters.statuses.includes(key)}
+                            onClick={() => toggleStatus(key)}
+                        >
+                            {status.icon} {status.label}
+                        </button>
+                    ))}
+                </div>
+
+                <label className="filter-check">
+                    <input
+                        type="checkbox"
+                        checked={filters.overdue}
+                        onChange={(e) => update({ overdue: e.target.checked })}
+                    />
+                    {t('filters.overdue')}
+                </label>
+
+                <label className="filter-check">
+                    <input
+                        type="checkbox"
+                        checked={filters.hasNotes}
+                        onChange={(e) => update({ hasNotes: e.target.checked })}
+                    />
+                    {t('filters.hasNotes')}
+                </label>
+
+                <div className="filter-dates">
+                    <span>{t('filters.due')}</span>
+                    <input
+                        type="date"
+                        value={filters.dueFrom}
+                        onChange={(e) => update({ dueFrom: e.target.value })}
+                        aria-label={t('filters.dueFrom')}
+                    />
+                    <span>—</span>
+                    <input
+                        type="date"
+                        value={filters.dueTo}
+                        onChange={(e) => update({ dueTo: e.target.value })}
+                        aria-label={t('filters.dueTo')}
+                    />
+                </div>
+            </div>
+
+            <div className="filter-summary">
+                <span>{t('filters.shown', { shown: shownCount, count: totalCount })}</span>
+                {hasActiveFilters(filters) && (
+                    <button onClick={reset} className="filter-reset">
+                        <i className="fas fa-times"></i> {t('filters.reset')}
+                    </button>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default FilterToolbar
@@ -0,0 +1,135 @@
+import { useState } from 'react'
+import { getCards, createCardId } from './review'
+import { t, formatDate } from './i18n'
+
+const EMPTY_DRAFT = { question: '', answer: '' }
+
+// Карточки для повторения на странице темы. editingId — id редактируемой
+// карточки или 'new' для новой; правки сохраняются сразу в item.cards.
+function FlashcardsEditor({ item, onUpdateItem, readOnly = false }) {
+    const cards = getCards(item)
+    const [editingId, setEditingId] = useState(null)
+    const [draft, setDraft] = useState(EMPTY_DRAFT)
+    const [revealed, setRevealed] = useState(() => new Set())
+    const canSave = draft.question.trim() && draft.answer.trim()
+
+    const startEditing = (card) => {
+        setEditingId(card?.id ?? 'new')
+        setDraft(card ? { question: card.question, answer: card.answer } : EMPTY_DRAFT)
+    }
+
+    const saveDraft = () => {
+        const fields = { question: draft.question.trim(), answer: draft.answer.trim() }
+        const nextCards = editingId === 'new'
+            ? [...cards, { id: createCardId(cards), ...fields }]
+            : cards.map(card => (card.id === editingId ? { ...card, ...fields } : card))
+
+        onUpdateItem({ cards: nextCards }, { label: editingId === 'new' ? t('cards.addAction') : t('cards.editAction') })
+        setEditingId(null)
+    }
+
+    const removeCard = (cardId) => {
+        const nextCards = cards.filter(card => card.id !== cardId)
+        onUpdateItem({ cards: nextCards.length ? nextCards : undefined }, { label: t('cards.removeAction'), toast: t('cards.removed') })
+    }
+
+    const toggleAnswer = (cardId) => {
+        const next = new Set(revealed)
+        if (next.has(cardId)) next.delete(cardId)
+        else next.add(cardId)
+        setRevealed(next)
+    }
+
+    if (readOnly && !cards.length) return null
+
+    const form = (
+        <div className="edit-form flashcard-form">
+            <div className="form-group">
+                <label htmlFor="flashcard-question">{t('cards.question')}</label>
+                <textarea
+                    id="flashcard-question"
+                    value={draft.question}
+                    onChange={(e) => setDraft({ ...draft, question: e.target.value })}
+                    className="notes-textarea"
+                    rows={2}
+                    autoFocus
+                />
+            </div>
+            <div className="form-group">
+                <label htmlFor="flashcard-answer">{t('cards.answer')}</label>
+                <textarea
+                    id="flashcard-answer"
+                    value={draft.answer}
+                    onChange={(e) => setDraft({ ...draft, answer: e.target.value })}
+                    className="notes-textarea"
+                    rows={3}
+                />
+            </div>
+            <div className="edit-actions">
+                <button onClick={saveDraft} className="save-btn" disabled={!canSave}>
+                    <i className="fas fa-save"></i> {t('common.save')}
+                </button>
+                <button onClick={() => setEditingId(null)} className="cancel-btn">
+                    {t('common.cancel')}
+                </button>
+            </div>
+        </div>
+    )
+
+    return (
+        <div className="links-section flashcards">
+            <div className="section-header">
+                <h3><i className="far fa-clone"></i> {t('cards.title')}</h3>
+                {!readOnly && editingId === null && (
+                    <button onClick={() => startEditing(null)} className="edit-btn">
+                        <i className="fas fa-plus"></i> {t('cards.add')}
+                    </button>
+                )}
+            </div>
+
+            {!cards.length && editingId === null && (
+                <p className="deadlines-hint">{t('cards.empty')}</p>
+            )}
+
+            <ul className="flashcard-list">
+                {cards.map(card => (
+                    editingId === card.id ? (
+                        <li key={card.id}>{form}</li>
+                    ) : (
+                        <li key={card.id} className="flashcard">
+                            <button
+                                onClick={() => toggleAnswer(card.id)}
+                                className="flashcard-question"
+                                aria-expanded={revealed.has(card.id)}
+                            >
+                                {card.question}
+                            </button>
+                            {revealed.has(card.id) && <p className="flashcard-answer">{card.answer}</p>}
+                            <div className="flashcard-meta">
+                                <span>
+                                    {card.review
+                                        ? t('cards.nextReview', { date: formatDate(card.review.dueDate) })
+                                        : t('cards.notReviewed')}
+                                </span>
+                                {!readOnly && editingId === null && (
+                                    <span className="flashcard-actions">
+                                        <button onClick={() => startEditing(card)} className="cancel-btn" aria-label={t('cards.edit')} title={t('cards.edit')}>
+                                            <i className="fas fa-pencil-alt"></i>
+                                        </button>
+                                        <button onClick={() => removeCard(card.id)} className="cancel-btn danger" aria-label={t('cards.remove')} title={t('cards.remove')}>
+                                            <i className="far fa-trash-alt"></i>
+                                        </button>
+                                    </span>
+                                )}
+                            </div>
+                        </li>
+                    )
+                ))}
+            </ul>
+
+            {editingId === 'new' && form}
+        </div>
+    )
+}
+
+export default FlashcardsEditor
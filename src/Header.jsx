@@ -0,0 +1,84 @@
+import { Link, NavLink } from 'react-router-dom'
+import { t, LOCALES, useLocale, setLocale } from './i18n'
+import { useOnlineStatus, useCanInstall, promptInstall } from './pwa'
+import { useSyncState, countConflicts } from './sync'
+import { openCommandPalette } from './commands'
+
+function Header({ children }) {
+    const locale = useLocale()
+    const online = useOnlineStatus()
+    const canInstall = useCanInstall()
+    const syncState = useSyncState()
+    const conflictCount = countConflicts(syncState)
+
+    return (
+        <header className="header">
+            <div className="container">
+                <div className="header-content">
+                    <div className="header-nav">
+                        <Link to="/" className="logo">
+                            <i className="fas fa-map"></i>
+                            <span>{t('header.logo')}</span>
+                        </Link>
+
+                        <nav className="nav-links">
+                            <NavLink to="/roadmaps" className="nav-link">
+                                <i className="fas fa-layer-group"></i> {t('header.library')}
+                            </NavLink>
+                            <NavLink to="/stats" className="nav-link">
+                                <i className="fas fa-chart-line"></i> {t('header.stats')}
+                            </NavLink>
+                            <NavLink to="/review" className="nav-link">
+                                <i className="far fa-clone"></i> {t('header.review')}
+                            </NavLink>
+                            <NavLink to="/sync" className="nav-link" title={t(`sync.status.${syncState.status}`)}>
+                                <i className={`fas ${syncState.status === 'error' ? 'fa-exclamation-circle' : 'fa-sync-alt'} ${syncState.status === 'syncing' ? 'fa-spin' : ''}`}></i>
+                                {' '}{t('header.sync')}
+                                {conflictCount > 0 && (
+                                    <span className="sync-conflict-count" aria-label={t('sync.conflictCount', { count: conflictCount })}>
+                                        {conflictCount}
+                                    </span>
+                                )}
+                            </NavLink>
+                        </nav>
+                    </div>
+
+                    <div className="header-actions">
+                        {!online && (
+                            <span className="offline-badge" role="status" title={t('header.offlineHint')}>
+                                <i className="fas fa-plane"></i> {t('header.offline')}
+                            </span>
+                        )}
+                        {children}
+                        <button
+                            onClick={openCommandPalette}
+                            className="cancel-btn"
+                            title={t('header.commandsHint')}
+                            aria-label={t('header.commandsHint')}
+                            aria-keyshortcuts="Control+K"
+                        >
+                            <i className="fas fa-terminal"></i> <kbd>Ctrl K</kbd>
+                        </button>
+                        {canInstall && (
+                            <button onClick={promptInstall} className="cancel-btn" title={t('header.installHint')}>
+                                <i className="fas fa-download"></i> {t('header.install')}
+                            </button>
+                        )}
+                        <select
+                            value={locale}
+                            onChange={(e) => setLocale(e.target.value)}
+                            className="language-select"
+                            aria-label={t('header.language')}
+                        >
+                            {Object.entries(LOCALES).map(([id, { label }]) => (
+                                <option key={id} value={id}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+            </div>
+        </header>
+    )
+}
+
+export default Header
@@ -0,0 +1,151 @@
+import { useState } from 'react'
+import { useNavigate, useLocation } from 'react-router-dom'
+import { getStatuses, getSubtasks } from './roadmap'
+import { getBlockers } from './dependencies'
+import { getDaysLeft, getDeadlineState, describeDaysLeft } from './deadlines'
+import { applyFilters } from './filters'
+import { t, formatDate } from './i18n'
+
+function KanbanBoard({ roadmap, filters, onUpdateItem }) {
+    const [draggedId, setDraggedId] = useState(null)
+    const [dropStatus, setDropStatus] = useState(null)
+    // Колонки — статусы карты в порядке её рабочего процесса
+    const statuses = getStatuses(roadmap)
+    const columns = Object.keys(statuses)
+    const visibleItems = applyFilters(roadmap.items, filters, statuses)
+
+    const moveItem = (itemId, status) => {
+        const item = roadmap.items.find(item => item.id === itemId)
+        if (item && item.status !== status) {
+            onUpdateItem(roadmap.id, itemId, { status })
+        }
+    }
+
+    const handleDrop = (event, status) => {
+        event.preventDefault()
+        moveItem(event.dataTransfer.getData('text/plain') || draggedId, status)
+        setDraggedId(null)
+        setDropStatus(null)
+    }
+
+    return (
+        <div className="kanban-board" style={{ '--kanban-columns': columns.length }}>
+            {columns.map(status => {
+                const columnItems = visibleItems.filter(item => item.status === status)
+
+                return (
+                    <section
+                        key={status}
+                        className={`kanban-column ${dropStatus === status ? 'drop-target' : ''}`}
+                        aria-label={statuses[status].label}
+                        onDragOver={(e) => {
+                            e.preventDefault()
+                            setDropStatus(status)
+                        }}
+                        onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setDropStatus(null)}
+                        onDrop={(e) => handleDrop(e, status)}
+                    >
+                        <div className="kanban-column-header" style={{ borderColor: statuses[status].color }}>
+                            <span>{statuses[status].icon} {statuses[status].label}</span>
+                            <span className="kanban-count">{columnItems.length}</span>
+                        </div>
+
+                        <div className="kanban-cards">
+                            {columnItems.map(item => (
+                                <KanbanCard
+                                    key={item.id}
+                                    roadmap={roadmap}
+                                    item={item}
+                                    statuses={statuses}
+                                    dragging={draggedId === item.id}
+                                    onDragStart={() => setDraggedId(item.id)}
+                                    onDragEnd={() => {
+                                        setDraggedId(null)
+                                        setDropStatus(null)
+                                    }}
+                                    onMove={(nextStatus) => moveItem(item.id, nextStatus)}
+                                />
+                            ))}
+
+                            {columnItems.length === 0 && (
+                                <p className="kanban-empty">{t('kanban.dropHere')}</p>
+                            )}
+                        </div>
+                    </section>
+                )
+            })}
+        </div>
+    )
+}
+
+function KanbanCard({ roadmap, item, statuses, dragging, onDragStart, onDragEnd, onMove }) {
+    const navigate = useNavigate()
+    const location = useLocation()
+    const blockers = getBlockers(roadmap, item)
+    const subtasks = getSubtasks(item)
+    const deadline = getDeadlineState(item, statuses)
+    const columns = Object.keys(statuses)
+    const columnIndex = columns.indexOf(item.status)
+    const previousStatus = columns[columnIndex - 1]
+    const nextStatus = columns[columnIndex + 1]
+
+    const openItem = () => {
+        navigate(`/roadmap/${roadmap.id}/item/${item.id}`, {
+            state: { from: location.pathname, search: location.search }
+        })
+    }
+
+    return (
+        <article
+            className={`kanban-card ${blockers.length ? 'blocked' : ''} ${deadline ? `deadline-${deadline}` : ''} ${dragging ? 'dragging' : ''}`}
+            draggable
+            onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move'
+                e.dataTransfer.setData('text/plain', item.id)
+                onDragStart()
+            }}
+            onDragEnd={onDragEnd}
+        >
+            <button className="kanban-card-title" onClick={openItem}>
+                {blockers.length > 0 && <i className="fas fa-lock" title={t('common.blocked')}></i>}
+                {item.title}
+            </button>
+
+            <div className="kanban-card-meta">
+                {item.dueDate && (
+                    <span title={deadline ? describeDaysLeft(getDaysLeft(item, statuses)) : undefined}>
+                        <i className="far fa-calendar"></i> {formatDate(item.dueDate)}
+                    </span>
+                )}
+                {subtasks.length > 0 && (
+                    <span>
+                        <i className="far fa-check-square"></i> {subtasks.filter(subtask => subtask.done).length}/{subtasks.length}
+                    </span>
+                )}
+                {item.userNotes && <i className="far fa-sticky-note" title={t('common.hasNotes')}></i>}
+            </div>
+
+            {/* Перемещение без мыши: кнопки доступны с клавиатуры */}
+            <div className="kanban-card-actions">
+                <button
+                    className="kanban-move-btn"
+                    onClick={() => onMove(previousStatus)}
+                    disabled={!previousStatus}
+                    aria-label={previousStatus ? t('kanban.moveTo', { status: statuses[previousStatus].label }) : undefined}
+                >
+                    <i className="fas fa-arrow-left"></i>
+                </button>
+                <button
+                    className="kanban-move-btn"
+                    onClick={() => onMove(nextStatus)}
+                    disabled={!nextStatus}
+                    aria-label={nextStatus ? t('kanban.moveTo', { status: statuses[nextStatus].label }) : undefined}
+                >
+                    <i className="fas fa-arrow-right"></i>
+                </button>
+            </div>
+        </article>
+    )
+}
+
+export default KanbanBoard
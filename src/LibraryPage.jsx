@@ -0,0 +1,127 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import Header from './Header'
+import { calculateProgress, countCompleted } from './roadmap'
+import { t, getLocalized } from './i18n'
+
+function LibraryPage({ roadmaps, activeRoadmapId, onSelect, onRename, onDuplicate, onDelete, onCreate }) {
+    const navigate = useNavigate()
+    const [editingId, setEditingId] = useState(null)
+    const [title, setTitle] = useState('')
+
+    const openRoadmap = (roadmapId) => {
+        onSelect(roadmapId)
+        navigate(`/roadmap/${roadmapId}`)
+    }
+
+    const startRename = (roadmap) => {
+        setEditingId(roadmap.id)
+        setTitle(roadmap.title)
+    }
+
+    const handleRename = (event) => {
+        event.preventDefault()
+        if (!title.trim()) return
+
+        onRename(editingId, title.trim())
+        setEditingId(null)
+    }
+
+    return (
+        <>
+            <Header />
+
+            <main className="main-content">
+                <div className="container">
+                    <div className="roadmap-header">
+                        <h1>{t('library.title')}</h1>
+                        <p className="roadmap-description">
+                            {t('library.subtitle')}
+                        </p>
+                        <button onClick={onCreate} className="primary-btn">
+                            <i className="fas fa-plus"></i> {t('library.create')}
+                        </button>
+                    </div>
+
+                    {roadmaps.length === 0 ? (
+                        <div className="empty-state">
+                            <i className="fas fa-layer-group"></i>
+                            <h2>{t('library.empty')}</h2>
+                            <p>{t('library.emptyHint')}</p>
+                        </div>
+                    ) : (
+                        <div className="library-list">
+                            {roadmaps.map(roadmap => {
+                                const progress = calculateProgress(roadmap)
+
+                                return (
+                                    <div
+                                        key={roadmap.id}
+                                        className={`library-card ${roadmap.id === activeRoadmapId ? 'active' : ''}`}
+                                    >
+                                        <div className="library-card-main">
+                                            {editingId === roadmap.id ? (
+                                                <form onSubmit={handleRename} className="rename-form">
+                                                    <input
+                                                        value={title}
+                                                        onChange={(e) => setTitle(e.target.value)}
+                                                        className="date-input"
+                                                        autoFocus
+                                                    />
+                                                    <button type="submit" className="save-btn">
+                                                        <i className="fas fa-save"></i> {t('common.save')}
+                                                    </button>
+                                                    <button type="button" onClick={() => setEditingId(null)} className="cancel-btn">
+                                                        {t('common.cancel')}
+                                                    </button>
+                                                </form>
+                                            ) : (
+                                                <h3>
+                                                    {getLocalized(roadmap, 'title')}
+                                                    {roadmap.id === activeRoadmapId && (
+                                                        <span className="active-badge">{t('library.current')}</span>
+                                                    )}
+                                                </h3>
+                                            )}
+
+                                            {roadmap.description && (
+                                                <p className="card-description">{getLocalized(roadmap, 'description')}</p>
+                                            )}
+
+                                            <div className="progress-bar-container">
+                                                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+                                            </div>
+                                            <div className="progress-text">
+                                                {progress}% · {t('common.completedOf', { completed: countCompleted(roadmap), count: roadmap.items.length })}
+                                            </div>
+                                        </div>
+
+                                        <div className="library-actions">
+                                            <button onClick={() => openRoadmap(roadmap.id)} className="edit-btn">
+                                                <i className="fas fa-folder-open"></i> {t('library.open')}
+                                            </button>
+                                            <button onClick={() => navigate(`/roadmap/${roadmap.id}/edit`)} className="cancel-btn" title={t('library.editor')}>
+                                                <i className="fas fa-pen"></i>
+                                            </button>
+                                            <button onClick={() => startRename(roadmap)} className="cancel-btn" title={t('library.rename')}>
+                                                <i className="fas fa-pencil-alt"></i>
+                                            </button>
+                                            <button onClick={() => onDuplicate(roadmap.id)} className="cancel-btn" title={t('library.duplicate')}>
+                                                <i className="far fa-copy"></i>
+                                            </button>
+                                            <button onClick={() => onDelete(roadmap.id)} className="cancel-btn danger" title={t('library.delete')}>
+                                                <i className="far fa-trash-alt"></i>
+                                            </button>
+                                        </div>
+                                    </div>
+                                )
+                            })}
+                        </div>
+                    )}
+                </div>
+            </main>
+        </>
+    )
+}
+
+export default LibraryPage
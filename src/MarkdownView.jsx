@@ -0,0 +1,12 @@
+import { useMemo } from 'react'
+import { renderMarkdown } from './notes'
+import 'highlight.js/styles/github-dark.css'
+
+// HTML очищается в renderMarkdown, поэтому его можно вставлять как есть
+function MarkdownView({ source, attachments, className = '' }) {
+    const html = useMemo(() => renderMarkdown(source, attachments), [source, attachments])
+
+    return <div className={`markdown-body ${className}`} dangerouslySetInnerHTML={{ __html: html }} />
+}
+
+export default MarkdownView
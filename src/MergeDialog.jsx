@@ -0,0 +1,136 @@
+import { useState } from 'react'
+import { getStatuses, getStatusInfo } from './roadmap'
+import { defaultResolutions, isEmptyDiff } from './merge'
+import { getLoggedMinutes, formatDuration, formatHours } from './timeTracking'
+import { t, getLocalized } from './i18n'
+
+// Названия полей — ключи merge.field.* в каталогах переводов
+const fieldLabel = (field) => t(`merge.field.${field}`)
+
+const formatValue = (field, value, statuses) => {
+    if (field === 'status') return getStatusInfo(statuses, value).label
+    if (field === 'sessions') return formatDuration(getLoggedMinutes({ sessions: value }))
+    if (field === 'estimateHours' && typeof value === 'number') return formatHours(value)
+    if (field === 'cards' && Array.isArray(value)) return t('merge.cardsCount', { count: value.length })
+    if (field === 'attachments' && value) return t('merge.attachmentsCount', { count: Object.keys(value).length })
+    if (value === null || value === undefined || value === '') return '—'
+    return String(value)
+}
+
+function MergeDialog({ roadmap, diff, onApply, onCancel }) {
+    const [resolutions, setResolutions] = useState(() => defaultResolutions(diff))
+
+    const setResolution = (group, id, value) => {
+        setResolutions(prev => ({ ...prev, [group]: { ...prev[group], [id]: value } }))
+    }
+
+    return (
+        <div className="modal-backdrop" onClick={onCancel}>
+            <div className="modal" role="dialog" aria-modal="true" aria-labelledby="merge-title" onClick={(e) => e.stopPropagation()}>
+                <h2 id="merge-title"><i className="fas fa-code-branch"></i> {t('merge.title', { title: getLocalized(roadmap, 'title') })}</h2>
+
+                {isEmptyDiff(diff) ? (
+                    <p className="merge-empty">{t('merge.noChanges')}</p>
+                ) : (
+                    <div className="merge-sections">
+                        {diff.metaChanged.length > 0 && (
+                            <section className="merge-section">
+                                <h3>{t('merge.roadmap')}</h3>
+                                <p>{t('merge.changedFields', { fields: diff.metaChanged.map(fieldLabel).join(', ') })}</p>
+                            </section>
+                        )}
+
+                        {diff.added.length > 0 && (
+                            <section className="merge-section added">
+                                <h3><i className="fas fa-plus"></i> {t('merge.added', { count: diff.added.length })}</h3>
+                                <ul>
+                                    {diff.added.map(item => <li key={item.id}>{item.title}</li>)}
+                                </ul>
+                            </section>
+                        )}
+
+                        {diff.changed.length > 0 && (
+                            <section className="merge-section changed">
+                                <h3><i className="fas fa-pen"></i> {t('merge.changed', { count: diff.changed.length })}</h3>
+                                <ul>
+                                    {diff.changed.map(item => (
+                                        <li key={item.id}>
+                                            {item.previousTitle !== item.title ? `${item.previousTitle} → ${item.title}` : item.title}
+                                            <span className="merge-fields">
+                                                {item.fields.map(fieldLabel).join(', ')}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </section>
+                        )}
+
+                        {diff.removed.length > 0 && (
+                            <section className="merge-section removed">
+                                <h3><i className="fas fa-minus"></i> {t('merge.removed', { count: diff.removed.length })}</h3>
+                                <ul>
+                                    {diff.removed.map(item => (
+                                        <li key={item.id}>
+                                            {item.title}
+                                            {item.hasProgress && <span className="merge-fields">{t('merge.hasProgress')}</span>}
+                                            <select
+                                                value={resolutions.removed[item.id]}
+                                                onChange={(e) => setResolution('removed', item.id, e.target.value)}
+                                                className="merge-choice"
+                                            >
+                                                <option value="keep">{t('merge.keep')}</option>
+                                                <option value="remove">{t('merge.remove')}</option>
+                                            </select>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </section>
+                        )}
+
+                        {diff.conflicts.length > 0 && (
+                            <section className="merge-section conflicts">
+                                <h3><i className="fas fa-exclamation-triangle"></i> {t('merge.conflicts', { count: diff.conflicts.length })}</h3>
+                                <ul>
+                                    {diff.conflicts.map(conflict => (
+                                        <li key={conflict.id}>
+                                            <strong>{conflict.title}</strong>
+                                            <div className="merge-conflict-options">
+                                                {['local', 'incoming'].map(side => (
+                                                    <label key={side} className="merge-conflict-option">
+                                                        <input
+                                                            type="radio"
+                                                            name={`conflict-${conflict.id}`}
+                                                            checked={resolutions.conflicts[conflict.id] === side}
+                                                            onChange={() => setResolution('conflicts', conflict.id, side)}
+                                                        />
+                                                        <span>
+                                                            {side === 'local' ? t('merge.local') : t('merge.incoming')}:{' '}
+                                                            {conflict.fields
+                                                                .map(field => `${fieldLabel(field)} — ${formatValue(field, conflict[side][field], getStatuses(roadmap))}`)
+                                                                .join('; ')}
+                                                        </span>
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </section>
+                        )}
+                    </div>
+                )}
+
+                <div className="edit-actions modal-actions">
+                    <button onClick={() => onApply(resolutions)} className="save-btn" disabled={isEmptyDiff(diff)}>
+                        <i className="fas fa-check"></i> {t('merge.apply')}
+                    </button>
+                    <button onClick={onCancel} className="cancel-btn">
+                        {t('common.cancel')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default MergeDialog
@@ -0,0 +1,87 @@
+import { useEffect, useRef, useState } from 'react'
+import MarkdownView from './MarkdownView'
+import { ATTACHMENT_PREFIX, createAttachmentId, readImageFile } from './notes'
+import { t } from './i18n'
+
+const MODES = [
+    { id: 'edit', labelKey: 'notes.modeEdit', icon: 'fa-pen' },
+    { id: 'split', labelKey: 'notes.modeSplit', icon: 'fa-columns' },
+    { id: 'preview', labelKey: 'notes.modePreview', icon: 'fa-eye' }
+]
+
+function NotesEditor({ value, attachments, onChange }) {
+    const [mode, setMode] = useState('split')
+    const [error, setError] = useState('')
+    // Пока читается картинка, текст могут дописать или вставить ещё одну:
+    // ссылка вставляется в актуальные значения, а не в те, что были до чтения
+    const latest = useRef({ value, attachments })
+
+    useEffect(() => {
+        latest.current = { value, attachments }
+    }, [value, attachments])
+
+    // Картинка из буфера обмена сохраняется вложением, а в текст вставляется ссылка на неё
+    const handlePaste = async (event) => {
+        const file = [...event.clipboardData.files].find(file => file.type.startsWith('image/'))
+        if (!file) return
+        event.preventDefault()
+
+        const textarea = event.target
+        try {
+            const image = await readImageFile(file)
+            const { value: text, attachments: current } = latest.current
+            const id = createAttachmentId(current)
+            const markup = `![${image.name}](${ATTACHMENT_PREFIX}${id})`
+            // Позиция курсора — на момент вставки ссылки: до неё могли что-то напечатать
+            const { selectionStart, selectionEnd } = textarea
+
+            latest.current = {
+                value: `${text.slice(0, selectionStart)}${markup}${text.slice(selectionEnd)}`,
+                attachments: { ...current, [id]: image }
+            }
+            onChange(latest.current.value, latest.current.attachments)
+            setError('')
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    return (
+        <div className="notes-editor">
+            <div className="view-switcher notes-modes" role="tablist" aria-label={t('notes.modes')}>
+                {MODES.map(option => (
+                    <button
+                        key={option.id}
+                        type="button"
+                        role="tab"
+                        aria-selected={mode === option.id}
+                        className={`view-option ${mode === option.id ? 'active' : ''}`}
+                        onClick={() => setMode(option.id)}
+                    >
+                        <i className={`fas ${option.icon}`}></i> {t(option.labelKey)}
+                    </button>
+                ))}
+            </div>
+
+            <div className={`notes-editor-panes mode-${mode}`}>
+                {mode !== 'preview' && (
+                    <textarea
+                        value={value}
+                        onChange={(e) => onChange(e.target.value, attachments)}
+                        onPaste={handlePaste}
+                        placeholder={t('notes.placeholder')}
+                        className="notes-textarea"
+                        rows={12}
+                    />
+                )}
+                {mode !== 'edit' && (
+                    <MarkdownView source={value} attachments={attachments} className="notes-content notes-preview" />
+                )}
+            </div>
+
+            {error && <p className="notes-error"><i className="fas fa-exclamation-circle"></i> {error}</p>}
+        </div>
+    )
+}
+
+export default NotesEditor
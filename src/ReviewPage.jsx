@@ -0,0 +1,138 @@
+import { useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import Header from './Header'
+import { GRADES, getCards, getDueCards, getNextReviewDate, reviewCard, countCards } from './review'
+import { t, formatDate, getLocalized } from './i18n'
+
+function ReviewPage({ roadmaps, activeRoadmapId, onUpdateItem }) {
+    const { roadmapId } = useParams()
+    const roadmap = roadmaps.find(roadmap => roadmap.id === (roadmapId ?? activeRoadmapId))
+
+    if (!roadmap) {
+        return (
+            <>
+                <Header />
+                <div className="container">
+                    <div className="error-state">
+                        <h2>{t('common.roadmapNotFound')}</h2>
+                        <Link to="/roadmaps" className="primary-btn">{t('common.openLibrary')}</Link>
+                    </div>
+                </div>
+            </>
+        )
+    }
+
+    // key начинает новую сессию повторения при смене карты
+    return <ReviewSession key={roadmap.id} roadmap={roadmap} onUpdateItem={onUpdateItem} />
+}
+
+// Очередь собирается при открытии страницы. Забытые карточки
+// возвращаются в конец очереди и спрашиваются ещё раз в этой же сессии.
+function ReviewSession({ roadmap, onUpdateItem }) {
+    const [queue, setQueue] = useState(() => getDueCards(roadmap).map(({ item, card }) => ({ itemId: item.id, cardId: card.id })))
+    const [position, setPosition] = useState(0)
+    const [showAnswer, setShowAnswer] = useState(false)
+    const [reviewed, setReviewed] = useState(0)
+
+    // Тема или карточка могли исчезнуть, пока шла сессия — такие пропускаем
+    const remaining = queue.slice(position).map(entry => {
+        const item = roadmap.items.find(item => item.id === entry.itemId)
+        const card = item && getCards(item).find(card => card.id === entry.cardId)
+        return card ? { item, card } : null
+    })
+    const current = remaining.find(Boolean)
+
+    const grade = ({ quality }) => {
+        const { item, card } = current
+        const review = reviewCard(card.review, quality)
+
+        onUpdateItem(roadmap.id, item.id, {
+            cards: getCards(item).map(other => (other.id === card.id ? { ...other, review } : other))
+        }, { label: t('review.action') })
+
+        if (quality < 3) setQueue([...queue, { itemId: item.id, cardId: card.id }])
+        setPosition(position + remaining.indexOf(current) + 1)
+        setShowAnswer(false)
+        setReviewed(reviewed + 1)
+    }
+
+    const nextReviewDate = getNextReviewDate(roadmap)
+
+    return (
+        <>
+            <Header />
+
+            <main className="main-content">
+                <div className="container">
+                    <div className="roadmap-header">
+                        <h1>{t('review.title')}</h1>
+                        <p className="roadmap-description">
+                            <Link to={`/roadmap/${roadmap.id}`}>{getLocalized(roadmap, 'title')}</Link> ·{' '}
+                            {t('review.cardsTotal', { count: countCards(roadmap) })}
+                        </p>
+                    </div>
+
+                    {current ? (
+                        <section className="review-card">
+                            <div className="review-progress">
+                                <span>{t('review.remaining', { count: remaining.filter(Boolean).length })}</span>
+                                <Link to={`/roadmap/${roadmap.id}/item/${current.item.id}`} state={{ from: `/roadmap/${roadmap.id}/review` }}>
+                                    {current.item.title}
+                                </Link>
+                            </div>
+
+                            <p className="review-question">{current.card.question}</p>
+
+                            {showAnswer ? (
+                                <>
+                                    <p className="review-answer">{current.card.answer}</p>
+                                    <div className="review-grades">
+                                        {GRADES.map(gradeInfo => (
+                                            <button
+                                                key={gradeInfo.id}
+                                                onClick={() => grade(gradeInfo)}
+                                                className={`review-grade ${gradeInfo.id}`}
+                                            >
+                                                <span>{t(`review.grade.${gradeInfo.id}`)}</span>
+                                                <small>{t('review.interval', { count: reviewCard(current.card.review, gradeInfo.quality).interval })}</small>
+                                            </button>
+                                        ))}
+                                    </div>
+                                </>
+                            ) : (
+                                <button onClick={() => setShowAnswer(true)} className="primary-btn">
+                                    <i className="far fa-eye"></i> {t('review.showAnswer')}
+                                </button>
+                            )}
+                        </section>
+                    ) : (
+                        <div className="empty-state">
+                            <i className={reviewed ? 'fas fa-check-circle' : 'far fa-clone'}></i>
+                            {reviewed > 0 || nextReviewDate ? (
+                                <>
+                                    <h2>{t('review.doneTitle')}</h2>
+                                    <p>
+                                        {reviewed > 0 && `${t('review.reviewed', { count: reviewed })} `}
+                                        {nextReviewDate && t('review.nextDate', { date: formatDate(nextReviewDate, 'long') })}
+                                    </p>
+                                </>
+                            ) : (
+                                <>
+                                    <h2>{t('review.emptyTitle')}</h2>
+                                    <p>{t('review.emptyHint')}</p>
+                                </>
+                            )}
+                            <div className="empty-state-actions">
+                                <Link to={`/roadmap/${roadmap.id}`} className="primary-btn">
+                                    {t('review.backToRoadmap')}
+                                </Link>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </main>
+        </>
+    )
+}
+
+export default ReviewPage
@@ -0,0 +1,92 @@
+import { useState } from 'react'
+import { addDays, differenceInCalendarDays, format, isValid, parseISO, startOfToday } from 'date-fns'
+import { scheduleItems } from './deadlines'
+import { createRemainingEffort } from './timeTracking'
+import { t, formatDate } from './i18n'
+
+const DEFAULT_HOURS_PER_WEEK = 5
+const DEFAULT_WEEKS = 8
+
+function ScheduleDialog({ roadmap, onApply, onCancel }) {
+    const [targetDate, setTargetDate] = useState(() => format(addDays(startOfToday(), DEFAULT_WEEKS * 7), 'yyyy-MM-dd'))
+    const [hoursPerWeek, setHoursPerWeek] = useState(String(DEFAULT_HOURS_PER_WEEK))
+
+    const target = parseISO(targetDate)
+    const hours = Number(hoursPerWeek)
+    const error = !isValid(target) || differenceInCalendarDays(target, startOfToday()) < 1
+        ? t('schedule.invalidTarget')
+        : !(hours > 0)
+            ? t('schedule.invalidHours')
+            : ''
+    // С оценками темы получают время по оставшимся часам, без них — по весам
+    const remainingEffort = createRemainingEffort(roadmap)
+    const plan = error ? null : scheduleItems(roadmap, {
+        targetDate,
+        hoursPerWeek: hours,
+        ...(remainingEffort ? { getEffort: remainingEffort } : {})
+    })
+
+    return (
+        <div className="modal-backdrop" onClick={onCancel}>
+            <div className="modal" role="dialog" aria-modal="true" aria-labelledby="schedule-title" onClick={(e) => e.stopPropagation()}>
+                <h2 id="schedule-title"><i className="fas fa-magic"></i> {t('schedule.title')}</h2>
+                <p className="merge-empty">{remainingEffort ? t('schedule.hintEstimates') : t('schedule.hint')}</p>
+
+                <div className="schedule-form">
+                    <label className="form-group">
+                        <span>{t('schedule.targetDate')}</span>
+                        <input
+                            type="date"
+                            value={targetDate}
+                            onChange={(e) => setTargetDate(e.target.value)}
+                            className="date-input"
+                        />
+                    </label>
+                    <label className="form-group">
+                        <span>{t('schedule.hoursPerWeek')}</span>
+                        <input
+                            type="number"
+                            min="1"
+                            step="0.5"
+                            value={hoursPerWeek}
+                            onChange={(e) => setHoursPerWeek(e.target.value)}
+                            className="date-input"
+                        />
+                    </label>
+                </div>
+
+                {error && <p className="notes-error"><i className="fas fa-exclamation-circle"></i> {error}</p>}
+
+                {plan && (plan.proposals.length === 0 ? (
+                    <p className="merge-empty">{t('schedule.nothing')}</p>
+                ) : (
+                    <section className="merge-section changed">
+                        <h3>{t('schedule.summary', { count: plan.proposals.length, hours: Math.round(plan.totalHours) })}</h3>
+                        <ul>
+                            {plan.proposals.map(({ item, dueDate, hours: itemHours }) => (
+                                <li key={item.id}>
+                                    {item.title}
+                                    <span className="merge-fields">
+                                        {item.dueDate && item.dueDate !== dueDate ? `${formatDate(item.dueDate)} → ` : ''}
+                                        {formatDate(dueDate)} · {t('schedule.hours', { count: Math.round(itemHours * 10) / 10 })}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </section>
+                ))}
+
+                <div className="edit-actions modal-actions">
+                    <button onClick={() => onApply(plan.proposals)} className="save-btn" disabled={!plan?.proposals.length}>
+                        <i className="fas fa-check"></i> {t('schedule.apply')}
+                    </button>
+                    <button onClick={onCancel} className="cancel-btn">
+                        {t('common.cancel')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default ScheduleDialog
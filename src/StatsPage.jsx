@@ -0,0 +1,170 @@
+import { Link, useParams } from 'react-router-dom'
+import { formatDistanceStrict } from 'date-fns'
+import Header from './Header'
+import { getStatuses, isDoneStatus, calculateProgress, countCompleted } from './roadmap'
+import { getHistory } from './history'
+import { t, formatDate, getDateLocale, getLocalized } from './i18n'
+import { getBurnUp, getAverageTimeInStatus, getForecast, getActivityByDay, getStreaks, getCalendarWeeks } from './stats'
+
+const CHART_WIDTH = 720
+const CHART_HEIGHT = 240
+const CHART_PADDING = 32
+
+const activityLevel = (count) => (count === 0 ? 0 : count === 1 ? 1 : count <= 3 ? 2 : 3)
+
+function StatsPage({ roadmaps, activeRoadmapId }) {
+    const { roadmapId } = useParams()
+    const roadmap = roadmaps.find(roadmap => roadmap.id === (roadmapId ?? activeRoadmapId))
+
+    if (!roadmap) {
+        return (
+            <>
+                <Header />
+                <div className="container">
+                    <div className="error-state">
+                        <h2>{t('common.roadmapNotFound')}</h2>
+                        <Link to="/roadmaps" className="primary-btn">{t('common.openLibrary')}</Link>
+                    </div>
+                </div>
+            </>
+        )
+    }
+
+    const history = getHistory(roadmap)
+    const activity = getActivityByDay(roadmap)
+    const streaks = getStreaks(activity)
+    const forecast = getForecast(roadmap)
+    const timeInStatus = getAverageTimeInStatus(roadmap)
+    const statuses = getStatuses(roadmap)
+
+    return (
+        <>
+            <Header />
+
+            <main className="main-content">
+                <div className="container">
+                    <div className="roadmap-header">
+                        <h1>{t('stats.title')}</h1>
+                        <p className="roadmap-description">
+                            <Link to={`/roadmap/${roadmap.id}`}>{getLocalized(roadmap, 'title')}</Link> · {calculateProgress(roadmap)}% ·{' '}
+                            {t('stats.completedOf', { completed: countCompleted(roadmap), count: roadmap.items.length })}
+                        </p>
+                    </div>
+
+                    {history.length === 0 ? (
+                        <div className="empty-state">
+                            <i className="fas fa-chart-line"></i>
+                            <h2>{t('stats.emptyTitle')}</h2>
+                            <p>{t('stats.emptyHint')}</p>
+                        </div>
+                    ) : (
+                        <div className="stats-grid">
+                            <section className="stats-card stats-card-wide">
+                                <h3><i className="fas fa-chart-area"></i> {t('stats.burnUp')}</h3>
+                                <BurnUpChart points={getBurnUp(roadmap)} />
+                            </section>
+
+                            <section className="stats-card">
+                                <h3><i className="far fa-clock"></i> {t('stats.timeInStatus')}</h3>
+                                {Object.keys(statuses).filter(status => !isDoneStatus(statuses, status)).map(status => (
+                                    <div key={status} className="info-row">
+                                        <span className="info-label">
+                                            <span className="status-dot" style={{ backgroundColor: statuses[status].color }}></span>
+                                            {statuses[status].label}
+                                        </span>
+                                        <span className="info-value">
+                                            {timeInStatus[status] !== undefined
+                                                ? formatDistanceStrict(0, Math.round(timeInStatus[status]), { locale: getDateLocale() })
+                                                : t('stats.noData')}
+                                        </span>
+                                    </div>
+                                ))}
+                            </section>
+
+                            <section className="stats-card">
+                                <h3><i className="fas fa-flag-checkered"></i> {t('stats.forecast')}</h3>
+                                {forecast.remaining === 0 ? (
+                                    <p>{t('stats.allDone')}</p>
+                                ) : forecast.date ? (
+                                    <>
+                                        <p className="stats-value">{formatDate(forecast.date, 'long')}</p>
+                                        <p className="stats-hint">
+                                            {t('stats.forecastHint', { remaining: forecast.remaining, rate: forecast.perWeek.toFixed(1) })}
+                                        </p>
+                                    </>
+                                ) : (
+                                    <p className="stats-hint">
+                                        {t('stats.noForecast', { remaining: forecast.remaining })}
+                                    </p>
+                                )}
+                            </section>
+
+                            <section className="stats-card stats-card-wide">
+                                <h3><i className="fas fa-fire"></i> {t('stats.activity')}</h3>
+                                <p className="stats-hint">
+                                    {t('stats.streaks', {
+                                        current: t('stats.days', { count: streaks.current }),
+                                        longest: t('stats.days', { count: streaks.longest })
+                                    })}
+                                </p>
+                                <div className="streak-calendar">
+                                    {getCalendarWeeks(activity).map(week => (
+                                        <div key={week[0].key} className="streak-week">
+                                            {week.map(day => (
+                                                <span
+                                                    key={day.key}
+                                                    className={`streak-day level-${activityLevel(day.count)}`}
+                                                    title={`${formatDate(day.date)}: ${t('stats.changes', { count: day.count })}`}
+                                                ></span>
+                                            ))}
+                                        </div>
+                                    ))}
+                                </div>
+                            </section>
+                        </div>
+                    )}
+                </div>
+            </main>
+        </>
+    )
+}
+
+function BurnUpChart({ points }) {
+    const innerWidth = CHART_WIDTH - CHART_PADDING * 2
+    const innerHeight = CHART_HEIGHT - CHART_PADDING * 2
+    const maxValue = Math.max(1, ...points.map(point => point.total))
+
+    const x = (index) => CHART_PADDING + (points.length > 1 ? (index / (points.length - 1)) * innerWidth : innerWidth / 2)
+    const y = (value) => CHART_PADDING + innerHeight - (value / maxValue) * innerHeight
+
+    const completedLine = points.map((point, index) => `${x(index)},${y(point.completed)}`).join(' ')
+    const totalLine = points.map((point, index) => `${x(index)},${y(point.total)}`).join(' ')
+    const area = `${x(0)},${y(0)} ${completedLine} ${x(points.length - 1)},${y(0)}`
+    const last = points[points.length - 1]
+
+    return (
+        <svg
+            className="burnup-chart"
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            role="img"
+            aria-label={t('stats.chartLabel', { completed: last.completed, count: last.total })}
+        >
+            <line x1={CHART_PADDING} y1={y(0)} x2={CHART_WIDTH - CHART_PADDING} y2={y(0)} className="burnup-axis" />
+            <polygon points={area} className="burnup-area" />
+            <polyline points={totalLine} className="burnup-total" />
+            <polyline points={completedLine} className="burnup-completed" />
+
+            <text x={CHART_PADDING} y={CHART_HEIGHT - 8} className="burnup-label">
+                {formatDate(points[0].date, 'dayMonth')}
+            </text>
+            <text x={CHART_WIDTH - CHART_PADDING} y={CHART_HEIGHT - 8} className="burnup-label" textAnchor="end">
+                {formatDate(last.date, 'dayMonth')}
+            </text>
+            <text x={CHART_PADDING - 6} y={y(maxValue) + 4} className="burnup-label" textAnchor="end">
+                {maxValue}
+            </text>
+        </svg>
+    )
+}
+
+export default StatsPage
@@ -0,0 +1,288 @@
+import { useState } from 'react'
+import Header from './Header'
+import {
+    META_KEY,
+    getChangedFields,
+    getSyncAdapters,
+    useSyncState,
+    saveSyncConfig,
+    setRoadmapSynced,
+    listRemoteRoadmaps,
+    pullRoadmap,
+    resolveConflicts
+} from './sync'
+import { t, formatDate, getLocalized } from './i18n'
+
+// Названия полей общие с диалогом обновления карты
+const fieldLabel = (field) => t(`merge.field.${field}`)
+
+const describeVersion = (conflict, side) => {
+    const value = conflict[side]
+    const other = conflict[side === 'local' ? 'remote' : 'local']
+    if (value === null) return t('sync.deleted')
+
+    const fields = getChangedFields(value, other)
+    return fields.length ? fields.map(fieldLabel).join(', ') : t('sync.kept')
+}
+
+function SyncPage({ roadmaps, onAddRoadmap, onApplyRemote, onSyncNow }) {
+    const syncState = useSyncState()
+    const { config, status, conflicts } = syncState
+    const [draft, setDraft] = useState(config)
+    const [formError, setFormError] = useState('')
+    const [remoteRoadmaps, setRemoteRoadmaps] = useState(null)
+    const [remoteError, setRemoteError] = useState('')
+    const [choices, setChoices] = useState({})
+
+    const adapters = getSyncAdapters()
+    const enabled = config.enabled && Boolean(config.endpoint)
+    const localIds = new Set(roadmaps.map(roadmap => roadmap.id))
+    const conflictRoadmaps = roadmaps.filter(roadmap => conflicts[roadmap.id]?.length)
+
+    const handleSave = (event) => {
+        event.preventDefault()
+
+        // Адаптер проверяет настройки при создании, например адрес сервера
+        const adapter = adapters.find(other => other.id === draft.adapter) ?? adapters[0]
+        try {
+            if (draft.enabled) adapter.create(draft)
+        } catch (err) {
+            setFormError(err.message)
+            return
+        }
+
+        saveSyncConfig({ ...draft, endpoint: draft.endpoint.trim() })
+        setFormError('')
+        setRemoteRoadmaps(null)
+        onSyncNow()
+    }
+
+    const toggleRoadmap = (roadmapId, synced) => {
+        setRoadmapSynced(roadmapId, synced)
+        if (synced) onSyncNow()
+    }
+
+    const loadRemoteRoadmaps = async () => {
+        try {
+            setRemoteRoadmaps(await listRemoteRoadmaps())
+            setRemoteError('')
+        } catch (err) {
+            setRemoteError(err.message)
+        }
+    }
+
+    // Карта с сервера добавляется в библиотеку с тем же id и сразу подключается к синхронизации
+    const importRemoteRoadmap = async (roadmapId) => {
+        try {
+            const { roadmap, base } = await pullRoadmap(roadmapId)
+            const id = onAddRoadmap(roadmap)
+            if (id === roadmapId) setRoadmapSynced(id, true, base)
+            setRemoteError('')
+        } catch (err) {
+            setRemoteError(t('sync.importError', { message: err.message }))
+            console.error('Ошибка загрузки карты с сервера:', err)
+        }
+    }
+
+    const setChoice = (roadmapId, key, side) => {
+        setChoices(prev => ({ ...prev, [roadmapId]: { ...prev[roadmapId], [key]: side } }))
+    }
+
+    // Выбранная своя версия уйдёт на сервер при следующей синхронизации
+    const applyChoices = (roadmapId) => {
+        resolveConflicts(roadmapId, choices[roadmapId] ?? {}, onApplyRemote)
+        setChoices(prev => ({ ...prev, [roadmapId]: {} }))
+        onSyncNow()
+    }
+
+    const conflictTitle = (roadmap, conflict) => {
+        if (conflict.key === META_KEY) return t('sync.roadmapSettings')
+        const item = conflict.local ?? conflict.remote ?? roadmap.items.find(item => item.id === conflict.key)
+        return item?.title ?? conflict.key
+    }
+
+    return (
+        <>
+            <Header />
+
+            <main className="main-content">
+                <div className="container">
+                    <div className="roadmap-header">
+                        <h1>{t('sync.title')}</h1>
+                        <p className="roadmap-description">{t('sync.subtitle')}</p>
+                    </div>
+
+                    <section className="sync-panel">
+                        <h2><i className="fas fa-cog"></i> {t('sync.settings')}</h2>
+                        <form onSubmit={handleSave} className="sync-form">
+                            {adapters.length > 1 && (
+                                <label className="form-group">
+                                    <span>{t('sync.adapter')}</span>
+                                    <select
+                                        value={draft.adapter}
+                                        onChange={(e) => setDraft({ ...draft, adapter: e.target.value })}
+                                        className="date-input"
+                                    >
+                                        {adapters.map(adapter => (
+                                            <option key={adapter.id} value={adapter.id}>{adapter.label}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            )}
+                            <label className="form-group">
+                                <span>{t('sync.endpoint')}</span>
+                                <input
+                                    type="url"
+                                    value={draft.endpoint}
+                                    onChange={(e) => setDraft({ ...draft, endpoint: e.target.value })}
+                                    placeholder="http://localhost:3002"
+                                    className="date-input"
+                                />
+                            </label>
+                            <label className="form-group">
+                                <span>{t('sync.token')}</span>
+                                <input
+                                    type="password"
+                                    value={draft.token}
+                                    onChange={(e) => setDraft({ ...draft, token: e.target.value })}
+                                    placeholder={t('sync.tokenPlaceholder')}
+                                    className="date-input"
+                                    autoComplete="off"
+                                />
+                            </label>
+                            <label className="filter-check">
+                                <input
+                                    type="checkbox"
+                                    checked={draft.enabled}
+                                    onChange={(e) => setDraft({ ...draft, enabled: e.target.checked })}
+                                />
+                                {t('sync.enabled')}
+                            </label>
+                            {formError && <p className="notes-error"><i className="fas fa-exclamation-circle"></i> {formError}</p>}
+                            <div className="edit-actions">
+                                <button type="submit" className="save-btn">
+                                    <i className="fas fa-save"></i> {t('common.save')}
+                                </button>
+                            </div>
+                        </form>
+                        <p className="merge-empty">{t('sync.serverHint')}</p>
+                    </section>
+
+                    <section className="sync-panel">
+                        <h2><i className="fas fa-sync-alt"></i> {t('sync.statusTitle')}</h2>
+                        <p className={`sync-status ${status}`} role="status">
+                            {t(`sync.status.${status}`)}
+                            {syncState.lastSyncedAt && status !== 'syncing' && (
+                                <span className="merge-fields">
+                                    {' · '}{t('sync.lastSynced', { date: formatDate(syncState.lastSyncedAt, 'dateTime') })}
+                                </span>
+                            )}
+                        </p>
+                        {status === 'error' && <p className="notes-error"><i className="fas fa-exclamation-circle"></i> {syncState.error}</p>}
+                        <button onClick={onSyncNow} className="primary-btn" disabled={!enabled || status === 'syncing'}>
+                            <i className="fas fa-sync-alt"></i> {t('sync.syncNow')}
+                        </button>
+                    </section>
+
+                    {conflictRoadmaps.map(roadmap => (
+                        <section key={roadmap.id} className="merge-section conflicts">
+                            <h3>
+                                <i className="fas fa-exclamation-triangle"></i>
+                                {t('sync.conflicts', { count: conflicts[roadmap.id].length, title: getLocalized(roadmap, 'title') })}
+                            </h3>
+                            <p className="merge-empty">{t('sync.conflictsHint')}</p>
+                            <ul>
+                                {conflicts[roadmap.id].map(conflict => (
+                                    <li key={conflict.key}>
+                                        <strong>{conflictTitle(roadmap, conflict)}</strong>
+                                        <div className="merge-conflict-options">
+                                            {['local', 'remote'].map(side => (
+                                                <label key={side} className="merge-conflict-option">
+                                                    <input
+                                                        type="radio"
+                                                        name={`sync-${roadmap.id}-${conflict.key}`}
+                                                        checked={choices[roadmap.id]?.[conflict.key] === side}
+                                                        onChange={() => setChoice(roadmap.id, conflict.key, side)}
+                                                    />
+                                                    <span>
+                                                        {side === 'local' ? t('sync.local') : t('sync.remote')}: {describeVersion(conflict, side)}
+                                                    </span>
+                                                </label>
+                                            ))}
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                            <div className="edit-actions">
+                                <button
+                                    onClick={() => applyChoices(roadmap.id)}
+                                    className="save-btn"
+                                    disabled={!Object.keys(choices[roadmap.id] ?? {}).length}
+                                >
+                                    <i className="fas fa-check"></i> {t('sync.resolve')}
+                                </button>
+                            </div>
+                        </section>
+                    ))}
+
+                    <section className="sync-panel">
+                        <h2><i className="fas fa-layer-group"></i> {t('sync.roadmaps')}</h2>
+                        {roadmaps.length === 0 ? (
+                            <p className="merge-empty">{t('library.empty')}</p>
+                        ) : (
+                            <ul className="sync-list">
+                                {roadmaps.map(roadmap => (
+                                    <li key={roadmap.id}>
+                                        <label className="filter-check">
+                                            <input
+                                                type="checkbox"
+                                                checked={Object.hasOwn(syncState.bases, roadmap.id)}
+                                                onChange={(e) => toggleRoadmap(roadmap.id, e.target.checked)}
+                                                disabled={!enabled}
+                                            />
+                                            {getLocalized(roadmap, 'title')}
+                                        </label>
+                                        {conflicts[roadmap.id]?.length > 0 && (
+                                            <span className="sync-conflict-count">
+                                                {t('sync.conflictCount', { count: conflicts[roadmap.id].length })}
+                                            </span>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        {!enabled && <p className="merge-empty">{t('sync.enableFirst')}</p>}
+                    </section>
+
+                    {enabled && (
+                        <section className="sync-panel">
+                            <h2><i className="fas fa-server"></i> {t('sync.remoteRoadmaps')}</h2>
+                            {remoteError && <p className="notes-error"><i className="fas fa-exclamation-circle"></i> {remoteError}</p>}
+                            {remoteRoadmaps && (
+                                remoteRoadmaps.some(remote => !localIds.has(remote.id)) ? (
+                                    <ul className="sync-list">
+                                        {remoteRoadmaps.filter(remote => !localIds.has(remote.id)).map(remote => (
+                                            <li key={remote.id}>
+                                                <span>{remote.title}</span>
+                                                <button onClick={() => importRemoteRoadmap(remote.id)} className="cancel-btn">
+                                                    <i className="fas fa-download"></i> {t('sync.import')}
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                ) : (
+                                    <p className="merge-empty">{t('sync.noRemoteRoadmaps')}</p>
+                                )
+                            )}
+                            <button onClick={loadRemoteRoadmaps} className="cancel-btn">
+                                <i className="fas fa-cloud-download-alt"></i> {t('sync.loadRemote')}
+                            </button>
+                        </section>
+                    )}
+                </div>
+            </main>
+        </>
+    )
+}
+
+export default SyncPage
@@ -0,0 +1,169 @@
+import { useCallback, useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import {
+    POMODORO_MINUTES, getSessions, getLoggedMinutes, hasEstimate, formatDuration, formatHours, formatClock,
+    useActiveTimer, startTimer, stopTimer, discardTimer, getElapsed
+} from './timeTracking'
+import { getReminderPermission, showNotification } from './reminders'
+import { toPercent } from './roadmap'
+import { t, formatDate } from './i18n'
+
+const MAX_SESSIONS_SHOWN = 5
+
+// Учёт времени на странице темы: таймер или помидор, журнал занятий
+// и сравнение оценки с фактом. Занятия дописываются в item.sessions через onUpdateItem.
+function TimeTracker({ roadmap, item, onUpdateItem, readOnly = false }) {
+    const timer = useActiveTimer()
+    const [now, setNow] = useState(() => Date.now())
+    const [expanded, setExpanded] = useState(false)
+    const sessions = getSessions(item)
+    const loggedMinutes = getLoggedMinutes(item)
+    const isOwnTimer = timer?.roadmapId === roadmap.id && timer?.itemId === item.id
+    const otherItem = timer && !isOwnTimer && timer.roadmapId === roadmap.id
+        ? roadmap.items.find(other => other.id === timer.itemId)
+        : null
+    // now обновляется раз в секунду, пока идёт свой таймер
+    const elapsed = isOwnTimer ? Math.max(0, getElapsed(timer, new Date(now))) : 0
+    const pomodoroDone = isOwnTimer && timer.mode === 'pomodoro' && elapsed >= POMODORO_MINUTES * 60000
+
+    const logSession = useCallback((session) => {
+        if (!session) return
+        onUpdateItem({ sessions: [...getSessions(item), session] }, {
+            label: t('time.logAction'),
+            toast: t('time.logged', { duration: formatDuration(session.minutes) })
+        })
+    }, [item, onUpdateItem])
+
+    useEffect(() => {
+        if (!isOwnTimer) return
+
+        const interval = setInterval(() => setNow(Date.now()), 1000)
+        return () => clearInterval(interval)
+    }, [isOwnTimer])
+
+    // Помидор завершается сам, даже если страницу открыли уже после его окончания.
+    // Открытая по ссылке копия карты свой таймер не трогает и занятия не записывает.
+    useEffect(() => {
+        if (!pomodoroDone || readOnly) return
+
+        logSession(stopTimer())
+        if (getReminderPermission() === 'granted') {
+            showNotification(t('time.pomodoroDone'), { body: item.title, tag: `pomodoro/${item.id}` })
+        }
+    }, [pomodoroDone, readOnly, logSession, item])
+
+    const removeSession = (index) => {
+        onUpdateItem({ sessions: sessions.filter((_, sessionIndex) => sessionIndex !== index) }, { label: t('time.removeAction') })
+    }
+
+    const shownSessions = sessions
+        .map((session, index) => ({ session, index }))
+        .reverse()
+        .slice(0, expanded ? undefined : MAX_SESSIONS_SHOWN)
+
+    if (readOnly && !sessions.length && !hasEstimate(item)) return null
+
+    return (
+        <div className="links-section time-tracker">
+            <h3><i className="far fa-clock"></i> {t('time.title')}</h3>
+
+            <TimeSummary estimateHours={item.estimateHours} loggedMinutes={loggedMinutes} />
+
+            {!readOnly && (
+                isOwnTimer ? (
+                    <div className={`timer-panel running ${timer.mode}`}>
+                        <span className="timer-clock" aria-live="off">
+                            {timer.mode === 'pomodoro'
+                                ? formatClock(POMODORO_MINUTES * 60000 - elapsed)
+                                : formatClock(elapsed)}
+                        </span>
+                        <span className="timer-mode">
+                            {timer.mode === 'pomodoro' ? t('time.pomodoroRunning') : t('time.timerRunning')}
+                        </span>
+                        <div className="edit-actions">
+                            <button onClick={() => logSession(stopTimer())} className="save-btn">
+                                <i className="fas fa-stop"></i> {t('time.stop')}
+                            </button>
+                            <button onClick={discardTimer} className="cancel-btn">
+                                {t('time.discard')}
+                            </button>
+                        </div>
+                    </div>
+                ) : timer ? (
+                    <p className="timer-panel timer-busy">
+                        <i className="fas fa-hourglass-half"></i>{' '}
+                        {otherItem ? (
+                            <>
+                                {t('time.busyWith')}{' '}
+                                <Link to={`/roadmap/${roadmap.id}/item/${otherItem.id}`}>{otherItem.title}</Link>
+                            </>
+                        ) : t('time.busyElsewhere')}
+                    </p>
+                ) : (
+                    <div className="timer-panel">
+                        <button onClick={() => startTimer(roadmap.id, item.id, 'timer')} className="edit-btn">
+                            <i className="fas fa-play"></i> {t('time.start')}
+                        </button>
+                        <button onClick={() => startTimer(roadmap.id, item.id, 'pomodoro')} className="edit-btn">
+                            <i className="fas fa-stopwatch"></i> {t('time.startPomodoro', { count: POMODORO_MINUTES })}
+                        </button>
+                    </div>
+                )
+            )}
+
+            {sessions.length > 0 && (
+                <ul className="history-list session-list">
+                    {shownSessions.map(({ session, index }) => (
+                        <li key={`${session.startedAt}-${index}`}>
+                            <span className="history-time">{formatDate(session.startedAt, 'dateTime')}</span>
+                            <span>{formatDuration(session.minutes)}</span>
+                            {!readOnly && (
+                                <button
+                                    onClick={() => removeSession(index)}
+                                    className="cancel-btn danger"
+                                    title={t('time.removeSession')}
+                                    aria-label={t('time.removeSession')}
+                                >
+                                    <i className="fas fa-times"></i>
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {sessions.length > MAX_SESSIONS_SHOWN && (
+                <button onClick={() => setExpanded(!expanded)} className="filter-reset">
+                    {expanded ? t('time.showLess') : t('time.showAll', { count: sessions.length })}
+                </button>
+            )}
+        </div>
+    )
+}
+
+// Потрачено против оценки; полоса краснеет, когда оценка превышена
+export function TimeSummary({ estimateHours, loggedMinutes }) {
+    if (!(estimateHours > 0)) {
+        return (
+            <p className="time-summary">
+                {t('time.spent', { duration: formatDuration(loggedMinutes) })} · {t('time.noEstimate')}
+            </p>
+        )
+    }
+
+    const ratio = loggedMinutes / 60 / estimateHours
+
+    return (
+        <div className="time-summary">
+            <p>
+                {t('time.spentOf', { duration: formatDuration(loggedMinutes), estimate: formatHours(estimateHours) })}
+                {' '}({toPercent(ratio)}%)
+            </p>
+            <div className="progress-bar-container">
+                <div className={`progress-bar ${ratio > 1 ? 'over-estimate' : ''}`} style={{ width: `${Math.min(100, toPercent(ratio))}%` }}></div>
+            </div>
+        </div>
+    )
+}
+
+export default TimeTracker
@@ -0,0 +1,27 @@
+import { useEffect } from 'react'
+import { t } from './i18n'
+
+const TOAST_TIMEOUT_MS = 8000
+
+function Toast({ message, actionLabel, actionIcon, onAction, onClose }) {
+    useEffect(() => {
+        const timer = setTimeout(onClose, TOAST_TIMEOUT_MS)
+        return () => clearTimeout(timer)
+    }, [onClose])
+
+    return (
+        <div className="toast" role="status" aria-live="polite">
+            <span>{message}</span>
+            {onAction && (
+                <button onClick={onAction} className="toast-action">
+                    <i className={`fas ${actionIcon}`}></i> {actionLabel}
+                </button>
+            )}
+            <button onClick={onClose} className="toast-close" aria-label={t('common.close')}>
+                <i className="fas fa-times"></i>
+            </button>
+        </div>
+    )
+}
+
+export default Toast
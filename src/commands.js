@@ -0,0 +1,42 @@
+// Палитра команд (Ctrl+K): открывается из любого места приложения,
+// список команд собирает App — ему известны текущая карта, тема и действия над ними.
+//
+// Команда — { id, group, label, hint?, icon, run() }.
+
+import { useSyncExternalStore } from 'react'
+
+// Больше строк в списке не показываем: уточнить поиск быстрее, чем листать
+export const MAX_RESULTS = 50
+
+let open = false
+const listeners = new Set()
+
+const setOpen = (value) => {
+    if (open === value) return
+    open = value
+    listeners.forEach(listener => listener())
+}
+
+const subscribe = (listener) => {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+}
+
+export const useCommandPaletteOpen = () => useSyncExternalStore(subscribe, () => open)
+
+export const openCommandPalette = () => setOpen(true)
+export const closeCommandPalette = () => setOpen(false)
+export const toggleCommandPalette = () => setOpen(!open)
+
+// Все слова запроса должны встретиться в названии или подсказке, в любом порядке
+export const filterCommands = (commands, query) => {
+    const words = query.toLocaleLowerCase().split(/\s+/).filter(Boolean)
+    const matches = words.length
+        ? commands.filter(command => {
+            const text = `${command.label} ${command.hint ?? ''}`.toLocaleLowerCase()
+            return words.every(word => text.includes(word))
+        })
+        : commands
+
+    return matches.slice(0, MAX_RESULTS)
+}
@@ -0,0 +1,81 @@
+// Сроки тем: просроченные и близкие дедлайны, напоминания и автопланирование.
+
+import { addDays, differenceInCalendarDays, format, isValid, parseISO, startOfToday } from 'date-fns'
+import { getStatuses, isDoneStatus, getWeight } from './roadmap'
+import { t } from './i18n'
+
+// Срок считается близким, если до него осталось не больше стольких дней
+export const DUE_SOON_DAYS = 3
+export const UPCOMING_DAYS = 14
+
+const DAY_KEY = 'yyyy-MM-dd'
+
+// Дней до срока: 0 — сегодня, отрицательное — просрочено; null — срока нет или тема выполнена
+export const getDaysLeft = (item, statuses, today = startOfToday()) => {
+    if (!item.dueDate || isDoneStatus(statuses, item.status)) return null
+
+    const dueDate = parseISO(item.dueDate)
+    return isValid(dueDate) ? differenceInCalendarDays(dueDate, today) : null
+}
+
+// 'overdue', 'soon' или null — для подсветки карточек
+export const getDeadlineState = (item, statuses, today = startOfToday()) => {
+    const daysLeft = getDaysLeft(item, statuses, today)
+    if (daysLeft === null) return null
+    if (daysLeft < 0) return 'overdue'
+    return daysLeft <= DUE_SOON_DAYS ? 'soon' : null
+}
+
+export const describeDaysLeft = (daysLeft) => {
+    if (daysLeft < 0) return t('deadlines.overdue', { count: -daysLeft })
+    if (daysLeft === 0) return t('deadlines.today')
+    if (daysLeft === 1) return t('deadlines.tomorrow')
+    return t('deadlines.inDays', { count: daysLeft })
+}
+
+// Невыполненные темы со сроком не позже чем через days дней, включая просроченные
+export const getUpcomingDeadlines = (roadmap, days = UPCOMING_DAYS, today = startOfToday()) => {
+    const statuses = getStatuses(roadmap)
+
+    return roadmap.items
+        .map(item => ({ item, daysLeft: getDaysLeft(item, statuses, today) }))
+        .filter(({ daysLeft }) => daysLeft !== null && daysLeft <= days)
+        .sort((a, b) => a.daysLeft - b.daysLeft)
+}
+
+// Сроки для невыполненных тем по порядку карты. Доступные часы между startDate и targetDate
+// делятся между темами пропорционально их трудоёмкости (по умолчанию — весу темы).
+// Возвращает { proposals: [{ item, dueDate, hours }], totalHours } или бросает ошибку.
+export const scheduleItems = (roadmap, { targetDate, hoursPerWeek, startDate = startOfToday(), getEffort = getWeight }) => {
+    const target = parseISO(targetDate)
+    if (!isValid(target) || differenceInCalendarDays(target, startDate) < 1) {
+        throw new RangeError('targetDate')
+    }
+    if (!(hoursPerWeek > 0)) throw new RangeError('hoursPerWeek')
+
+    const statuses = getStatuses(roadmap)
+    const items = roadmap.items.filter(item => !isDoneStatus(statuses, item.status))
+    const days = differenceInCalendarDays(target, startDate)
+    const totalHours = (days / 7) * hoursPerWeek
+    const totalEffort = items.reduce((sum, item) => sum + getEffort(item), 0)
+
+    let spentHours = 0
+    const proposals = items.map(item => {
+        const hours = totalEffort ? (totalHours * getEffort(item)) / totalEffort : 0
+        spentHours += hours
+        // Округляем вверх до целого дня, но не дальше целевой даты
+        const offset = Math.min(days, Math.max(1, Math.ceil((spentHours / hoursPerWeek) * 7 - 1e-9)))
+        return { item, hours, dueDate: format(addDays(startDate, offset), DAY_KEY) }
+    })
+
+    return { proposals, totalHours }
+}
+
+// Темы, о которых пора напомнить: срок сегодня, завтра или уже прошёл
+export const getDueReminders = (roadmaps, today = startOfToday()) =>
+    roadmaps.flatMap(roadmap => {
+        const statuses = getStatuses(roadmap)
+        return roadmap.items
+            .map(item => ({ roadmap, item, daysLeft: getDaysLeft(item, statuses, today) }))
+            .filter(({ daysLeft }) => daysLeft !== null && daysLeft <= 1)
+    })
@@ -0,0 +1,82 @@
+// Зависимости между темами: поле dependsOn содержит id тем-предпосылок
+
+import { getStatuses, isDoneStatus } from './roadmap'
+
+export const getDependsOn = (item) => (Array.isArray(item.dependsOn) ? item.dependsOn : [])
+
+// Ищет цикл в графе зависимостей. Возвращает цепочку id вида [a, b, a] или null.
+export const findCycle = (items) => {
+    const byId = new Map(items.map(item => [item.id, item]))
+    const state = new Map()
+    const stack = []
+
+    const visit = (id) => {
+        state.set(id, 'visiting')
+        stack.push(id)
+
+        for (const dependencyId of getDependsOn(byId.get(id))) {
+            if (!byId.has(dependencyId)) continue
+
+            if (state.get(dependencyId) === 'visiting') {
+                return [...stack.slice(stack.indexOf(dependencyId)), dependencyId]
+            }
+            if (!state.has(dependencyId)) {
+                const cycle = visit(dependencyId)
+                if (cycle) return cycle
+            }
+        }
+
+        stack.pop()
+        state.set(id, 'done')
+        return null
+    }
+
+    for (const item of items) {
+        if (state.has(item.id)) continue
+        const cycle = visit(item.id)
+        if (cycle) return cycle
+    }
+
+    return null
+}
+
+// Незавершённые предпосылки темы
+export const getBlockers = (roadmap, item) => {
+    const statuses = getStatuses(roadmap)
+    if (isDoneStatus(statuses, item.status)) return []
+
+    const byId = new Map(roadmap.items.map(other => [other.id, other]))
+    return getDependsOn(item)
+        .map(id => byId.get(id))
+        .filter(dependency => dependency && !isDoneStatus(statuses, dependency.status))
+}
+
+export const isBlocked = (roadmap, item) => getBlockers(roadmap, item).length > 0
+
+// Раскладка графа по слоям: слой темы — длина самой длинной цепочки предпосылок.
+// Возвращает массив слоёв, в каждом — темы в порядке следования в карте.
+export const layoutLayers = (items) => {
+    const byId = new Map(items.map(item => [item.id, item]))
+    const depth = new Map()
+
+    const getDepth = (item) => {
+        if (depth.has(item.id)) return depth.get(item.id)
+
+        // Защита от циклов в данных, прошедших мимо проверки
+        depth.set(item.id, 0)
+        const value = getDependsOn(item)
+            .filter(id => byId.has(id))
+            .reduce((max, id) => Math.max(max, getDepth(byId.get(id)) + 1), 0)
+        depth.set(item.id, value)
+        return value
+    }
+
+    const layers = []
+    items.forEach(item => {
+        const layer = getDepth(item)
+        if (!layers[layer]) layers[layer] = []
+        layers[layer].push(item)
+    })
+
+    return layers.filter(Boolean)
+}
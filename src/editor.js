@@ -0,0 +1,66 @@
+// Операции редактора карты. Все функции чистые: принимают карту
+// и возвращают новую, чтобы проходить через общий updateRoadmap.
+
+import { SCHEMA_VERSION } from './schema'
+import { getStatuses, getInitialStatus } from './roadmap'
+import { t } from './i18n'
+
+export const createEmptyRoadmap = () => ({
+    schemaVersion: SCHEMA_VERSION,
+    title: t('editor.newRoadmapTitle'),
+    description: '',
+    createdAt: new Date().toISOString().split('T')[0],
+    items: []
+})
+
+// Следующий свободный числовой id: «1», «2», ...
+export const createItemId = (items) => {
+    const taken = new Set(items.map(item => item.id))
+    const maxNumeric = items.reduce((max, item) => {
+        const number = Number(item.id)
+        return Number.isInteger(number) ? Math.max(max, number) : max
+    }, 0)
+
+    let next = maxNumeric + 1
+    while (taken.has(String(next))) next += 1
+    return String(next)
+}
+
+export const createItem = (roadmap, sectionId) => {
+    const item = {
+        id: createItemId(roadmap.items),
+        title: t('editor.newItemTitle'),
+        description: '',
+        links: [],
+        status: getInitialStatus(getStatuses(roadmap)),
+        userNotes: '',
+        dueDate: null
+    }
+    if (sectionId) item.sectionId = sectionId
+    return item
+}
+
+// id мог оказаться занят, если карта изменилась после создания темы
+export const addItem = (roadmap, item) => {
+    const id = roadmap.items.some(other => other.id === item.id) ? createItemId(roadmap.items) : item.id
+    return { ...roadmap, items: [...roadmap.items, { ...item, id }] }
+}
+
+// Удаляет тему и ссылки на неё из зависимостей других тем
+export const removeItem = (roadmap, itemId) => ({
+    ...roadmap,
+    items: roadmap.items
+        .filter(item => item.id !== itemId)
+        .map(item => Array.isArray(item.dependsOn) && item.dependsOn.includes(itemId)
+            ? { ...item, dependsOn: item.dependsOn.filter(id => id !== itemId) }
+            : item)
+})
+
+export const moveItem = (roadmap, fromIndex, toIndex) => {
+    if (fromIndex === toIndex || toIndex < 0 || toIndex >= roadmap.items.length) return roadmap
+
+    const items = [...roadmap.items]
+    const [moved] = items.splice(fromIndex, 1)
+    items.splice(toIndex, 0, moved)
+    return { ...roadmap, items }
+}
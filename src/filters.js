@@ -0,0 +1,114 @@
+import { parseISO, isValid, isBefore, startOfToday } from 'date-fns'
+import { isDoneStatus, getStatuses, groupBySection } from './roadmap'
+import { getLocale } from './i18n'
+
+// Поиск, фильтры и сортировка тем. Состояние хранится в параметрах URL,
+// поэтому отфильтрованный вид можно добавить в закладки.
+
+// Названия вариантов — ключи sort.* в каталогах переводов
+export const SORT_OPTIONS = ['order', 'due', 'status', 'title']
+
+export const parseFilters = (searchParams) => {
+    const sort = searchParams.get('sort')
+
+    return {
+        query: searchParams.get('q') ?? '',
+        // Набор статусов зависит от карты, поэтому неизвестные просто ничего не найдут
+        statuses: (searchParams.get('status') ?? '').split(',').filter(Boolean),
+        overdue: searchParams.get('overdue') === '1',
+        hasNotes: searchParams.get('notes') === '1',
+        dueFrom: searchParams.get('from') ?? '',
+        dueTo: searchParams.get('to') ?? '',
+        sort: SORT_OPTIONS.includes(sort) ? sort : 'order'
+    }
+}
+
+// Переносит фильтры в параметры URL, не трогая остальные (например, view)
+export const applyFiltersToParams = (searchParams, filters) => {
+    const next = new URLSearchParams(searchParams)
+    const values = {
+        q: filters.query,
+        status: filters.statuses.join(','),
+        overdue: filters.overdue ? '1' : '',
+        notes: filters.hasNotes ? '1' : '',
+        from: filters.dueFrom,
+        to: filters.dueTo,
+        sort: filters.sort === 'order' ? '' : filters.sort
+    }
+
+    Object.entries(values).forEach(([key, value]) => {
+        if (value) next.set(key, value)
+        else next.delete(key)
+    })
+    return next
+}
+
+export const hasActiveFilters = (filters) =>
+    Boolean(filters.query.trim() || filters.statuses.length || filters.overdue ||
+        filters.hasNotes || filters.dueFrom || filters.dueTo)
+
+const parseDueDate = (item) => {
+    if (!item.dueDate) return null
+    const date = parseISO(item.dueDate)
+    return isValid(date) ? date : null
+}
+
+export const isOverdue = (item, statuses, today = startOfToday()) => {
+    const dueDate = parseDueDate(item)
+    return Boolean(dueDate) && !isDoneStatus(statuses, item.status) && isBefore(dueDate, today)
+}
+
+const matchesQuery = (item, query) => {
+    const needle = query.trim().toLowerCase()
+    if (!needle) return true
+
+    return [item.title, item.description, item.userNotes]
+        .some(text => typeof text === 'string' && text.toLowerCase().includes(needle))
+}
+
+const matchesDueRange = (item, dueFrom, dueTo) => {
+    if (!dueFrom && !dueTo) return true
+
+    // Даты в формате yyyy-MM-dd сравниваются как строки
+    const dueDate = item.dueDate?.slice(0, 10)
+    if (!dueDate) return false
+    return (!dueFrom || dueDate >= dueFrom) && (!dueTo || dueDate <= dueTo)
+}
+
+export const filterItems = (items, filters, statuses) => {
+    const today = startOfToday()
+
+    return items.filter(item =>
+        matchesQuery(item, filters.query) &&
+        (!filters.statuses.length || filters.statuses.includes(item.status)) &&
+        (!filters.overdue || isOverdue(item, statuses, today)) &&
+        (!filters.hasNotes || Boolean(item.userNotes?.trim())) &&
+        matchesDueRange(item, filters.dueFrom, filters.dueTo)
+    )
+}
+
+const COMPARATORS = {
+    // Темы без даты — в конце списка
+    due: (a, b) => {
+        const left = a.dueDate ?? '9999-12-31'
+        const right = b.dueDate ?? '9999-12-31'
+        return left < right ? -1 : left > right ? 1 : 0
+    },
+    // По порядку статусов в рабочем процессе карты
+    status: (a, b, statusOrder) => statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status),
+    title: (a, b) => a.title.localeCompare(b.title, getLocale())
+}
+
+export const sortItems = (items, sort, statuses) => {
+    const comparator = COMPARATORS[sort]
+    const statusOrder = Object.keys(statuses)
+    // Array.prototype.sort стабильна, поэтому при равенстве сохраняется порядок карты
+    return comparator ? [...items].sort((a, b) => comparator(a, b, statusOrder)) : items
+}
+
+export const applyFilters = (items, filters, statuses) =>
+    sortItems(filterItems(items, filters, statuses), filters.sort, statuses)
+
+// Темы в том порядке, в каком их показывает сетка: по разделам, с фильтрами и сортировкой
+export const getVisibleItems = (roadmap, filters) =>
+    groupBySection(roadmap).flatMap(group => applyFilters(group.items, filters, getStatuses(roadmap)))
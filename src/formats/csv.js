@@ -0,0 +1,151 @@
+// CSV: одна строка на тему. Подходит для таблиц (Excel, Google Sheets).
+// Ссылки хранятся в одной ячейке построчно в виде «название | адрес»,
+// зависимости — через пробел. Название карты берётся из имени файла.
+// Раздел задаётся названием (section) и, для точного обратного импорта, id (sectionId).
+
+import { SCHEMA_VERSION } from '../schema'
+import { getSections, getStatuses, toDefaultStatus } from '../roadmap'
+import { t } from '../i18n'
+import { titleFromFileName, createIdGenerator, parseWeight } from './utils'
+
+const COLUMNS = ['id', 'section', 'sectionId', 'title', 'description', 'status', 'dueDate', 'userNotes', 'links', 'dependsOn', 'weight', 'estimateHours']
+
+const escapeCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value)
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Разбор CSV по RFC 4180: кавычки, удвоенные кавычки и переводы строк внутри ячеек
+export const parseCsv = (text) => {
+    const rows = []
+    let row = []
+    let cell = ''
+    let quoted = false
+
+    for (let index = 0; index < text.length; index += 1) {
+        const char = text[index]
+
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                cell += '"'
+                index += 1
+            } else if (char === '"') {
+                quoted = false
+            } else {
+                cell += char
+            }
+        } else if (char === '"') {
+            quoted = true
+        } else if (char === ',') {
+            row.push(cell)
+            cell = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index += 1
+            row.push(cell)
+            rows.push(row)
+            row = []
+            cell = ''
+        } else {
+            cell += char
+        }
+    }
+
+    if (cell || row.length) {
+        row.push(cell)
+        rows.push(row)
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim()))
+}
+
+const serialize = (roadmap) => {
+    const sectionTitles = new Map(getSections(roadmap).map(section => [section.id, section.title]))
+    // Набор статусов в CSV не попадает, поэтому пишутся стандартные
+    const statuses = getStatuses(roadmap)
+
+    const rows = roadmap.items.map(item => [
+        item.id,
+        sectionTitles.get(item.sectionId) ?? '',
+        sectionTitles.has(item.sectionId) ? item.sectionId : '',
+        item.title,
+        item.description ?? '',
+        toDefaultStatus(statuses, item.status),
+        item.dueDate ?? '',
+        item.userNotes ?? '',
+        (item.links ?? []).map(link => `${link.title} | ${link.url}`).join('\n'),
+        (item.dependsOn ?? []).join(' '),
+        item.weight ?? '',
+        item.estimateHours ?? ''
+    ])
+
+    // BOM нужен Excel, чтобы распознать UTF-8
+    return `\ufeff${[COLUMNS, ...rows].map(row => row.map(escapeCell).join(',')).join('\r\n')}\r\n`
+}
+
+const parseLinks = (value) =>
+    value.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+        const separator = line.lastIndexOf('|')
+        if (separator === -1) return { title: line, url: line }
+        return { title: line.slice(0, separator).trim(), url: line.slice(separator + 1).trim() }
+    })
+
+const parse = (text, { fileName } = {}) => {
+    const [header, ...rows] = parseCsv(text.replace(/^\ufeff/, ''))
+    if (!header) throw new Error(t('formats.csvEmpty'))
+
+    const columns = header.map(name => name.trim())
+    if (!columns.includes('title')) {
+        throw new Error(t('formats.csvNoTitle'))
+    }
+
+    const nextItemId = createIdGenerator()
+    const nextSectionId = createIdGenerator()
+    const sections = new Map()
+
+    const items = rows.map(cells => {
+        const record = Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']))
+        const item = {
+            id: nextItemId(record.id?.trim()),
+            title: record.title.trim(),
+            description: record.description ?? '',
+            status: record.status?.trim() || 'not-started',
+            userNotes: record.userNotes ?? '',
+            dueDate: record.dueDate?.trim() || null
+        }
+
+        const links = parseLinks(record.links ?? '')
+        if (links.length) item.links = links
+
+        const dependsOn = (record.dependsOn ?? '').split(/\s+/).filter(Boolean)
+        if (dependsOn.length) item.dependsOn = dependsOn
+
+        if (record.weight?.trim()) item.weight = parseWeight(record.weight.trim())
+        if (record.estimateHours?.trim()) item.estimateHours = parseWeight(record.estimateHours.trim())
+
+        const sectionTitle = record.section?.trim()
+        if (sectionTitle) {
+            if (!sections.has(sectionTitle)) {
+                sections.set(sectionTitle, { id: nextSectionId(record.sectionId?.trim()), title: sectionTitle })
+            }
+            item.sectionId = sections.get(sectionTitle).id
+        }
+
+        return item
+    })
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        title: titleFromFileName(fileName),
+        ...(sections.size ? { sections: [...sections.values()] } : {}),
+        items
+    }
+}
+
+export default {
+    id: 'csv',
+    label: 'CSV',
+    extension: '.csv',
+    mimeType: 'text/csv;charset=utf-8',
+    parse,
+    serialize
+}
@@ -0,0 +1,171 @@
+// iCalendar (.ics): одна задача VTODO на каждую тему с датой завершения.
+// Темы без dueDate в календарь не попадают. При импорте принимаются
+// и VTODO, и VEVENT: срок берётся из DUE, а если его нет — из DTSTART.
+// DESCRIPTION объединяет описание и заметки для календарных приложений,
+// а X-KR4TASK-* поля хранят их по отдельности для обратного импорта.
+
+import { format, parseISO } from 'date-fns'
+import { SCHEMA_VERSION } from '../schema'
+import { getStatuses, toDefaultStatus } from '../roadmap'
+import { t } from '../i18n'
+import { titleFromFileName, createIdGenerator } from './utils'
+
+const STATUS_TO_ICS = {
+    'not-started': 'NEEDS-ACTION',
+    'in-progress': 'IN-PROCESS',
+    'completed': 'COMPLETED'
+}
+
+const ICS_TO_STATUS = {
+    'NEEDS-ACTION': 'not-started',
+    'IN-PROCESS': 'in-progress',
+    'COMPLETED': 'completed'
+}
+
+const TEXT_PROPERTIES = ['SUMMARY', 'DESCRIPTION', 'UID', 'X-KR4TASK-ITEM-ID', 'X-KR4TASK-DESCRIPTION', 'X-KR4TASK-NOTES']
+
+const escapeText = (text) =>
+    String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n')
+
+const unescapeText = (text) =>
+    text.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char))
+
+// Строки длиннее 75 байт переносятся с пробелом в начале продолжения (RFC 5545).
+// Считаем именно байты UTF-8, чтобы не разрезать кириллицу посередине символа.
+const encoder = new TextEncoder()
+
+const foldLine = (line) => {
+    const parts = []
+    let current = ''
+    let size = 0
+
+    for (const char of line) {
+        const charSize = encoder.encode(char).length
+        if (size + charSize > 75) {
+            parts.push(current)
+            current = ' '
+            size = 1
+        }
+        current += char
+        size += charSize
+    }
+    parts.push(current)
+
+    return parts.join('\r\n')
+}
+
+const toIcsDate = (isoDate) => format(parseISO(isoDate), 'yyyyMMdd')
+
+const fromIcsDate = (value) => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})/)
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null
+}
+
+const serialize = (roadmap) => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//kr4task//Roadmap Tracker//RU',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${escapeText(roadmap.title)}`
+    ]
+
+    const statuses = getStatuses(roadmap)
+    roadmap.items.filter(item => item.dueDate).forEach(item => {
+        const status = toDefaultStatus(statuses, item.status)
+        const description = [item.description, item.userNotes].filter(Boolean).join('\n\n')
+
+        lines.push(
+            'BEGIN:VTODO',
+            `UID:${escapeText(`${roadmap.id}-${item.id}@kr4task`)}`,
+            `DTSTAMP:${stamp}`,
+            `SUMMARY:${escapeText(item.title)}`,
+            `DUE;VALUE=DATE:${toIcsDate(item.dueDate)}`,
+            `STATUS:${STATUS_TO_ICS[status]}`,
+            `X-KR4TASK-ITEM-ID:${escapeText(item.id)}`
+        )
+        if (description) lines.push(`DESCRIPTION:${escapeText(description)}`)
+        if (item.description) lines.push(`X-KR4TASK-DESCRIPTION:${escapeText(item.description)}`)
+        if (item.userNotes) lines.push(`X-KR4TASK-NOTES:${escapeText(item.userNotes)}`)
+        if (status === 'completed') lines.push('PERCENT-COMPLETE:100')
+        lines.push('END:VTODO')
+    })
+
+    lines.push('END:VCALENDAR')
+    return `${lines.map(foldLine).join('\r\n')}\r\n`
+}
+
+// Разворачивает перенесённые строки и разбирает «ИМЯ;ПАРАМЕТРЫ:значение»
+const parseLines = (text) =>
+    text
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            const separator = line.indexOf(':')
+            const [name] = line.slice(0, separator).split(';')
+            return { name: name.toUpperCase(), value: line.slice(separator + 1) }
+        })
+
+const parse = (text, { fileName } = {}) => {
+    const lines = parseLines(text)
+    if (lines[0]?.name !== 'BEGIN' || lines[0].value !== 'VCALENDAR') {
+        throw new Error(t('formats.notIcs'))
+    }
+
+    const nextItemId = createIdGenerator()
+    const items = []
+    let title = ''
+    let component = null
+    // Глубина вложенных блоков внутри задачи (например, VALARM): их свойства задаче не принадлежат
+    let nested = 0
+
+    lines.forEach(({ name, value }) => {
+        if (component && name === 'BEGIN') {
+            nested += 1
+        } else if (component && name === 'END' && nested) {
+            nested -= 1
+        } else if (name === 'BEGIN' && (value === 'VTODO' || value === 'VEVENT')) {
+            component = {}
+        } else if (name === 'END' && (value === 'VTODO' || value === 'VEVENT') && component) {
+            items.push({
+                id: nextItemId(component['X-KR4TASK-ITEM-ID'] ?? component.UID),
+                title: component.SUMMARY || t('formats.untitled'),
+                description: component['X-KR4TASK-ITEM-ID']
+                    ? component['X-KR4TASK-DESCRIPTION'] ?? ''
+                    : component.DESCRIPTION ?? '',
+                status: ICS_TO_STATUS[component.STATUS] ?? 'not-started',
+                userNotes: component['X-KR4TASK-NOTES'] ?? '',
+                dueDate: fromIcsDate(component.DUE ?? component.DTSTART ?? '')
+            })
+            component = null
+        } else if (component && !nested) {
+            component[name] = TEXT_PROPERTIES.includes(name)
+                ? unescapeText(value)
+                : value
+        } else if (name === 'X-WR-CALNAME') {
+            title = unescapeText(value)
+        }
+    })
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        title: title || titleFromFileName(fileName),
+        items
+    }
+}
+
+export default {
+    id: 'ics',
+    label: 'iCalendar',
+    extension: '.ics',
+    mimeType: 'text/calendar;charset=utf-8',
+    parse,
+    serialize
+}
@@ -0,0 +1,45 @@
+// Реестр форматов импорта и экспорта дорожных карт.
+//
+// Формат описывается объектом:
+//   id         — короткий идентификатор
+//   label      — название для интерфейса
+//   extension  — основное расширение файла (с точкой), extensions — все принимаемые
+//   mimeType   — тип для Blob при экспорте
+//   parse(text, { fileName })  — текст файла → данные карты (необязательно)
+//   serialize(roadmap)         — карта → текст файла (необязательно)
+//
+// Данные после parse проходят обычный конвейер importRoadmap: миграции и валидацию.
+
+import jsonFormat from './json'
+import markdownFormat from './markdown'
+import csvFormat from './csv'
+import icsFormat from './ics'
+
+const formats = []
+
+export const registerFormat = (format) => {
+    if (formats.some(other => other.id === format.id)) {
+        throw new Error(`Формат «${format.id}» уже зарегистрирован`)
+    }
+    formats.push({ extensions: [format.extension], ...format })
+}
+
+export const getImportFormats = () => formats.filter(format => format.parse)
+
+export const getExportFormats = () => formats.filter(format => format.serialize)
+
+export const getFormat = (id) => formats.find(format => format.id === id)
+
+// Строка для атрибута accept у <input type="file">
+export const getImportAccept = () =>
+    getImportFormats().flatMap(format => format.extensions).join(',')
+
+export const findFormatForFile = (fileName) => {
+    const name = fileName.toLowerCase()
+    return getImportFormats().find(format => format.extensions.some(extension => name.endsWith(extension)))
+}
+
+registerFormat(jsonFormat)
+registerFormat(markdownFormat)
+registerFormat(csvFormat)
+registerFormat(icsFormat)
@@ -0,0 +1,10 @@
+// Исходный формат приложения: карта целиком
+
+export default {
+    id: 'json',
+    label: 'JSON',
+    extension: '.json',
+    mimeType: 'application/json;charset=utf-8',
+    parse: (text) => JSON.parse(text),
+    serialize: (roadmap) => JSON.stringify(roadmap, null, 2)
+}
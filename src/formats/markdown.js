@@ -0,0 +1,192 @@
+// Markdown: заголовок «#» — название карты, «##» — разделы,
+// чек-лист «- [ ]» — темы. Служебные поля хранятся в HTML-комментариях,
+// поэтому файл читается как обычный Markdown и переживает обратный импорт.
+//
+// # Дорожная карта <!-- id: react; createdAt: 2024-01-01 -->
+// Описание карты
+//
+// ## Основы <!-- id: basics; weight: 2 -->
+// - [~] Хуки <!-- id: 3; due: 2024-03-15; dependsOn: 2; estimate: 4 -->
+//   Описание темы
+//   - [Документация](https://react.dev)
+//   - [x] useState
+//   > Мои заметки
+
+import { SCHEMA_VERSION } from '../schema'
+import { getSections, getSubtasks, getStatuses, toDefaultStatus } from '../roadmap'
+import { titleFromFileName, createIdGenerator, splitMeta, formatMeta, parseWeight } from './utils'
+
+const CHECKBOX_TO_STATUS = { ' ': 'not-started', '~': 'in-progress', 'x': 'completed', 'X': 'completed' }
+const STATUS_TO_CHECKBOX = { 'not-started': ' ', 'in-progress': '~', 'completed': 'x' }
+
+const CHECKBOX_PATTERN = /^- \[( |x|X|~)\] (.*)$/
+const LINK_PATTERN = /^- \[(.+)\]\((\S+)\)\s*$/
+
+// Пустые строки остаются пустыми: внутри темы парсер сохраняет их как разрыв абзаца
+const indent = (text) => text.split('\n').map(line => (line ? `  ${line}` : '')).join('\n')
+
+// Чек-лист знает только три состояния, поэтому свои статусы карты сводятся к ним
+const serializeItem = (item, statuses) => {
+    const lines = [`- [${STATUS_TO_CHECKBOX[toDefaultStatus(statuses, item.status)]}] ${item.title}${formatMeta({
+        id: item.id,
+        due: item.dueDate,
+        dependsOn: item.dependsOn?.join(','),
+        weight: item.weight,
+        estimate: item.estimateHours
+    })}`]
+
+    const links = item.links ?? []
+
+    if (item.description) lines.push(indent(item.description))
+    links.forEach(link => lines.push(`  - [${link.title}](${link.url})`))
+    getSubtasks(item).forEach(subtask => {
+        lines.push(`  - [${subtask.done ? 'x' : ' '}] ${subtask.title}${formatMeta({ id: subtask.id, weight: subtask.weight })}`)
+    })
+    if (item.userNotes) {
+        lines.push(...item.userNotes.split('\n').map(line => `  > ${line}`.trimEnd()))
+    }
+
+    return lines.join('\n')
+}
+
+const serialize = (roadmap) => {
+    const blocks = [`# ${roadmap.title}${formatMeta({ id: roadmap.id, createdAt: roadmap.createdAt })}`]
+    if (roadmap.description) blocks.push(roadmap.description)
+
+    const statuses = getStatuses(roadmap)
+    const sections = getSections(roadmap)
+    const sectionIds = new Set(sections.map(section => section.id))
+    const unsectioned = roadmap.items.filter(item => !sectionIds.has(item.sectionId))
+    if (unsectioned.length) blocks.push(unsectioned.map(item => serializeItem(item, statuses)).join('\n'))
+
+    sections.forEach(section => {
+        blocks.push(`## ${section.title}${formatMeta({ id: section.id, weight: section.weight })}`)
+        if (section.description) blocks.push(section.description)
+
+        const items = roadmap.items.filter(item => item.sectionId === section.id)
+        if (items.length) blocks.push(items.map(item => serializeItem(item, statuses)).join('\n'))
+    })
+
+    return `${blocks.join('\n\n')}\n`
+}
+
+const parse = (text, { fileName } = {}) => {
+    const roadmap = { schemaVersion: SCHEMA_VERSION, title: '', description: '', sections: [], items: [] }
+    const descriptionLines = []
+    const nextItemId = createIdGenerator()
+    const nextSectionId = createIdGenerator()
+
+    let section = null
+    let item = null
+
+    const finishItem = () => {
+        if (!item) return
+        // Пустые строки после описания отделяют тему от следующего блока
+        while (item.description.at(-1) === '') item.description.pop()
+        item.description = item.description.join('\n')
+        item.userNotes = item.userNotes.join('\n')
+        if (!item.links.length) delete item.links
+        if (!item.subtasks.length) delete item.subtasks
+        roadmap.items.push(item)
+        item = null
+    }
+
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+        const line = rawLine.trimEnd()
+
+        if (/^# /.test(line) && !roadmap.title) {
+            finishItem()
+            const { text: title, meta } = splitMeta(line.slice(2))
+            roadmap.title = title
+            if (meta.id) roadmap.id = meta.id
+            if (meta.createdAt) roadmap.createdAt = meta.createdAt
+            return
+        }
+
+        if (/^## /.test(line)) {
+            finishItem()
+            const { text: title, meta } = splitMeta(line.slice(3))
+            section = { id: nextSectionId(meta.id), title, weight: parseWeight(meta.weight), description: [] }
+            roadmap.sections.push(section)
+            return
+        }
+
+        const checkbox = line.match(CHECKBOX_PATTERN)
+        if (checkbox) {
+            finishItem()
+            const { text: title, meta } = splitMeta(checkbox[2])
+            item = {
+                id: nextItemId(meta.id),
+                title,
+                description: [],
+                links: [],
+                subtasks: [],
+                status: CHECKBOX_TO_STATUS[checkbox[1]],
+                userNotes: [],
+                dueDate: meta.due || null
+            }
+            if (meta.dependsOn) item.dependsOn = meta.dependsOn.split(',').map(id => id.trim()).filter(Boolean)
+            if (meta.weight !== undefined) item.weight = parseWeight(meta.weight)
+            if (meta.estimate !== undefined) item.estimateHours = parseWeight(meta.estimate)
+            if (section) item.sectionId = section.id
+            return
+        }
+
+        // Вложенные строки темы
+        if (item && /^\s+\S/.test(line)) {
+            const content = line.trim()
+            const subtask = content.match(CHECKBOX_PATTERN)
+            const link = content.match(LINK_PATTERN)
+
+            if (subtask) {
+                const { text: title, meta } = splitMeta(subtask[2])
+                item.subtasks.push({
+                    id: meta.id ?? String(item.subtasks.length + 1),
+                    title,
+                    done: subtask[1] !== ' ',
+                    ...(meta.weight !== undefined ? { weight: parseWeight(meta.weight) } : {})
+                })
+            } else if (link) {
+                item.links.push({ title: link[1], url: link[2] })
+            } else if (content.startsWith('>')) {
+                item.userNotes.push(content.replace(/^>\s?/, ''))
+            } else {
+                item.description.push(content)
+            }
+            return
+        }
+
+        if (!line.trim()) {
+            // Разрыв абзаца в описании темы
+            if (item?.description.length) item.description.push('')
+            return
+        }
+
+        // Обычный текст вне тем — описание карты или раздела
+        finishItem()
+        if (section) section.description.push(line.trim())
+        else descriptionLines.push(line.trim())
+    })
+    finishItem()
+
+    roadmap.title = roadmap.title || titleFromFileName(fileName)
+    roadmap.description = descriptionLines.join('\n')
+    roadmap.sections = roadmap.sections.map(({ description, weight, ...rest }) => ({
+        ...rest,
+        ...(description.length ? { description: description.join('\n') } : {}),
+        ...(weight !== undefined ? { weight } : {})
+    }))
+    if (!roadmap.sections.length) delete roadmap.sections
+
+    return roadmap
+}
+
+export default {
+    id: 'markdown',
+    label: 'Markdown',
+    extension: '.md',
+    extensions: ['.md', '.markdown'],
+    mimeType: 'text/markdown;charset=utf-8',
+    parse,
+    serialize
+}
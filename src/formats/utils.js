@@ -0,0 +1,61 @@
+// Общие помощники для форматов импорта и экспорта
+
+import { t } from '../i18n'
+
+// Название карты по имени файла: «react_roadmap_2024-05-01.md» → «react roadmap»
+export const titleFromFileName = (fileName = '') =>
+    fileName
+        .replace(/\.[^.]+$/, '')
+        .replace(/_\d{4}-\d{2}-\d{2}$/, '')
+        .replace(/[_-]+/g, ' ')
+        .trim() || t('formats.importedRoadmap')
+
+// Выдаёт уникальные id: сначала желаемый, при занятости — следующий свободный номер
+export const createIdGenerator = () => {
+    const taken = new Set()
+    let counter = 0
+
+    return (preferred) => {
+        if (preferred && !taken.has(preferred)) {
+            taken.add(preferred)
+            return preferred
+        }
+
+        do {
+            counter += 1
+        } while (taken.has(String(counter)))
+
+        taken.add(String(counter))
+        return String(counter)
+    }
+}
+
+// Метаданные в HTML-комментарии: <!-- id: 3; due: 2024-03-15 -->
+const META_PATTERN = /\s*<!--\s*(.*?)\s*-->\s*$/
+
+export const splitMeta = (text) => {
+    const match = text.match(META_PATTERN)
+    if (!match) return { text: text.trim(), meta: {} }
+
+    const meta = Object.fromEntries(match[1]
+        .split(';')
+        .map(pair => pair.split(':'))
+        .filter(parts => parts.length >= 2)
+        .map(([key, ...value]) => [key.trim(), value.join(':').trim()]))
+
+    return { text: text.slice(0, match.index).trim(), meta }
+}
+
+export const formatMeta = (meta) => {
+    const pairs = Object.entries(meta)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `${key}: ${value}`)
+
+    return pairs.length ? ` <!-- ${pairs.join('; ')} -->` : ''
+}
+
+export const parseWeight = (value) => {
+    if (value === undefined) return undefined
+    const number = Number(value)
+    return Number.isFinite(number) ? number : value
+}
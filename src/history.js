@@ -0,0 +1,29 @@
+// Журнал изменений тем: статус, срок и заметки с отметкой времени.
+// Хранится в roadmap.history и экспортируется вместе с картой.
+
+export const TRACKED_FIELDS = ['status', 'dueDate', 'userNotes']
+
+export const getHistory = (roadmap) => (Array.isArray(roadmap?.history) ? roadmap.history : [])
+
+// Текст заметок может быть длинным — в журнал пишется только сам факт изменения
+const describeChange = (field, from, to) =>
+    field === 'userNotes' ? {} : { from: from ?? null, to: to ?? null }
+
+export const diffItemChanges = (before, after, at) =>
+    TRACKED_FIELDS
+        .filter(field => (before[field] || null) !== (after[field] || null))
+        .map(field => ({ at, itemId: after.id, field, ...describeChange(field, before[field], after[field]) }))
+
+// Сравнивает две версии карты и дописывает изменения тем в журнал прежней версии
+export const withHistory = (before, after, at = new Date().toISOString()) => {
+    const previous = new Map(before.items.map(item => [item.id, item]))
+    const entries = after.items.flatMap(item =>
+        previous.has(item.id) ? diffItemChanges(previous.get(item.id), item, at) : []
+    )
+
+    const history = [...getHistory(before), ...entries]
+    return history.length ? { ...after, history } : after
+}
+
+export const getItemHistory = (roadmap, itemId) =>
+    getHistory(roadmap).filter(entry => entry.itemId === itemId)
@@ -0,0 +1,88 @@
+import { useSyncExternalStore } from 'react'
+import { format, parseISO } from 'date-fns'
+import { ru as ruDateLocale, enUS as enDateLocale } from 'date-fns/locale'
+import ru from './locales/ru'
+import en from './locales/en'
+
+// Переводы интерфейса. Каталог — плоский объект «ключ → строка»;
+// для чисел строка заменяется объектом форм по Intl.PluralRules:
+// { one: '{count} тема', few: '{count} темы', many: '{count} тем', other: '{count} темы' }.
+// Недостающий перевод берётся из русского каталога.
+
+const LOCALE_KEY = 'kr4task:locale'
+export const DEFAULT_LOCALE = 'ru'
+
+export const LOCALES = {
+    ru: { label: 'Русский', messages: ru, dateLocale: ruDateLocale },
+    en: { label: 'English', messages: en, dateLocale: enDateLocale }
+}
+
+const detectLocale = () => {
+    try {
+        const saved = localStorage.getItem(LOCALE_KEY)
+        if (Object.hasOwn(LOCALES, saved)) return saved
+    } catch {
+        // localStorage недоступен — язык определяется по браузеру
+    }
+
+    const language = typeof navigator === 'undefined' ? '' : navigator.language?.slice(0, 2)
+    return Object.hasOwn(LOCALES, language) ? language : DEFAULT_LOCALE
+}
+
+let currentLocale = detectLocale()
+const listeners = new Set()
+const pluralRules = new Map()
+
+const applyToDocument = () => {
+    if (typeof document === 'undefined') return
+    document.documentElement.lang = currentLocale
+    document.title = t('app.documentTitle')
+}
+
+export const getLocale = () => currentLocale
+
+export const setLocale = (locale) => {
+    if (!Object.hasOwn(LOCALES, locale) || locale === currentLocale) return
+
+    currentLocale = locale
+    try {
+        localStorage.setItem(LOCALE_KEY, locale)
+    } catch {
+        // Выбор просто не переживёт перезагрузку
+    }
+    applyToDocument()
+    listeners.forEach(listener => listener())
+}
+
+const subscribe = (listener) => {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+}
+
+// Компонент с этим хуком перерисовывается при смене языка
+export const useLocale = () => useSyncExternalStore(subscribe, getLocale)
+
+const selectPlural = (forms, count) => {
+    if (!pluralRules.has(currentLocale)) pluralRules.set(currentLocale, new Intl.PluralRules(currentLocale))
+    return forms[pluralRules.get(currentLocale).select(count)] ?? forms.other
+}
+
+export const t = (key, params = {}) => {
+    const message = LOCALES[currentLocale].messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key] ?? key
+    const text = typeof message === 'string' ? message : selectPlural(message, params.count ?? 0)
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => (Object.hasOwn(params, name) ? String(params[name]) : match))
+}
+
+applyToDocument()
+
+export const getDateLocale = () => LOCALES[currentLocale].dateLocale
+
+// style — ключ шаблона в каталоге: date.short, date.long, date.dateTime, date.dayMonth
+export const formatDate = (value, style = 'short') => {
+    const date = typeof value === 'string' ? parseISO(value) : value
+    return format(date, t(`date.${style}`), { locale: getDateLocale() })
+}
+
+// Карта может нести переводы своих полей: translations: { en: { title, description } }
+export const getLocalized = (roadmap, field) => roadmap.translations?.[currentLocale]?.[field] || roadmap[field]
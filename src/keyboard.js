@@ -0,0 +1,44 @@
+// Общие правила клавиатурного управления
+
+// Сочетания не срабатывают, пока пользователь печатает
+export const isEditableTarget = (target) =>
+    Boolean(target.closest?.('input, textarea, select, [contenteditable="true"]'))
+
+// Клавиши без модификаторов: Shift допускается, он нужен для некоторых символов
+export const hasModifier = (event) => event.ctrlKey || event.metaKey || event.altKey
+
+const center = (rect) => rect.left + rect.width / 2
+
+// Соседний элемент сетки для стрелки. Влево и вправо — по порядку чтения,
+// вверх и вниз — ближайший по горизонтали элемент соседнего ряда: число колонок зависит от ширины экрана.
+export const findArrowTarget = (elements, current, key) => {
+    const index = elements.indexOf(current)
+    if (index === -1) return null
+
+    switch (key) {
+        case 'ArrowRight': return elements[index + 1] ?? null
+        case 'ArrowLeft': return elements[index - 1] ?? null
+        case 'Home': return elements[0]
+        case 'End': return elements[elements.length - 1]
+        case 'ArrowDown':
+        case 'ArrowUp': {
+            const down = key === 'ArrowDown'
+            const rect = current.getBoundingClientRect()
+            const candidates = elements
+                .map(element => ({ element, rect: element.getBoundingClientRect() }))
+                .filter(candidate => (down ? candidate.rect.top >= rect.bottom : candidate.rect.bottom <= rect.top))
+            if (!candidates.length) return null
+
+            const rowTop = down
+                ? Math.min(...candidates.map(candidate => candidate.rect.top))
+                : Math.max(...candidates.map(candidate => candidate.rect.top))
+            return candidates
+                .filter(candidate => Math.abs(candidate.rect.top - rowTop) < 1)
+                .reduce((best, candidate) =>
+                    (Math.abs(center(candidate.rect) - center(rect)) < Math.abs(center(best.rect) - center(rect)) ? candidate : best))
+                .element
+        }
+        default:
+            return null
+    }
+}
@@ -0,0 +1,473 @@
+// English catalog. Plural forms: one, other.
+
+export default {
+    'common.roadmapNotFound': 'Roadmap not found',
+    'common.openLibrary': 'Open library',
+    'common.save': 'Save',
+    'common.cancel': 'Cancel',
+    'common.close': 'Close',
+    'common.descriptionLabel': 'Description:',
+    'common.completedOf': { one: '{completed} of {count} topic', other: '{completed} of {count} topics' },
+    'common.blocked': 'Has unfinished dependencies',
+    'common.hasNotes': 'Has notes',
+
+    'header.logo': 'Tech Tracker',
+    'header.library': 'Library',
+    'header.stats': 'Statistics',
+    'header.language': 'Interface language',
+    'header.review': 'Review',
+    'header.offline': 'Offline',
+    'header.offlineHint': 'No connection. Changes are saved on this device.',
+    'header.install': 'Install',
+    'header.installHint': 'Install the app and open it outside the browser',
+    'header.sync': 'Sync',
+    'header.commandsHint': 'Command palette (Ctrl+K)',
+
+    'app.saveError': 'Failed to save progress: {message}',
+    'app.restoreError': '{message}. A backup copy was saved. Your saved data will not be overwritten until you upload or create a roadmap.',
+    'app.addRoadmapAction': 'Add roadmap “{title}”',
+    'app.exampleLoadError': 'Failed to load the roadmap',
+    'app.roadmapLoaded': 'Roadmap “{title}” loaded',
+    'app.uploadError': 'Upload error: {message}',
+    'app.updateError': 'Update error: {message}',
+    'app.updateRoadmapAction': 'Update roadmap',
+    'app.roadmapUpdated': 'The roadmap was updated to the new version',
+    'app.nothingToExport': 'Nothing to export',
+    'app.changeRoadmapAction': 'Change roadmap',
+    'app.changeItemAction': 'Change topic',
+    'app.renameRoadmapAction': 'Rename roadmap',
+    'app.copyTitle': '{title} (copy)',
+    'app.duplicateRoadmapAction': 'Duplicate roadmap',
+    'app.deleteRoadmapAction': 'Delete roadmap',
+    'app.roadmapDeleted': 'Roadmap “{title}” deleted',
+    'app.loading': 'Loading roadmap...',
+    'app.fileReadError': 'Failed to read the file',
+    'app.unsupportedFormat': 'Unsupported file format. Allowed: {formats}',
+    'app.documentTitle': 'Personal technology learning tracker',
+    'app.exampleOffline': 'The example could not be loaded: no network connection. Open the app online at least once.',
+    'app.restoreErrorNoBackup': '{message}. Your saved data will not be overwritten until you upload or create a roadmap.',
+
+    'undo.undone': 'Undone: {label}',
+    'undo.redone': 'Redone: {label}',
+    'undo.undo': 'Undo',
+    'undo.redo': 'Redo',
+
+    'commands.title': 'Command palette',
+    'commands.placeholder': 'Topic, status or action…',
+    'commands.results': 'Commands',
+    'commands.nothing': 'Nothing found',
+    'commands.footer': '↑ ↓ — select · Enter — run · Esc — close',
+    'commands.groupStatus': 'Topic status',
+    'commands.groupRoadmap': 'Roadmap',
+    'commands.groupLibrary': 'Library',
+    'commands.groupPages': 'Pages',
+    'commands.groupItems': 'Topics',
+    'commands.setStatus': 'Status: {status}',
+    'commands.openRoadmap': 'Open roadmap “{title}”',
+    'commands.export': 'Export: {format}',
+    'commands.update': 'Update roadmap from file',
+
+    'home.upload': 'Upload roadmap',
+    'home.updateHint': 'Upload a new version of the file and keep your progress',
+    'home.update': 'Update',
+    'home.editRoadmap': 'Edit roadmap',
+    'home.views': 'Roadmap view',
+    'home.viewGrid': 'Grid',
+    'home.viewBoard': 'Board',
+    'home.viewGraph': 'Dependency graph',
+    'home.welcome': 'Welcome to Tech Tracker!',
+    'home.welcomeHint': 'Upload a roadmap (JSON, Markdown, CSV or iCalendar), create your own or start with an example',
+    'home.exampleHint': 'Or use the example React roadmap',
+    'home.openExample': 'Open example',
+    'home.createEmpty': 'Create from scratch',
+    'home.noMatches': 'No topics match the search.',
+
+    'filters.searchPlaceholder': 'Search titles, descriptions and notes',
+    'filters.search': 'Search',
+    'filters.sort': 'Sort:',
+    'filters.status': 'Status',
+    'filters.overdue': 'Overdue',
+    'filters.hasNotes': 'With notes',
+    'filters.due': 'Due:',
+    'filters.dueFrom': 'Due from',
+    'filters.dueTo': 'Due to',
+    'filters.shown': 'Showing {shown} of {count}',
+    'filters.reset': 'Reset filters',
+
+    'card.blockedBy': 'First: {titles}',
+    'card.due': 'Due: {date}',
+    'card.subtasks': 'Subtasks: {done} of {count}',
+    'card.details': 'Details',
+    'card.time': '{spent} of {estimate}',
+    'card.label': '{title}, status: {status}',
+
+    'item.roadmapNotLoaded': 'Roadmap is not loaded',
+    'item.backHome': 'Back to home',
+    'item.notFound': 'Topic not found',
+    'item.backToRoadmapButton': 'Back to roadmap',
+    'item.back': 'Back to roadmap',
+    'item.progress': 'Topic: {item}% · Roadmap: {roadmap}%',
+    'item.blocked': 'This topic is blocked: complete the previous topics first.',
+    'item.subtasks': 'Subtasks',
+    'item.dependsOn': 'Depends on',
+    'item.links': 'Useful links',
+    'item.personal': 'Personalization',
+    'item.edit': 'Edit',
+    'item.statusLabel': 'Status:',
+    'item.dueDateLabel': 'Due date:',
+    'item.notesLabel': 'My notes:',
+    'item.noNotes': 'No notes yet. Click “Edit” to add your notes.',
+    'item.history': 'Change history',
+    'item.estimateLabel': 'Estimate, hours',
+    'item.estimatePlaceholder': 'No estimate',
+    'item.statusSet': 'Status changed: {status}',
+    'item.navigation': 'Adjacent topics',
+    'item.previous': 'Previous',
+    'item.next': 'Next',
+    'item.position': '{position} of {count}',
+    'item.statusKeysHint': 'keys 1–{last} change the status',
+
+    'history.status': 'Status: {from} → {to}',
+    'history.dueDate': 'Due date: {from} → {to}',
+    'history.notes': 'Notes changed',
+
+    'notes.onlyImages': 'Only images can be pasted',
+    'notes.imageTooLarge': 'The image is larger than {size} MB',
+    'notes.imageReadError': 'Failed to read the image',
+    'notes.modeEdit': 'Text',
+    'notes.modeSplit': 'Side by side',
+    'notes.modePreview': 'Preview',
+    'notes.modes': 'Notes mode',
+    'notes.placeholder': 'Markdown is supported: **bold**, `code`, ```code blocks```, lists and links. Images can be pasted from the clipboard.',
+
+    'kanban.dropHere': 'Drag a topic here',
+    'kanban.moveTo': 'Move to “{status}”',
+
+    'graph.label': 'Topic dependency graph',
+
+    'library.title': 'Roadmap library',
+    'library.subtitle': 'All loaded roadmaps with your progress. Pick a roadmap to continue learning.',
+    'library.create': 'Create roadmap',
+    'library.empty': 'The library is empty',
+    'library.emptyHint': 'Upload a roadmap on the home page or create a new one',
+    'library.current': 'Current',
+    'library.open': 'Open',
+    'library.editor': 'Roadmap editor',
+    'library.rename': 'Rename',
+    'library.duplicate': 'Duplicate',
+    'library.delete': 'Delete',
+
+    'share.button': 'Share',
+    'share.hint': 'Copy a read-only link to your progress',
+    'share.copied': 'Read-only link copied',
+    'share.copyPrompt': 'Copy the read-only link:',
+    'share.error': 'Failed to create the link: {message}',
+    'share.loading': 'Opening the progress snapshot...',
+    'share.errorTitle': 'The link cannot be opened',
+    'share.emptyLink': 'The link has no roadmap data — it was probably copied incompletely.',
+    'share.unsupportedVersion': 'The link was created by an incompatible version of the app (version “{version}”).',
+    'share.corrupted': 'The link is damaged: it is truncated or was edited by hand.',
+    'share.invalid': 'The link data failed validation. {message}',
+    'share.banner': 'Read-only: progress snapshot from {date}',
+    'share.bannerNoDate': 'Read-only: progress snapshot',
+    'share.import': 'Add to my library',
+    'share.imported': 'Roadmap “{title}” added to the library',
+    'share.noNotes': 'No notes.',
+
+    'deadlines.title': 'Upcoming deadlines',
+    'deadlines.enableReminders': 'Enable reminders',
+    'deadlines.remindersOn': 'Reminders are on',
+    'deadlines.remindersBlocked': 'Notifications are blocked in the browser settings',
+    'deadlines.schedule': 'Plan deadlines',
+    'deadlines.empty': { one: 'No deadlines in the next {count} day.', other: 'No deadlines in the next {count} days.' },
+    'deadlines.showAll': 'Show all ({count})',
+    'deadlines.showLess': 'Show less',
+    'deadlines.overdue': { one: 'overdue by {count} day', other: 'overdue by {count} days' },
+    'deadlines.today': 'today',
+    'deadlines.tomorrow': 'tomorrow',
+    'deadlines.inDays': { one: 'in {count} day', other: 'in {count} days' },
+
+    'schedule.title': 'Deadline planning',
+    'schedule.hint': 'Deadlines for unfinished topics are set in roadmap order: the available time is split between topics by their weight.',
+    'schedule.targetDate': 'Finish by',
+    'schedule.hoursPerWeek': 'Hours per week',
+    'schedule.invalidTarget': 'The finish date must be after today.',
+    'schedule.invalidHours': 'Enter a positive number of hours per week.',
+    'schedule.nothing': 'All topics are completed — nothing to plan.',
+    'schedule.summary': { one: '{count} topic · about {hours} h', other: '{count} topics · about {hours} h' },
+    'schedule.hours': { one: '{count} hour', other: '{count} hours' },
+    'schedule.apply': 'Apply deadlines',
+    'schedule.action': 'Plan deadlines',
+    'schedule.applied': { one: 'Deadline set for {count} topic', other: 'Deadlines set for {count} topics' },
+    'schedule.hintEstimates': 'Due dates for unfinished topics follow the roadmap order: available time is split by the hours left in their estimates. Topics without an estimate get the average one.',
+
+    'time.title': 'Time tracking',
+    'time.minutes': { one: '{count} min', other: '{count} min' },
+    'time.hours': { one: '{count} hour', other: '{count} hours' },
+    'time.hoursMinutes': '{hours} h {minutes} min',
+    'time.spent': 'Spent {duration}',
+    'time.spentOf': 'Spent {duration} of {estimate}',
+    'time.noEstimate': 'no estimate',
+    'time.progress': '{percent}% by time',
+    'time.progressHint': { one: 'Based on estimates of {count} topic out of {total}', other: 'Based on estimates of {count} topics out of {total}' },
+    'time.start': 'Start',
+    'time.startPomodoro': 'Pomodoro {count} min',
+    'time.stop': 'Stop',
+    'time.discard': 'Discard',
+    'time.timerRunning': 'session in progress',
+    'time.pomodoroRunning': 'left in this pomodoro',
+    'time.pomodoroDone': 'Pomodoro finished',
+    'time.busyWith': 'The timer is already running for',
+    'time.busyElsewhere': 'The timer is already running for a topic in another roadmap',
+    'time.logAction': 'Logging a session',
+    'time.removeAction': 'Removing a session',
+    'time.logged': 'Session logged: {duration}',
+    'time.removeSession': 'Remove session',
+    'time.showAll': { one: 'Show all {count} session', other: 'Show all {count} sessions' },
+    'time.showLess': 'Show less',
+
+    'cards.title': 'Review flashcards',
+    'cards.add': 'Add card',
+    'cards.empty': 'Questions and answers about this topic. Once the topic is completed, its cards join the review queue.',
+    'cards.question': 'Question',
+    'cards.answer': 'Answer',
+    'cards.edit': 'Edit card',
+    'cards.remove': 'Remove card',
+    'cards.removed': 'Card removed',
+    'cards.nextReview': 'Review on {date}',
+    'cards.notReviewed': 'Not reviewed yet',
+    'cards.addAction': 'Adding a card',
+    'cards.editAction': 'Editing a card',
+    'cards.removeAction': 'Removing a card',
+
+    'review.title': 'Review',
+    'review.action': 'Reviewing a card',
+    'review.cardsTotal': { one: '{count} card', other: '{count} cards' },
+    'review.remaining': { one: '{count} card left', other: '{count} cards left' },
+    'review.showAnswer': 'Show answer',
+    'review.grade.again': 'Again',
+    'review.grade.hard': 'Hard',
+    'review.grade.good': 'Good',
+    'review.grade.easy': 'Easy',
+    'review.interval': { one: 'in {count} day', other: 'in {count} days' },
+    'review.doneTitle': 'All done for today',
+    'review.reviewed': { one: '{count} card reviewed.', other: '{count} cards reviewed.' },
+    'review.nextDate': 'Next review on {date}.',
+    'review.emptyTitle': 'No cards yet',
+    'review.emptyHint': 'Add questions and answers on a topic page — they show up here once the topic is completed.',
+    'review.backToRoadmap': 'Back to roadmap',
+    'review.dueBanner': { one: '{count} card is due for review', other: '{count} cards are due for review' },
+
+    'sync.title': 'Sync',
+    'sync.subtitle': 'Progress is stored on this device. Connect your own server to use roadmaps on several devices or as a team.',
+    'sync.settings': 'Server',
+    'sync.adapter': 'Sync method',
+    'sync.endpoint': 'Server address',
+    'sync.token': 'Access token',
+    'sync.tokenPlaceholder': 'If the server requires one',
+    'sync.enabled': 'Enable sync',
+    'sync.serverHint': 'A simple server for testing starts with npm run sync-server and stores data in server/data.json.',
+    'sync.statusTitle': 'Status',
+    'sync.status.off': 'Sync is off',
+    'sync.status.idle': 'Up to date',
+    'sync.status.syncing': 'Syncing…',
+    'sync.status.offline': 'Offline — changes will be sent later',
+    'sync.status.error': 'Sync failed',
+    'sync.lastSynced': 'last synced {date}',
+    'sync.syncNow': 'Sync now',
+    'sync.roadmaps': 'Roadmaps on this device',
+    'sync.enableFirst': 'Save a server address and enable sync to choose roadmaps.',
+    'sync.remoteRoadmaps': 'Roadmaps on the server',
+    'sync.loadRemote': 'Show roadmaps on the server',
+    'sync.noRemoteRoadmaps': 'All roadmaps from the server are already on this device.',
+    'sync.import': 'Download',
+    'sync.imported': 'Roadmap “{title}” downloaded from the server',
+    'sync.importError': 'Could not download the roadmap: {message}',
+    'sync.conflicts': { one: '{title}: {count} conflict', other: '{title}: {count} conflicts' },
+    'sync.conflictCount': { one: '{count} conflict', other: '{count} conflicts' },
+    'sync.conflictBanner': { one: '{count} sync conflict — choose which version to keep', other: '{count} sync conflicts — choose which versions to keep' },
+    'sync.conflictsHint': 'These entries were changed both here and on another device. Choose which version to keep for each.',
+    'sync.roadmapSettings': 'Roadmap settings',
+    'sync.local': 'This device',
+    'sync.remote': 'Server',
+    'sync.deleted': 'deleted',
+    'sync.resolve': 'Apply choices',
+    'sync.invalidEndpoint': 'The server address must start with http:// or https://',
+    'sync.networkError': 'The server is unreachable',
+    'sync.unauthorized': 'The server rejected the access token',
+    'sync.serverError': 'The server responded with error {status}',
+    'sync.badResponse': 'The server sent a response in an unknown format',
+    'sync.kept': 'topic is kept',
+
+    'editor.newRoadmapTitle': 'New roadmap',
+    'editor.newItemTitle': 'New topic',
+    'editor.editRoadmap': 'Edit roadmap',
+    'editor.editItem': 'Edit topic',
+    'editor.addItemAction': 'Add topic',
+    'editor.removeItemAction': 'Delete topic',
+    'editor.itemRemoved': 'Topic “{title}” deleted',
+    'editor.moveItemAction': 'Move topic',
+    'editor.backToRoadmap': 'To roadmap',
+    'editor.autosave': 'Changes are saved automatically',
+    'editor.roadmapTitle': 'Roadmap title:',
+    'editor.problems': 'The roadmap has errors and will fail re-import:',
+    'editor.items': 'Topics ({count})',
+    'editor.addItem': 'Add topic',
+    'editor.empty': 'The roadmap has no topics yet. Click “Add topic” to start.',
+    'editor.dragHint': 'Drag to reorder',
+    'editor.itemTitle': 'Topic title',
+    'editor.moveUp': 'Move up',
+    'editor.moveDown': 'Move down',
+    'editor.details': 'Details',
+    'editor.removeItem': 'Delete topic',
+    'editor.section': 'Section:',
+    'editor.noSection': 'No section',
+    'editor.links': 'Links:',
+    'editor.linkTitle': 'Title',
+    'editor.removeLink': 'Delete link',
+    'editor.addLink': 'Add link',
+
+    'merge.field.title': 'title',
+    'merge.field.description': 'description',
+    'merge.field.links': 'links',
+    'merge.field.dependsOn': 'dependencies',
+    'merge.field.sectionId': 'section',
+    'merge.field.weight': 'weight',
+    'merge.field.subtasks': 'subtasks',
+    'merge.field.sections': 'sections',
+    'merge.field.statuses': 'statuses',
+    'merge.field.translations': 'translations',
+    'merge.field.status': 'status',
+    'merge.field.userNotes': 'notes',
+    'merge.field.dueDate': 'due date',
+    'merge.title': 'Updating “{title}”',
+    'merge.noChanges': 'The file matches the current version of the roadmap, nothing changed.',
+    'merge.roadmap': 'Roadmap',
+    'merge.changedFields': 'Changed: {fields}',
+    'merge.added': 'New topics ({count})',
+    'merge.changed': 'Changed topics ({count})',
+    'merge.removed': 'Topics removed from the file ({count})',
+    'merge.hasProgress': 'has progress',
+    'merge.keep': 'Keep mine',
+    'merge.remove': 'Delete',
+    'merge.conflicts': 'Progress conflicts ({count})',
+    'merge.local': 'My progress',
+    'merge.incoming': 'From the file',
+    'merge.apply': 'Apply',
+    'merge.field.estimateHours': 'time estimate',
+    'merge.field.sessions': 'study sessions',
+    'merge.field.cards': 'flashcards',
+    'merge.cardsCount': { one: '{count} card', other: '{count} cards' },
+    'merge.field.attachments': 'attachments',
+    'merge.field.itemOrder': 'topic order',
+    'merge.field.schemaVersion': 'format version',
+    'merge.attachmentsCount': { one: '{count} attachment', other: '{count} attachments' },
+
+    'stats.title': 'Statistics',
+    'stats.completedOf': { one: '{completed} of {count} topic completed', other: '{completed} of {count} topics completed' },
+    'stats.emptyTitle': 'No history yet',
+    'stats.emptyHint': 'Change topic statuses, due dates and notes — progress statistics will appear here.',
+    'stats.burnUp': 'Completed topics',
+    'stats.timeInStatus': 'Average time in status',
+    'stats.noData': 'no data',
+    'stats.forecast': 'Forecast',
+    'stats.allDone': 'All topics completed 🎉',
+    'stats.forecastHint': 'Topics left: {remaining}. Pace over the last 4 weeks: {rate} per week.',
+    'stats.noForecast': 'Topics left: {remaining}. No topic was completed in the last 4 weeks — the forecast will appear after the first completions.',
+    'stats.activity': 'Activity',
+    'stats.streaks': 'Current streak: {current} · Longest streak: {longest}',
+    'stats.days': { one: '{count} day', other: '{count} days' },
+    'stats.changes': { one: '{count} change', other: '{count} changes' },
+    'stats.chartLabel': { one: '{completed} of {count} topic completed', other: '{completed} of {count} topics completed' },
+
+    'export.button': 'Export',
+
+    'status.not-started': 'Not started',
+    'status.in-progress': 'In progress',
+    'status.completed': 'Completed',
+
+    'sort.order': 'Roadmap order',
+    'sort.due': 'Due date',
+    'sort.status': 'Status',
+    'sort.title': 'Title',
+
+    'date.short': 'MM/dd/yyyy',
+    'date.long': 'MMMM d, yyyy',
+    'date.dateTime': 'MM/dd/yyyy h:mm a',
+    'date.dayMonth': 'MM/dd',
+
+    'formats.csvEmpty': 'The CSV file is empty',
+    'formats.csvNoTitle': 'The CSV file has no required title column',
+    'formats.notIcs': 'The file does not look like an iCalendar calendar',
+    'formats.untitled': 'Untitled',
+    'formats.importedRoadmap': 'Imported roadmap',
+
+    'storage.newerVersion': 'The data was saved by a newer version of the app (version {version})',
+    'storage.outdatedVersion': 'Outdated saved data format (version {version})',
+    'storage.corrupted': 'The saved data is corrupted',
+    'storage.roadmapCorrupted': 'Saved roadmap #{number} is corrupted',
+
+    'schema.linksArray': 'expected an array of links',
+    'schema.linkObject': 'expected an object { title, url }',
+    'schema.linkTitleRequired': 'link title is required',
+    'schema.invalidUrl': 'invalid URL “{url}”',
+    'schema.weightPositive': 'weight must be a positive number',
+    'schema.subtasksArray': 'expected an array of subtasks',
+    'schema.subtaskObject': 'expected an object { id, title, done }',
+    'schema.subtaskIdString': 'subtask id must be a string',
+    'schema.duplicateId': 'id “{id}” is already used',
+    'schema.subtaskTitleRequired': 'subtask title is required',
+    'schema.boolean': 'expected true or false',
+    'schema.attachmentsObject': 'expected an object { id: { name, type, data } }',
+    'schema.attachmentObject': 'expected an object { name, type, data }',
+    'schema.imagesOnly': 'only images are supported',
+    'schema.imageDataUrl': 'expected an image data URL',
+    'schema.historyArray': 'expected an array of history entries',
+    'schema.object': 'expected an object',
+    'schema.isoDateTime': 'expected an ISO date and time',
+    'schema.itemIdString': 'item id must be a string',
+    'schema.allowedFields': 'allowed fields: {fields}',
+    'schema.sectionsArray': 'expected an array of sections',
+    'schema.sectionIdRequired': 'section id is required and must be a string',
+    'schema.sectionTitleRequired': 'section title is required',
+    'schema.descriptionString': 'description must be a string',
+    'schema.statusesArray': 'expected a non-empty array of statuses',
+    'schema.statusObject': 'expected an object { id, label, color, icon, done }',
+    'schema.statusIdRequired': 'status id is required and must be a string',
+    'schema.statusLabelRequired': 'status label is required',
+    'schema.string': 'expected a string',
+    'schema.doneStatusRequired': 'at least one status must be marked as done',
+    'schema.idRequired': 'id is required and must be a string',
+    'schema.duplicateItemId': 'id “{id}” is already used in {path}',
+    'schema.titleRequired': 'title is required',
+    'schema.unknownStatus': 'unknown status “{status}”',
+    'schema.notesString': 'notes must be a string',
+    'schema.invalidDate': 'invalid date “{date}”',
+    'schema.unknownSection': 'unknown section “{section}”',
+    'schema.dependsOnArray': 'expected an array of item ids',
+    'schema.selfDependency': 'an item cannot depend on itself',
+    'schema.unknownItem': 'unknown item “{id}”',
+    'schema.duplicateDependency': 'dependency “{id}” is listed twice',
+    'schema.dependencyCycle': 'dependency cycle {cycle}',
+    'schema.jsonObject': 'expected a JSON object',
+    'schema.expectedVersion': 'expected version {version}',
+    'schema.roadmapIdRequired': 'roadmap id must be a non-empty string',
+    'schema.roadmapTitleRequired': 'roadmap title is required',
+    'schema.itemsArray': 'expected an array of items',
+    'schema.invalidVersion': 'invalid version “{version}”',
+    'schema.newerVersion': 'version {version} is newer than supported ({supported}), please update the app',
+    'schema.root': '(root)',
+    'schema.invalidFile': 'The file failed validation ({count}):',
+    'schema.translationsObject': 'expected an object { language: { title, description } }',
+    'schema.translationObject': 'expected an object { title, description }',
+    'schema.estimatePositive': 'estimate must be a positive number of hours',
+    'schema.sessionsArray': 'expected an array of sessions',
+    'schema.sessionObject': 'expected an object { startedAt, minutes }',
+    'schema.minutesPositive': 'duration must be a positive whole number of minutes',
+    'schema.cardsArray': 'expected an array of cards',
+    'schema.cardObject': 'expected an object { id, question, answer }',
+    'schema.cardIdString': 'card id must be a non-empty string',
+    'schema.cardTextRequired': 'card question and answer are required',
+    'schema.nonNegativeInteger': 'expected a non-negative integer',
+    'schema.invalidEase': 'ease factor must be at least 1.3'
+}
@@ -0,0 +1,474 @@
+// Русский каталог — основной: недостающие в других языках строки берутся отсюда.
+// Формы множественного числа: one — 1, 21; few — 2–4, 22–24; many — 5–20, 25–30.
+
+export default {
+    'common.roadmapNotFound': 'Дорожная карта не найдена',
+    'common.openLibrary': 'Открыть библиотеку',
+    'common.save': 'Сохранить',
+    'common.cancel': 'Отмена',
+    'common.close': 'Закрыть',
+    'common.descriptionLabel': 'Описание:',
+    'common.completedOf': { one: '{completed} из {count} темы', few: '{completed} из {count} тем', many: '{completed} из {count} тем', other: '{completed} из {count} темы' },
+    'common.blocked': 'Есть незавершённые зависимости',
+    'common.hasNotes': 'Есть заметки',
+
+    'header.logo': 'Трекер технологий',
+    'header.library': 'Библиотека',
+    'header.stats': 'Статистика',
+    'header.language': 'Язык интерфейса',
+    'header.review': 'Повторение',
+    'header.offline': 'Без сети',
+    'header.offlineHint': 'Нет подключения. Изменения сохраняются на этом устройстве.',
+    'header.install': 'Установить',
+    'header.installHint': 'Установить приложение и открывать его без браузера',
+    'header.sync': 'Синхронизация',
+    'header.commandsHint': 'Палитра команд (Ctrl+K)',
+
+    'app.saveError': 'Не удалось сохранить прогресс: {message}',
+    'app.restoreError': '{message}. Резервная копия сохранена. Сохранённые данные не будут перезаписаны, пока вы не загрузите или не создадите карту.',
+    'app.addRoadmapAction': 'Добавление карты «{title}»',
+    'app.exampleLoadError': 'Не удалось загрузить дорожную карту',
+    'app.roadmapLoaded': 'Дорожная карта «{title}» загружена',
+    'app.uploadError': 'Ошибка загрузки: {message}',
+    'app.updateError': 'Ошибка обновления: {message}',
+    'app.updateRoadmapAction': 'Обновление карты',
+    'app.roadmapUpdated': 'Карта обновлена до новой версии',
+    'app.nothingToExport': 'Нет данных для экспорта',
+    'app.changeRoadmapAction': 'Изменение карты',
+    'app.changeItemAction': 'Изменение темы',
+    'app.renameRoadmapAction': 'Переименование карты',
+    'app.copyTitle': '{title} (копия)',
+    'app.duplicateRoadmapAction': 'Дублирование карты',
+    'app.deleteRoadmapAction': 'Удаление карты',
+    'app.roadmapDeleted': 'Карта «{title}» удалена',
+    'app.loading': 'Загрузка дорожной карты...',
+    'app.fileReadError': 'Ошибка чтения файла',
+    'app.unsupportedFormat': 'Неподдерживаемый формат файла. Допустимы: {formats}',
+    'app.documentTitle': 'Персональный трекер освоения технологий',
+    'app.exampleOffline': 'Пример не загружен: нет подключения к сети. Откройте приложение хотя бы раз онлайн.',
+    'app.restoreErrorNoBackup': '{message}. Сохранённые данные не будут перезаписаны, пока вы не загрузите или не создадите карту.',
+
+    'undo.undone': 'Отменено: {label}',
+    'undo.redone': 'Повторено: {label}',
+    'undo.undo': 'Отменить',
+    'undo.redo': 'Повторить',
+
+    'commands.title': 'Палитра команд',
+    'commands.placeholder': 'Тема, статус или действие…',
+    'commands.results': 'Команды',
+    'commands.nothing': 'Ничего не найдено',
+    'commands.footer': '↑ ↓ — выбор · Enter — выполнить · Esc — закрыть',
+    'commands.groupStatus': 'Статус темы',
+    'commands.groupRoadmap': 'Карта',
+    'commands.groupLibrary': 'Библиотека',
+    'commands.groupPages': 'Разделы',
+    'commands.groupItems': 'Темы',
+    'commands.setStatus': 'Статус: {status}',
+    'commands.openRoadmap': 'Открыть карту «{title}»',
+    'commands.export': 'Экспорт: {format}',
+    'commands.update': 'Обновить карту из файла',
+
+    'home.upload': 'Загрузить карту',
+    'home.updateHint': 'Загрузить новую версию файла с сохранением прогресса',
+    'home.update': 'Обновить',
+    'home.editRoadmap': 'Редактировать карту',
+    'home.views': 'Вид карты',
+    'home.viewGrid': 'Сетка',
+    'home.viewBoard': 'Доска',
+    'home.viewGraph': 'Граф зависимостей',
+    'home.welcome': 'Добро пожаловать в Трекер технологий!',
+    'home.welcomeHint': 'Загрузите дорожную карту (JSON, Markdown, CSV или iCalendar), создайте свою или начните с примера',
+    'home.exampleHint': 'Или используйте пример дорожной карты React',
+    'home.openExample': 'Открыть пример',
+    'home.createEmpty': 'Создать с нуля',
+    'home.noMatches': 'Нет тем, подходящих под условия поиска.',
+
+    'filters.searchPlaceholder': 'Поиск по названию, описанию и заметкам',
+    'filters.search': 'Поиск',
+    'filters.sort': 'Сортировка:',
+    'filters.status': 'Статус',
+    'filters.overdue': 'Просроченные',
+    'filters.hasNotes': 'С заметками',
+    'filters.due': 'Срок:',
+    'filters.dueFrom': 'Срок с',
+    'filters.dueTo': 'Срок по',
+    'filters.shown': 'Показано {shown} из {count}',
+    'filters.reset': 'Сбросить фильтры',
+
+    'card.blockedBy': 'Сначала: {titles}',
+    'card.due': 'До: {date}',
+    'card.subtasks': 'Подзадачи: {done} из {count}',
+    'card.details': 'Подробнее',
+    'card.time': '{spent} из {estimate}',
+    'card.label': '{title}, статус: {status}',
+
+    'item.roadmapNotLoaded': 'Дорожная карта не загружена',
+    'item.backHome': 'Вернуться на главную',
+    'item.notFound': 'Тема не найдена',
+    'item.backToRoadmapButton': 'Вернуться к карте',
+    'item.back': 'Назад к карте',
+    'item.progress': 'Тема: {item}% · Карта: {roadmap}%',
+    'item.blocked': 'Тема заблокирована: сначала завершите предыдущие темы.',
+    'item.subtasks': 'Подзадачи',
+    'item.dependsOn': 'Зависит от',
+    'item.links': 'Полезные ссылки',
+    'item.personal': 'Персонализация',
+    'item.edit': 'Редактировать',
+    'item.statusLabel': 'Статус:',
+    'item.dueDateLabel': 'Дата завершения:',
+    'item.notesLabel': 'Мои заметки:',
+    'item.noNotes': 'Заметок пока нет. Нажмите «Редактировать», чтобы добавить свои заметки.',
+    'item.history': 'История изменений',
+    'item.estimateLabel': 'Оценка, часов',
+    'item.estimatePlaceholder': 'Без оценки',
+    'item.statusSet': 'Статус изменён: {status}',
+    'item.navigation': 'Соседние темы',
+    'item.previous': 'Предыдущая',
+    'item.next': 'Следующая',
+    'item.position': '{position} из {count}',
+    'item.statusKeysHint': 'клавиши 1–{last} меняют статус',
+
+    'history.status': 'Статус: {from} → {to}',
+    'history.dueDate': 'Срок: {from} → {to}',
+    'history.notes': 'Заметки изменены',
+
+    'notes.onlyImages': 'Можно вставлять только изображения',
+    'notes.imageTooLarge': 'Изображение больше {size} МБ',
+    'notes.imageReadError': 'Ошибка чтения изображения',
+    'notes.modeEdit': 'Текст',
+    'notes.modeSplit': 'Рядом',
+    'notes.modePreview': 'Просмотр',
+    'notes.modes': 'Режим заметок',
+    'notes.placeholder': 'Поддерживается Markdown: **жирный**, `код`, ```блоки кода```, списки и ссылки. Картинки можно вставить из буфера обмена.',
+
+    'kanban.dropHere': 'Перетащите тему сюда',
+    'kanban.moveTo': 'Переместить в «{status}»',
+
+    'graph.label': 'Граф зависимостей тем',
+
+    'library.title': 'Библиотека дорожных карт',
+    'library.subtitle': 'Все загруженные карты с прогрессом. Выберите карту, чтобы продолжить обучение.',
+    'library.create': 'Создать карту',
+    'library.empty': 'Библиотека пуста',
+    'library.emptyHint': 'Загрузите дорожную карту на главной странице или создайте новую',
+    'library.current': 'Текущая',
+    'library.open': 'Открыть',
+    'library.editor': 'Редактор карты',
+    'library.rename': 'Переименовать',
+    'library.duplicate': 'Дублировать',
+    'library.delete': 'Удалить',
+
+    'share.button': 'Поделиться',
+    'share.hint': 'Скопировать ссылку для просмотра прогресса',
+    'share.copied': 'Ссылка для просмотра скопирована',
+    'share.copyPrompt': 'Скопируйте ссылку для просмотра:',
+    'share.error': 'Не удалось создать ссылку: {message}',
+    'share.loading': 'Открываем снимок прогресса...',
+    'share.errorTitle': 'Ссылка не открывается',
+    'share.emptyLink': 'В ссылке нет данных карты — скорее всего, она скопирована не полностью.',
+    'share.unsupportedVersion': 'Ссылка создана несовместимой версией приложения (версия «{version}»).',
+    'share.corrupted': 'Ссылка повреждена: она обрезана или изменена вручную.',
+    'share.invalid': 'Данные в ссылке не прошли проверку. {message}',
+    'share.banner': 'Только просмотр: снимок прогресса от {date}',
+    'share.bannerNoDate': 'Только просмотр: снимок прогресса',
+    'share.import': 'Добавить в мою библиотеку',
+    'share.imported': 'Карта «{title}» добавлена в библиотеку',
+    'share.noNotes': 'Заметок нет.',
+
+    'deadlines.title': 'Ближайшие сроки',
+    'deadlines.enableReminders': 'Включить напоминания',
+    'deadlines.remindersOn': 'Напоминания включены',
+    'deadlines.remindersBlocked': 'Уведомления запрещены в настройках браузера',
+    'deadlines.schedule': 'Спланировать сроки',
+    'deadlines.empty': { one: 'В ближайший {count} день сроков нет.', few: 'В ближайшие {count} дня сроков нет.', many: 'В ближайшие {count} дней сроков нет.', other: 'В ближайшие {count} дня сроков нет.' },
+    'deadlines.showAll': 'Показать все ({count})',
+    'deadlines.showLess': 'Свернуть',
+    'deadlines.overdue': { one: 'просрочено на {count} день', few: 'просрочено на {count} дня', many: 'просрочено на {count} дней', other: 'просрочено на {count} дня' },
+    'deadlines.today': 'сегодня',
+    'deadlines.tomorrow': 'завтра',
+    'deadlines.inDays': { one: 'через {count} день', few: 'через {count} дня', many: 'через {count} дней', other: 'через {count} дня' },
+
+    'schedule.title': 'Планирование сроков',
+    'schedule.hint': 'Сроки невыполненных тем расставляются по порядку карты: доступное время делится между темами пропорционально их весу.',
+    'schedule.targetDate': 'Закончить к',
+    'schedule.hoursPerWeek': 'Часов в неделю',
+    'schedule.invalidTarget': 'Дата окончания должна быть позже сегодняшней.',
+    'schedule.invalidHours': 'Укажите положительное число часов в неделю.',
+    'schedule.nothing': 'Все темы уже выполнены — планировать нечего.',
+    'schedule.summary': { one: '{count} тема · около {hours} ч', few: '{count} темы · около {hours} ч', many: '{count} тем · около {hours} ч', other: '{count} темы · около {hours} ч' },
+    'schedule.hours': { one: '{count} час', few: '{count} часа', many: '{count} часов', other: '{count} часа' },
+    'schedule.apply': 'Применить сроки',
+    'schedule.action': 'Планирование сроков',
+    'schedule.applied': { one: 'Срок назначен {count} теме', few: 'Сроки назначены {count} темам', many: 'Сроки назначены {count} темам', other: 'Сроки назначены {count} темам' },
+    'schedule.hintEstimates': 'Сроки невыполненных тем расставляются по порядку карты: доступное время делится по оставшимся часам из оценок. Темам без оценки достаётся средняя оценка.',
+
+    'time.title': 'Учёт времени',
+    'time.minutes': { one: '{count} минута', few: '{count} минуты', many: '{count} минут', other: '{count} минуты' },
+    'time.hours': { one: '{count} час', few: '{count} часа', many: '{count} часов', other: '{count} часа' },
+    'time.hoursMinutes': '{hours} ч {minutes} мин',
+    'time.spent': 'Потрачено {duration}',
+    'time.spentOf': 'Потрачено {duration} из {estimate}',
+    'time.noEstimate': 'оценки нет',
+    'time.progress': '{percent}% по времени',
+    'time.progressHint': { one: 'По оценкам {count} темы из {total}', few: 'По оценкам {count} тем из {total}', many: 'По оценкам {count} тем из {total}', other: 'По оценкам {count} темы из {total}' },
+    'time.start': 'Старт',
+    'time.startPomodoro': 'Помидор {count} мин',
+    'time.stop': 'Остановить',
+    'time.discard': 'Сбросить',
+    'time.timerRunning': 'идёт занятие',
+    'time.pomodoroRunning': 'до конца помидора',
+    'time.pomodoroDone': 'Помидор завершён',
+    'time.busyWith': 'Таймер уже идёт для темы',
+    'time.busyElsewhere': 'Таймер уже идёт для темы другой карты',
+    'time.logAction': 'Запись занятия',
+    'time.removeAction': 'Удаление занятия',
+    'time.logged': 'Записано занятие: {duration}',
+    'time.removeSession': 'Удалить занятие',
+    'time.showAll': { one: 'Показать все {count} занятие', few: 'Показать все {count} занятия', many: 'Показать все {count} занятий', other: 'Показать все {count} занятия' },
+    'time.showLess': 'Свернуть',
+
+    'cards.title': 'Карточки для повторения',
+    'cards.add': 'Добавить карточку',
+    'cards.empty': 'Вопросы и ответы по теме. Когда тема будет выполнена, карточки попадут в повторение.',
+    'cards.question': 'Вопрос',
+    'cards.answer': 'Ответ',
+    'cards.edit': 'Изменить карточку',
+    'cards.remove': 'Удалить карточку',
+    'cards.removed': 'Карточка удалена',
+    'cards.nextReview': 'Повторить {date}',
+    'cards.notReviewed': 'Ещё не повторялась',
+    'cards.addAction': 'Добавление карточки',
+    'cards.editAction': 'Изменение карточки',
+    'cards.removeAction': 'Удаление карточки',
+
+    'review.title': 'Повторение',
+    'review.action': 'Повторение карточки',
+    'review.cardsTotal': { one: '{count} карточка', few: '{count} карточки', many: '{count} карточек', other: '{count} карточки' },
+    'review.remaining': { one: 'Осталась {count} карточка', few: 'Осталось {count} карточки', many: 'Осталось {count} карточек', other: 'Осталось {count} карточки' },
+    'review.showAnswer': 'Показать ответ',
+    'review.grade.again': 'Забыл',
+    'review.grade.hard': 'Трудно',
+    'review.grade.good': 'Хорошо',
+    'review.grade.easy': 'Легко',
+    'review.interval': { one: 'через {count} день', few: 'через {count} дня', many: 'через {count} дней', other: 'через {count} дня' },
+    'review.doneTitle': 'На сегодня всё',
+    'review.reviewed': { one: 'Повторена {count} карточка.', few: 'Повторено {count} карточки.', many: 'Повторено {count} карточек.', other: 'Повторено {count} карточки.' },
+    'review.nextDate': 'Следующее повторение — {date}.',
+    'review.emptyTitle': 'Карточек пока нет',
+    'review.emptyHint': 'Добавьте вопросы и ответы на странице темы — после её выполнения они появятся здесь.',
+    'review.backToRoadmap': 'К дорожной карте',
+    'review.dueBanner': { one: '{count} карточку пора повторить', few: '{count} карточки пора повторить', many: '{count} карточек пора повторить', other: '{count} карточки пора повторить' },
+
+    'sync.title': 'Синхронизация',
+    'sync.subtitle': 'Прогресс хранится на этом устройстве. Подключите свой сервер, чтобы работать с картами с нескольких устройств или всей командой.',
+    'sync.settings': 'Сервер',
+    'sync.adapter': 'Способ синхронизации',
+    'sync.endpoint': 'Адрес сервера',
+    'sync.token': 'Токен доступа',
+    'sync.tokenPlaceholder': 'Если сервер его требует',
+    'sync.enabled': 'Синхронизировать',
+    'sync.serverHint': 'Простой сервер для проверки запускается командой npm run sync-server и хранит данные в файле server/data.json.',
+    'sync.statusTitle': 'Состояние',
+    'sync.status.off': 'Синхронизация выключена',
+    'sync.status.idle': 'Синхронизировано',
+    'sync.status.syncing': 'Синхронизация…',
+    'sync.status.offline': 'Нет сети — изменения отправятся позже',
+    'sync.status.error': 'Ошибка синхронизации',
+    'sync.lastSynced': 'последняя синхронизация {date}',
+    'sync.syncNow': 'Синхронизировать сейчас',
+    'sync.roadmaps': 'Карты на этом устройстве',
+    'sync.enableFirst': 'Чтобы выбрать карты, сохраните адрес сервера и включите синхронизацию.',
+    'sync.remoteRoadmaps': 'Карты на сервере',
+    'sync.loadRemote': 'Показать карты на сервере',
+    'sync.noRemoteRoadmaps': 'Все карты с сервера уже есть на этом устройстве.',
+    'sync.import': 'Загрузить',
+    'sync.imported': 'Карта «{title}» загружена с сервера',
+    'sync.importError': 'Не удалось загрузить карту: {message}',
+    'sync.conflicts': { one: '{title}: {count} конфликт', few: '{title}: {count} конфликта', many: '{title}: {count} конфликтов', other: '{title}: {count} конфликта' },
+    'sync.conflictCount': { one: '{count} конфликт', few: '{count} конфликта', many: '{count} конфликтов', other: '{count} конфликта' },
+    'sync.conflictBanner': { one: '{count} конфликт синхронизации — выберите, какую версию оставить', few: '{count} конфликта синхронизации — выберите, какие версии оставить', many: '{count} конфликтов синхронизации — выберите, какие версии оставить', other: '{count} конфликта синхронизации — выберите, какие версии оставить' },
+    'sync.conflictsHint': 'Эти записи изменили и здесь, и на другом устройстве. Для каждой выберите, какую версию оставить.',
+    'sync.roadmapSettings': 'Настройки карты',
+    'sync.local': 'Эта версия',
+    'sync.remote': 'С сервера',
+    'sync.deleted': 'удалена',
+    'sync.resolve': 'Применить выбор',
+    'sync.invalidEndpoint': 'Адрес сервера должен начинаться с http:// или https://',
+    'sync.networkError': 'Сервер недоступен',
+    'sync.unauthorized': 'Сервер отклонил токен доступа',
+    'sync.serverError': 'Сервер ответил ошибкой {status}',
+    'sync.badResponse': 'Сервер прислал ответ в неизвестном формате',
+    'sync.kept': 'тема остаётся',
+
+    'editor.newRoadmapTitle': 'Новая дорожная карта',
+    'editor.newItemTitle': 'Новая тема',
+    'editor.editRoadmap': 'Редактирование карты',
+    'editor.editItem': 'Редактирование темы',
+    'editor.addItemAction': 'Добавление темы',
+    'editor.removeItemAction': 'Удаление темы',
+    'editor.itemRemoved': 'Тема «{title}» удалена',
+    'editor.moveItemAction': 'Перемещение темы',
+    'editor.backToRoadmap': 'К карте',
+    'editor.autosave': 'Изменения сохраняются автоматически',
+    'editor.roadmapTitle': 'Название карты:',
+    'editor.problems': 'Карта содержит ошибки и не пройдёт повторный импорт:',
+    'editor.items': 'Темы ({count})',
+    'editor.addItem': 'Добавить тему',
+    'editor.empty': 'В карте пока нет тем. Нажмите «Добавить тему», чтобы начать.',
+    'editor.dragHint': 'Перетащите, чтобы изменить порядок',
+    'editor.itemTitle': 'Название темы',
+    'editor.moveUp': 'Переместить выше',
+    'editor.moveDown': 'Переместить ниже',
+    'editor.details': 'Подробнее',
+    'editor.removeItem': 'Удалить тему',
+    'editor.section': 'Раздел:',
+    'editor.noSection': 'Без раздела',
+    'editor.links': 'Ссылки:',
+    'editor.linkTitle': 'Название',
+    'editor.removeLink': 'Удалить ссылку',
+    'editor.addLink': 'Добавить ссылку',
+
+    'merge.field.title': 'название',
+    'merge.field.description': 'описание',
+    'merge.field.links': 'ссылки',
+    'merge.field.dependsOn': 'зависимости',
+    'merge.field.sectionId': 'раздел',
+    'merge.field.weight': 'вес',
+    'merge.field.subtasks': 'подзадачи',
+    'merge.field.sections': 'разделы',
+    'merge.field.statuses': 'статусы',
+    'merge.field.translations': 'переводы',
+    'merge.field.status': 'статус',
+    'merge.field.userNotes': 'заметки',
+    'merge.field.dueDate': 'дата завершения',
+    'merge.title': 'Обновление «{title}»',
+    'merge.noChanges': 'Файл совпадает с текущей версией карты, изменений нет.',
+    'merge.roadmap': 'Карта',
+    'merge.changedFields': 'Изменено: {fields}',
+    'merge.added': 'Новые темы ({count})',
+    'merge.changed': 'Изменённые темы ({count})',
+    'merge.removed': 'Удалённые из файла темы ({count})',
+    'merge.hasProgress': 'есть прогресс',
+    'merge.keep': 'Оставить у себя',
+    'merge.remove': 'Удалить',
+    'merge.conflicts': 'Конфликты прогресса ({count})',
+    'merge.local': 'Мой прогресс',
+    'merge.incoming': 'Из файла',
+    'merge.apply': 'Применить',
+    'merge.field.estimateHours': 'оценка времени',
+    'merge.field.sessions': 'занятия',
+    'merge.field.cards': 'карточки',
+    'merge.cardsCount': { one: '{count} карточка', few: '{count} карточки', many: '{count} карточек', other: '{count} карточки' },
+    'merge.field.attachments': 'вложения',
+    'merge.field.itemOrder': 'порядок тем',
+    'merge.field.schemaVersion': 'версия формата',
+    'merge.attachmentsCount': { one: '{count} вложение', few: '{count} вложения', many: '{count} вложений', other: '{count} вложения' },
+
+    'stats.title': 'Статистика',
+    'stats.completedOf': { one: '{completed} из {count} темы выполнено', few: '{completed} из {count} тем выполнено', many: '{completed} из {count} тем выполнено', other: '{completed} из {count} темы выполнено' },
+    'stats.emptyTitle': 'История пока пуста',
+    'stats.emptyHint': 'Меняйте статусы, сроки и заметки тем — здесь появится статистика прогресса.',
+    'stats.burnUp': 'Выполненные темы',
+    'stats.timeInStatus': 'Среднее время в статусе',
+    'stats.noData': 'нет данных',
+    'stats.forecast': 'Прогноз',
+    'stats.allDone': 'Все темы выполнены 🎉',
+    'stats.forecastHint': 'Осталось тем: {remaining}. Темп за последние 4 недели — {rate} в неделю.',
+    'stats.noForecast': 'Осталось тем: {remaining}. За последние 4 недели ни одна тема не завершена — прогноз появится после первых завершений.',
+    'stats.activity': 'Активность',
+    'stats.streaks': 'Текущая серия: {current} · Лучшая серия: {longest}',
+    'stats.days': { one: '{count} день', few: '{count} дня', many: '{count} дней', other: '{count} дня' },
+    'stats.changes': { one: '{count} изменение', few: '{count} изменения', many: '{count} изменений', other: '{count} изменения' },
+    'stats.chartLabel': { one: 'Выполнено {completed} из {count} темы', few: 'Выполнено {completed} из {count} тем', many: 'Выполнено {completed} из {count} тем', other: 'Выполнено {completed} из {count} темы' },
+
+    'export.button': 'Экспорт',
+
+    'status.not-started': 'Не начат',
+    'status.in-progress': 'В работе',
+    'status.completed': 'Выполнено',
+
+    'sort.order': 'Порядок карты',
+    'sort.due': 'Дата завершения',
+    'sort.status': 'Статус',
+    'sort.title': 'Название',
+
+    'date.short': 'dd.MM.yyyy',
+    'date.long': 'd MMMM yyyy',
+    'date.dateTime': 'dd.MM.yyyy HH:mm',
+    'date.dayMonth': 'dd.MM',
+
+    'formats.csvEmpty': 'CSV-файл пуст',
+    'formats.csvNoTitle': 'В CSV нет обязательной колонки title',
+    'formats.notIcs': 'Файл не похож на календарь iCalendar',
+    'formats.untitled': 'Без названия',
+    'formats.importedRoadmap': 'Импортированная карта',
+
+    'storage.newerVersion': 'Данные сохранены более новой версией приложения (версия {version})',
+    'storage.outdatedVersion': 'Устаревший формат сохранённых данных (версия {version})',
+    'storage.corrupted': 'Сохранённые данные повреждены',
+    'storage.roadmapCorrupted': 'Сохранённая дорожная карта №{number} повреждена',
+
+    'schema.linksArray': 'ожидается массив ссылок',
+    'schema.linkObject': 'ожидается объект { title, url }',
+    'schema.linkTitleRequired': 'название ссылки обязательно',
+    'schema.invalidUrl': 'некорректный адрес «{url}»',
+    'schema.weightPositive': 'вес должен быть положительным числом',
+    'schema.subtasksArray': 'ожидается массив подзадач',
+    'schema.subtaskObject': 'ожидается объект { id, title, done }',
+    'schema.subtaskIdString': 'id подзадачи должен быть строкой',
+    'schema.duplicateId': 'id «{id}» уже используется',
+    'schema.subtaskTitleRequired': 'название подзадачи обязательно',
+    'schema.boolean': 'ожидается true или false',
+    'schema.attachmentsObject': 'ожидается объект { id: { name, type, data } }',
+    'schema.attachmentObject': 'ожидается объект { name, type, data }',
+    'schema.imagesOnly': 'поддерживаются только изображения',
+    'schema.imageDataUrl': 'ожидается data URL изображения',
+    'schema.historyArray': 'ожидается массив записей журнала',
+    'schema.object': 'ожидается объект',
+    'schema.isoDateTime': 'ожидается дата и время в формате ISO',
+    'schema.itemIdString': 'id темы должен быть строкой',
+    'schema.allowedFields': 'допустимые поля: {fields}',
+    'schema.sectionsArray': 'ожидается массив разделов',
+    'schema.sectionIdRequired': 'id раздела обязателен и должен быть строкой',
+    'schema.sectionTitleRequired': 'название раздела обязательно',
+    'schema.descriptionString': 'описание должно быть строкой',
+    'schema.statusesArray': 'ожидается непустой массив статусов',
+    'schema.statusObject': 'ожидается объект { id, label, color, icon, done }',
+    'schema.statusIdRequired': 'id статуса обязателен и должен быть строкой',
+    'schema.statusLabelRequired': 'название статуса обязательно',
+    'schema.string': 'ожидается строка',
+    'schema.doneStatusRequired': 'хотя бы один статус должен быть отмечен как done',
+    'schema.idRequired': 'id обязателен и должен быть строкой',
+    'schema.duplicateItemId': 'id «{id}» уже используется в {path}',
+    'schema.titleRequired': 'название обязательно',
+    'schema.unknownStatus': 'неизвестный статус «{status}»',
+    'schema.notesString': 'заметки должны быть строкой',
+    'schema.invalidDate': 'некорректная дата «{date}»',
+    'schema.unknownSection': 'неизвестный раздел «{section}»',
+    'schema.dependsOnArray': 'ожидается массив id тем',
+    'schema.selfDependency': 'тема не может зависеть от самой себя',
+    'schema.unknownItem': 'неизвестная тема «{id}»',
+    'schema.duplicateDependency': 'зависимость «{id}» указана повторно',
+    'schema.dependencyCycle': 'цикл зависимостей {cycle}',
+    'schema.jsonObject': 'ожидается JSON-объект',
+    'schema.expectedVersion': 'ожидается версия {version}',
+    'schema.roadmapIdRequired': 'id карты должен быть непустой строкой',
+    'schema.roadmapTitleRequired': 'название карты обязательно',
+    'schema.itemsArray': 'ожидается массив тем',
+    'schema.invalidVersion': 'некорректная версия «{version}»',
+    'schema.newerVersion': 'версия {version} новее поддерживаемой ({supported}), обновите приложение',
+    'schema.root': '(корень)',
+    'schema.invalidFile': 'Файл не прошёл проверку ({count}):',
+    'schema.translationsObject': 'ожидается объект { язык: { title, description } }',
+    'schema.translationObject': 'ожидается объект { title, description }',
+    'schema.estimatePositive': 'оценка должна быть положительным числом часов',
+    'schema.sessionsArray': 'ожидается массив занятий',
+    'schema.sessionObject': 'ожидается объект { startedAt, minutes }',
+    'schema.minutesPositive': 'длительность — целое положительное число минут',
+    'schema.cardsArray': 'ожидается массив карточек',
+    'schema.cardObject': 'ожидается объект { id, question, answer }',
+    'schema.cardIdString': 'id карточки должен быть непустой строкой',
+    'schema.cardTextRequired': 'вопрос и ответ карточки обязательны',
+    'schema.nonNegativeInteger': 'ожидается целое неотрицательное число',
+    'schema.invalidEase': 'коэффициент лёгкости должен быть не меньше 1.3'
+}
@@ -2,6 +2,7 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import App from './App.jsx'
+import { registerServiceWorker } from './pwa'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
@@ -10,4 +11,6 @@ ReactDOM.createRoot(document.getElementById('root')).render(
             <App />
         </BrowserRouter>
     </React.StrictMode>,
-)
\ No newline at end of file
+)
+
+registerServiceWorker()
\ No newline at end of file
@@ -0,0 +1,140 @@
+// Обновление карты новой версией файла с сохранением личного прогресса.
+// Темы сопоставляются по id: содержимое берётся из нового файла,
+// пользовательские поля — из текущей карты.
+
+import { getStatuses, getInitialStatus } from './roadmap'
+
+// Поля, которые заполняет сам пользователь и которые нельзя терять при обновлении
+export const USER_FIELDS = ['status', 'userNotes', 'attachments', 'dueDate', 'estimateHours', 'sessions', 'cards']
+
+// Поля, которые задаёт автор карты
+const CONTENT_FIELDS = ['title', 'description', 'links', 'dependsOn', 'sectionId', 'weight', 'subtasks']
+
+// Начальный статус зависит от набора статусов карты
+const getUserFieldDefaults = (roadmap) => ({
+    status: getInitialStatus(getStatuses(roadmap)),
+    userNotes: '',
+    dueDate: null
+})
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+// Отметки подзадач — личный прогресс, при сравнении содержимого не учитываются
+const contentOf = (item, field) =>
+    field === 'subtasks' && Array.isArray(item.subtasks)
+        ? item.subtasks.map(subtask => ({ ...subtask, done: undefined }))
+        : item[field]
+
+const mergeSubtasks = (subtasks, existing) => {
+    if (!Array.isArray(subtasks)) return subtasks
+
+    const doneById = new Map((existing ?? []).map(subtask => [subtask.id, subtask.done]))
+    return subtasks.map(subtask => ({ ...subtask, done: doneById.get(subtask.id) ?? false }))
+}
+
+const isDefault = (item, field, defaults) => isEqual(item[field], defaults[field])
+
+const pickFields = (item, fields) =>
+    Object.fromEntries(fields.filter(field => item[field] !== undefined).map(field => [field, item[field]]))
+
+const hasProgress = (item, defaults) => USER_FIELDS.some(field => !isDefault(item, field, defaults))
+
+// Сравнивает текущую карту с новой версией файла
+export const diffRoadmaps = (current, incoming) => {
+    const currentById = new Map(current.items.map(item => [item.id, item]))
+    const incomingIds = new Set(incoming.items.map(item => item.id))
+    const currentDefaults = getUserFieldDefaults(current)
+    const incomingDefaults = getUserFieldDefaults(incoming)
+
+    const added = []
+    const changed = []
+    const conflicts = []
+
+    incoming.items.forEach(item => {
+        const existing = currentById.get(item.id)
+        if (!existing) {
+            added.push({ id: item.id, title: item.title })
+            return
+        }
+
+        const changedFields = CONTENT_FIELDS.filter(field => !isEqual(contentOf(existing, field), contentOf(item, field)))
+        if (changedFields.length) {
+            changed.push({ id: item.id, title: item.title, previousTitle: existing.title, fields: changedFields })
+        }
+
+        // Конфликт — в файле есть собственный прогресс, отличный от нашего
+        const conflictFields = USER_FIELDS.filter(field =>
+            !isDefault(item, field, incomingDefaults) && !isEqual(existing[field], item[field])
+        )
+        if (conflictFields.length) {
+            conflicts.push({
+                id: item.id,
+                title: item.title,
+                fields: conflictFields,
+                local: pickFields(existing, conflictFields),
+                incoming: pickFields(item, conflictFields)
+            })
+        }
+    })
+
+    const removed = current.items
+        .filter(item => !incomingIds.has(item.id))
+        .map(item => ({ id: item.id, title: item.title, hasProgress: hasProgress(item, currentDefaults) }))
+
+    const metaChanged = ['title', 'description', 'translations', 'sections', 'statuses'].filter(field => !isEqual(current[field], incoming[field]))
+
+    return { added, removed, changed, conflicts, metaChanged }
+}
+
+// Решения по умолчанию: оставляем свой прогресс и темы, по которым он есть
+export const defaultResolutions = (diff) => ({
+    conflicts: Object.fromEntries(diff.conflicts.map(conflict => [conflict.id, 'local'])),
+    removed: Object.fromEntries(diff.removed.map(item => [item.id, item.hasProgress ? 'keep' : 'remove']))
+})
+
+export const isEmptyDiff = (diff) =>
+    !diff.added.length && !diff.removed.length && !diff.changed.length &&
+    !diff.conflicts.length && !diff.metaChanged.length
+
+// Применяет новую версию файла к текущей карте с учётом выбранных решений
+export const mergeRoadmaps = (current, incoming, resolutions) => {
+    const currentById = new Map(current.items.map(item => [item.id, item]))
+    const defaults = getUserFieldDefaults(incoming)
+    const statuses = getStatuses(incoming)
+
+    const items = incoming.items.map(item => {
+        const existing = currentById.get(item.id)
+        if (!existing) {
+            return { ...item, ...defaults, subtasks: mergeSubtasks(item.subtasks, []) }
+        }
+
+        const source = resolutions.conflicts[item.id] === 'incoming' ? item : existing
+        // Вложения ссылаются на текст заметок и берутся из той же версии, что и он
+        const notesSource = source.userNotes === undefined ? existing : source
+        return {
+            ...existing,
+            ...item,
+            ...pickFields(existing, USER_FIELDS),
+            ...pickFields(source, USER_FIELDS),
+            attachments: notesSource.attachments,
+            subtasks: mergeSubtasks(item.subtasks, source.subtasks)
+        }
+    })
+
+    const kept = current.items.filter(item =>
+        !incoming.items.some(incomingItem => incomingItem.id === item.id) &&
+        resolutions.removed[item.id] === 'keep'
+    )
+
+    // Если новая версия сменила набор статусов, исчезнувшие статусы сбрасываются на начальный
+    return {
+        ...current,
+        ...incoming,
+        id: current.id,
+        statuses: incoming.statuses,
+        translations: incoming.translations,
+        items: [...items, ...kept].map(item =>
+            Object.hasOwn(statuses, item.status) ? item : { ...item, status: defaults.status }
+        )
+    }
+}
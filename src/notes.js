@@ -0,0 +1,98 @@
+// Заметки в Markdown: рендеринг с подсветкой кода и очисткой HTML,
+// а также вложенные изображения. Картинки хранятся в item.attachments
+// как data URL, а в тексте заметки на них ссылаются через attachment:<id>.
+
+import { Marked } from 'marked'
+import DOMPurify from 'dompurify'
+import hljs from 'highlight.js/lib/core'
+import bash from 'highlight.js/lib/languages/bash'
+import css from 'highlight.js/lib/languages/css'
+import javascript from 'highlight.js/lib/languages/javascript'
+import json from 'highlight.js/lib/languages/json'
+import python from 'highlight.js/lib/languages/python'
+import sql from 'highlight.js/lib/languages/sql'
+import typescript from 'highlight.js/lib/languages/typescript'
+import xml from 'highlight.js/lib/languages/xml'
+import { t } from './i18n'
+
+hljs.registerLanguage('bash', bash)
+hljs.registerLanguage('css', css)
+hljs.registerLanguage('javascript', javascript)
+hljs.registerLanguage('json', json)
+hljs.registerLanguage('python', python)
+hljs.registerLanguage('sql', sql)
+hljs.registerLanguage('typescript', typescript)
+hljs.registerLanguage('xml', xml)
+
+export const ATTACHMENT_PREFIX = 'attachment:'
+export const MAX_ATTACHMENT_SIZE = 2 * 1024 * 1024
+
+// Ссылки из заметок открываются в новой вкладке
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'A' && node.getAttribute('href')) {
+        node.setAttribute('target', '_blank')
+        node.setAttribute('rel', 'noopener noreferrer')
+    }
+})
+
+const escapeHtml = (text) =>
+    text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+
+const highlightCode = (text, lang) => {
+    const language = lang && hljs.getLanguage(lang) ? lang : null
+    const html = language ? hljs.highlight(text, { language }).value : escapeHtml(text)
+    return `<pre><code class="hljs${language ? ` language-${language}` : ''}">${html}</code></pre>\n`
+}
+
+export const renderMarkdown = (source, attachments = {}) => {
+    const marked = new Marked({
+        gfm: true,
+        breaks: true,
+        renderer: {
+            code: ({ text, lang }) => highlightCode(text, lang?.split(/\s/)[0])
+        },
+        walkTokens: (token) => {
+            if (token.type === 'image' && token.href.startsWith(ATTACHMENT_PREFIX)) {
+                token.href = attachments[token.href.slice(ATTACHMENT_PREFIX.length)]?.data ?? ''
+            }
+        }
+    })
+
+    return DOMPurify.sanitize(marked.parse(source ?? ''))
+}
+
+// После id может идти заголовок картинки: ![x](attachment:img-1 "подпись")
+export const getAttachmentIds = (text) =>
+    [...(text ?? '').matchAll(/\(\s*attachment:([\w-]+)[\s)]/g)].map(match => match[1])
+
+// Оставляет только вложения, на которые ещё есть ссылки в тексте
+export const pruneAttachments = (text, attachments = {}) => {
+    const used = new Set(getAttachmentIds(text))
+    return Object.fromEntries(Object.entries(attachments).filter(([id]) => used.has(id)))
+}
+
+export const createAttachmentId = (attachments = {}) => {
+    let index = Object.keys(attachments).length + 1
+    while (attachments[`img-${index}`]) index += 1
+    return `img-${index}`
+}
+
+export const readImageFile = (file) => new Promise((resolve, reject) => {
+    if (!file.type.startsWith('image/')) {
+        reject(new Error(t('notes.onlyImages')))
+        return
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+        reject(new Error(t('notes.imageTooLarge', { size: MAX_ATTACHMENT_SIZE / 1024 / 1024 })))
+        return
+    }
+
+    const reader = new FileReader()
+    reader.onload = (e) => resolve({ name: file.name || 'image', type: file.type, data: e.target.result })
+    reader.onerror = () => reject(new Error(t('notes.imageReadError')))
+    reader.readAsDataURL(file)
+})
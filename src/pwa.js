@@ -0,0 +1,57 @@
+// Работа без сети и установка приложения: регистрация сервис-воркера,
+// состояние подключения и отложенное предложение установки.
+
+import { useSyncExternalStore } from 'react'
+
+// Воркер есть только в сборке: в режиме разработки он мешал бы горячей перезагрузке
+export const registerServiceWorker = () => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/service-worker.js').catch(err => {
+            console.error('Не удалось зарегистрировать сервис-воркер:', err)
+        })
+    })
+}
+
+const subscribeOnline = (listener) => {
+    window.addEventListener('online', listener)
+    window.addEventListener('offline', listener)
+    return () => {
+        window.removeEventListener('online', listener)
+        window.removeEventListener('offline', listener)
+    }
+}
+
+export const useOnlineStatus = () => useSyncExternalStore(subscribeOnline, () => navigator.onLine)
+
+// Браузер присылает beforeinstallprompt один раз — событие храним до нажатия кнопки
+let installPrompt = null
+const installListeners = new Set()
+
+const setInstallPrompt = (prompt) => {
+    installPrompt = prompt
+    installListeners.forEach(listener => listener())
+}
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('beforeinstallprompt', (event) => {
+        event.preventDefault()
+        setInstallPrompt(event)
+    })
+    window.addEventListener('appinstalled', () => setInstallPrompt(null))
+}
+
+const subscribeInstall = (listener) => {
+    installListeners.add(listener)
+    return () => installListeners.delete(listener)
+}
+
+export const useCanInstall = () => useSyncExternalStore(subscribeInstall, () => installPrompt !== null)
+
+export const promptInstall = async () => {
+    if (!installPrompt) return
+    const prompt = installPrompt
+    setInstallPrompt(null)
+    await prompt.prompt()
+}
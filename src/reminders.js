@@ -0,0 +1,77 @@
+// Напоминания о сроках через Notifications API. О каждой теме напоминаем
+// не чаще раза в день: отметки об отправленных хранятся в localStorage.
+
+import { useEffect } from 'react'
+import { format } from 'date-fns'
+import { getDueReminders, describeDaysLeft } from './deadlines'
+import { getLocalized } from './i18n'
+
+const SENT_KEY = 'kr4task:reminders'
+const CHECK_INTERVAL_MS = 60 * 60 * 1000
+
+export const isReminderSupported = () => typeof window !== 'undefined' && 'Notification' in window
+
+// 'granted', 'denied', 'default' или 'unsupported'
+export const getReminderPermission = () => (isReminderSupported() ? Notification.permission : 'unsupported')
+
+export const requestReminderPermission = async () =>
+    isReminderSupported() ? Notification.requestPermission() : 'unsupported'
+
+const readSent = () => {
+    try {
+        return JSON.parse(localStorage.getItem(SENT_KEY)) ?? {}
+    } catch {
+        return {}
+    }
+}
+
+// На Android конструктор Notification бросает TypeError: уведомление показывает
+// сервис-воркер, а без него — сам браузер, если умеет
+export const showNotification = async (title, options) => {
+    try {
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : undefined
+        if (registration) {
+            await registration.showNotification(title, options)
+            return
+        }
+
+        const notification = new Notification(title, options)
+        notification.onclick = () => window.focus()
+    } catch (err) {
+        console.error('Не удалось показать уведомление:', err)
+    }
+}
+
+const sendReminders = (roadmaps) => {
+    if (getReminderPermission() !== 'granted') return
+
+    const today = format(new Date(), 'yyyy-MM-dd')
+    // Вчерашние отметки отбрасываются, поэтому напоминание повторится на следующий день
+    const sent = Object.fromEntries(Object.entries(readSent()).filter(([, day]) => day === today))
+
+    getDueReminders(roadmaps).forEach(({ roadmap, item, daysLeft }) => {
+        const key = `${roadmap.id}/${item.id}/${item.dueDate}`
+        if (sent[key]) return
+
+        showNotification(item.title, {
+            body: `${describeDaysLeft(daysLeft)} · ${getLocalized(roadmap, 'title')}`,
+            tag: key
+        })
+        sent[key] = today
+    })
+
+    try {
+        localStorage.setItem(SENT_KEY, JSON.stringify(sent))
+    } catch {
+        // Без отметок напоминание просто может повториться
+    }
+}
+
+// Проверяет сроки при изменении библиотеки и раз в час, пока приложение открыто
+export const useDeadlineReminders = (roadmaps) => {
+    useEffect(() => {
+        sendReminders(roadmaps)
+        const timer = setInterval(() => sendReminders(roadmaps), CHECK_INTERVAL_MS)
+        return () => clearInterval(timer)
+    }, [roadmaps])
+}
@@ -0,0 +1,85 @@
+// Интервальное повторение по SM-2. Карточки темы — item.cards:
+// [{ id, question, answer, review }], где review — состояние повторения
+// { repetitions, interval, ease, dueDate, reviewedAt } или отсутствует у новых карточек.
+// В очередь попадают только карточки выполненных тем.
+
+import { addDays, format, isValid, parseISO, startOfToday } from 'date-fns'
+import { getStatuses, isDoneStatus } from './roadmap'
+
+const DAY_KEY = 'yyyy-MM-dd'
+const INITIAL_EASE = 2.5
+const MIN_EASE = 1.3
+
+// Оценки ответа по шкале SM-2 (0–5); ниже 3 — карточка забыта
+export const GRADES = [
+    { id: 'again', quality: 1 },
+    { id: 'hard', quality: 3 },
+    { id: 'good', quality: 4 },
+    { id: 'easy', quality: 5 }
+]
+
+export const getCards = (item) => (Array.isArray(item.cards) ? item.cards : [])
+
+export const createCardId = (cards) => {
+    const taken = new Set(cards.map(card => card.id))
+    let index = cards.length + 1
+    while (taken.has(String(index))) index += 1
+    return String(index)
+}
+
+// Следующее состояние карточки после ответа с оценкой quality
+export const reviewCard = (review, quality, today = startOfToday()) => {
+    const previous = review ?? { repetitions: 0, interval: 0, ease: INITIAL_EASE }
+    const ease = Math.max(MIN_EASE, previous.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+
+    let repetitions = previous.repetitions + 1
+    let interval
+    if (quality < 3) {
+        repetitions = 0
+        interval = 1
+    } else if (repetitions === 1) {
+        interval = 1
+    } else if (repetitions === 2) {
+        interval = 6
+    } else {
+        interval = Math.round(previous.interval * ease)
+    }
+
+    return {
+        repetitions,
+        interval,
+        ease: Math.round(ease * 100) / 100,
+        dueDate: format(addDays(today, interval), DAY_KEY),
+        reviewedAt: new Date().toISOString()
+    }
+}
+
+const isDue = (card, today) => {
+    if (!card.review) return true
+    const dueDate = parseISO(card.review.dueDate)
+    return !isValid(dueDate) || dueDate <= today
+}
+
+// Карточки выполненных тем, которые пора повторить: сначала просроченные, новые — в конце
+export const getDueCards = (roadmap, today = startOfToday()) => {
+    const statuses = getStatuses(roadmap)
+
+    return roadmap.items
+        .filter(item => isDoneStatus(statuses, item.status))
+        .flatMap(item => getCards(item).filter(card => isDue(card, today)).map(card => ({ item, card })))
+        .sort((a, b) => (a.card.review?.dueDate ?? '9999').localeCompare(b.card.review?.dueDate ?? '9999'))
+}
+
+// Ближайшая дата повторения среди карточек выполненных тем; null — если карточек нет
+export const getNextReviewDate = (roadmap) => {
+    const statuses = getStatuses(roadmap)
+    const dates = roadmap.items
+        .filter(item => isDoneStatus(statuses, item.status))
+        .flatMap(item => getCards(item).map(card => card.review?.dueDate))
+        .filter(Boolean)
+        .sort()
+
+    return dates[0] ?? null
+}
+
+export const countCards = (roadmap) => roadmap.items.reduce((sum, item) => sum + getCards(item).length, 0)
@@ -0,0 +1,129 @@
+// Общие константы и вспомогательные функции для работы с дорожными картами
+
+import { t } from './i18n'
+
+// Статусы по умолчанию — для карт, которые не объявили свои.
+// done: true — статус считается завершением темы. Названия — в каталогах переводов.
+export const STATUSES = {
+    'not-started': { color: 'var(--status-not-started)', icon: '⭕' },
+    'in-progress': { color: 'var(--status-in-progress)', icon: '🔄' },
+    'completed': { color: 'var(--status-completed)', icon: '✅', done: true }
+}
+
+const UNKNOWN_STATUS = { color: 'var(--text-secondary)', icon: '❔' }
+
+// Статусы карты в порядке рабочего процесса: { id: { label, color, icon, done } }
+export const getStatuses = (roadmap) =>
+    Array.isArray(roadmap?.statuses) && roadmap.statuses.length
+        ? Object.fromEntries(roadmap.statuses.map(({ id, ...status }) => [id, { ...UNKNOWN_STATUS, icon: '•', ...status }]))
+        : Object.fromEntries(Object.entries(STATUSES).map(([id, status]) => [id, { ...status, label: t(`status.${id}`) }]))
+
+// Неизвестный статус отображается его id, а не ломает отрисовку
+export const getStatusInfo = (statuses, statusId) =>
+    statuses[statusId] ?? { ...UNKNOWN_STATUS, label: String(statusId) }
+
+export const isDoneStatus = (statuses, statusId) => Boolean(statuses[statusId]?.done)
+
+// Первый статус процесса — начальный для новых тем
+export const getInitialStatus = (statuses) => Object.keys(statuses)[0]
+
+// Приводит статус к стандартному набору — для форматов, где своих статусов нет
+export const toDefaultStatus = (statuses, statusId) => {
+    if (isDoneStatus(statuses, statusId)) return 'completed'
+    return statusId === getInitialStatus(statuses) ? 'not-started' : 'in-progress'
+}
+
+export const countCompleted = (roadmap) => {
+    const statuses = getStatuses(roadmap)
+    return roadmap.items.filter(item => isDoneStatus(statuses, item.status)).length
+}
+
+// Вес раздела, темы или подзадачи; по умолчанию все равны
+export const getWeight = (entity) => entity.weight ?? 1
+
+const weightedAverage = (entries) => {
+    const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0)
+    if (!totalWeight) return 0
+
+    return entries.reduce((sum, entry) => sum + entry.weight * entry.value, 0) / totalWeight
+}
+
+export const getSubtasks = (item) => (Array.isArray(item.subtasks) ? item.subtasks : [])
+
+// Доля выполнения темы от 0 до 1: завершённая тема — целиком,
+// иначе по отмеченным подзадачам с учётом их весов
+export const getItemProgress = (item, statuses) => {
+    if (isDoneStatus(statuses, item.status)) return 1
+
+    const subtasks = getSubtasks(item)
+    if (!subtasks.length) return 0
+
+    return weightedAverage(subtasks.map(subtask => ({
+        weight: getWeight(subtask),
+        value: subtask.done ? 1 : 0
+    })))
+}
+
+const getItemsProgress = (items, statuses) =>
+    weightedAverage(items.map(item => ({ weight: getWeight(item), value: getItemProgress(item, statuses) })))
+
+export const getSections = (roadmap) => (Array.isArray(roadmap.sections) ? roadmap.sections : [])
+
+// Темы, сгруппированные по разделам. Темы без раздела идут первой группой с section = null.
+export const groupBySection = (roadmap) => {
+    const sections = getSections(roadmap)
+    const sectionIds = new Set(sections.map(section => section.id))
+    const groups = []
+
+    const unsectioned = roadmap.items.filter(item => !sectionIds.has(item.sectionId))
+    if (unsectioned.length || !sections.length) {
+        groups.push({ section: null, items: unsectioned })
+    }
+
+    sections.forEach(section => {
+        groups.push({ section, items: roadmap.items.filter(item => item.sectionId === section.id) })
+    })
+
+    return groups
+}
+
+export const toPercent = (fraction) => Math.round(fraction * 100)
+
+export const getSectionProgress = (items, statuses) => toPercent(getItemsProgress(items, statuses))
+
+// Общий прогресс складывается снизу вверх: подзадачи → темы → разделы → карта
+export const calculateProgress = (roadmap) => {
+    if (!roadmap || !roadmap.items.length) return 0
+
+    const statuses = getStatuses(roadmap)
+    const groups = groupBySection(roadmap).filter(group => group.items.length)
+    return toPercent(weightedAverage(groups.map(group => ({
+        weight: group.section ? getWeight(group.section) : 1,
+        value: getItemsProgress(group.items, statuses)
+    }))))
+}
+
+const slugify = (text) =>
+    String(text)
+        .toLowerCase()
+        .trim()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '') || 'roadmap'
+
+// Подбирает идентификатор, не занятый другими картами библиотеки
+export const createRoadmapId = (roadmaps, preferred) => {
+    const taken = new Set(roadmaps.map(roadmap => roadmap.id))
+    const base = String(preferred || 'roadmap')
+
+    if (!taken.has(base)) return base
+
+    let index = 2
+    while (taken.has(`${base}-${index}`)) index += 1
+    return `${base}-${index}`
+}
+
+// Добавляет карту в библиотеку, при необходимости выдавая ей новый id
+export const addRoadmapToLibrary = (roadmaps, roadmap) => {
+    const id = createRoadmapId(roadmaps, roadmap.id || slugify(roadmap.title))
+    return { roadmaps: [...roadmaps, { ...roadmap, id }], id }
+}
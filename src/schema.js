@@ -0,0 +1,543 @@
+import { parseISO, isValid } from 'date-fns'
+import { STATUSES } from './roadmap'
+import { findCycle } from './dependencies'
+import { TRACKED_FIELDS } from './history'
+import { t } from './i18n'
+
+// Схема файла дорожной карты и конвейер миграций старых версий.
+//
+// Версия 1 — исходный формат без поля schemaVersion: статусы, заметки и даты
+// могут отсутствовать, id допускаются числовые, ссылки — строками.
+// Версия 2 — все поля элементов заполнены, id строковые, ссылки вида { title, url }.
+//
+// Необязательные поля версии 2: sections — разделы { id, title, description, weight },
+// у тем — sectionId, weight, dependsOn и subtasks — подзадачи { id, title, done, weight }.
+// У тем также estimateHours — оценка в часах, sessions — занятия { startedAt, minutes }
+// и cards — карточки для повторения { id, question, answer, review }.
+// statuses — свой набор статусов { id, label, color, icon, done },
+// translations — переводы названия и описания карты по языкам: { en: { title, description } }.
+// Разделы можно описывать и вложенно, с темами внутри sections[].items:
+// при импорте они раскладываются в общий список items.
+export const SCHEMA_VERSION = 2
+
+export class RoadmapValidationError extends Error {
+    constructor(problems) {
+        super(`${t('schema.invalidFile', { count: problems.length })}\n${problems
+            .map(problem => `${problem.path}: ${problem.message}`)
+            .join('\n')}`)
+        this.name = 'RoadmapValidationError'
+        this.problems = problems
+    }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const migrateLinkV1 = (link) =>
+    typeof link === 'string' ? { title: link, url: link } : link
+
+const migrateItemV1 = (item) => {
+    if (!isObject(item)) return item
+
+    return {
+        ...item,
+        id: typeof item.id === 'number' ? String(item.id) : item.id,
+        status: item.status || 'not-started',
+        userNotes: item.userNotes || '',
+        dueDate: item.dueDate || null,
+        links: Array.isArray(item.links) ? item.links.map(migrateLinkV1) : item.links
+    }
+}
+
+// Миграции: ключ — версия, из которой выполняется переход на следующую
+const MIGRATIONS = {
+    1: (roadmap) => ({
+        ...roadmap,
+        items: Array.isArray(roadmap.items) ? roadmap.items.map(migrateItemV1) : roadmap.items
+    })
+}
+
+const getSchemaVersion = (data) => data.schemaVersion ?? 1
+
+const normalizeSubtasks = (item) => {
+    if (!isObject(item) || !Array.isArray(item.subtasks)) return item
+
+    return {
+        ...item,
+        subtasks: item.subtasks.map((subtask, index) => isObject(subtask)
+            ? { ...subtask, id: subtask.id ?? String(index + 1), done: subtask.done ?? false }
+            : subtask)
+    }
+}
+
+// Вложенные разделы → плоский список тем с sectionId
+const flattenSections = (roadmap) => {
+    if (!Array.isArray(roadmap.sections)) return roadmap
+    if (!roadmap.sections.some(section => isObject(section) && Array.isArray(section.items))) return roadmap
+
+    const items = Array.isArray(roadmap.items) ? [...roadmap.items] : []
+    const sections = roadmap.sections.map(section => {
+        if (!isObject(section) || !Array.isArray(section.items)) return section
+
+        const { items: sectionItems, ...rest } = section
+        sectionItems.forEach(item => {
+            items.push(isObject(item) ? { ...item, sectionId: section.id } : item)
+        })
+        return rest
+    })
+
+    return { ...roadmap, sections, items }
+}
+
+const normalizeStructure = (data) => {
+    const roadmap = flattenSections(data)
+    return Array.isArray(roadmap.items)
+        ? { ...roadmap, items: roadmap.items.map(normalizeSubtasks) }
+        : roadmap
+}
+
+// Поднимает данные до текущей версии схемы. Некорректные поля не исправляются,
+// их найдёт validateRoadmap.
+export const migrateRoadmap = (data) => {
+    let version = getSchemaVersion(data)
+    let roadmap = data
+
+    while (version < SCHEMA_VERSION) {
+        roadmap = MIGRATIONS[version](roadmap)
+        version += 1
+    }
+
+    return { ...roadmap, schemaVersion: SCHEMA_VERSION }
+}
+
+const isValidDate = (value) =>
+    typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && isValid(parseISO(value))
+
+// Ссылки тем открываются в браузере: допускаем только http и https
+export const isValidUrl = (value) => {
+    try {
+        const url = new URL(value)
+        return url.protocol === 'http:' || url.protocol === 'https:'
+    } catch {
+        return false
+    }
+}
+
+const validateLinks = (links, path, problems) => {
+    if (links === undefined) return
+    if (!Array.isArray(links)) {
+        problems.push({ path, message: t('schema.linksArray') })
+        return
+    }
+
+    links.forEach((link, index) => {
+        const linkPath = `${path}[${index}]`
+        if (!isObject(link)) {
+            problems.push({ path: linkPath, message: t('schema.linkObject') })
+            return
+        }
+        if (typeof link.title !== 'string' || !link.title.trim()) {
+            problems.push({ path: `${linkPath}.title`, message: t('schema.linkTitleRequired') })
+        }
+        if (!isValidUrl(link.url)) {
+            problems.push({ path: `${linkPath}.url`, message: t('schema.invalidUrl', { url: link.url }) })
+        }
+    })
+}
+
+const isValidWeight = (value) => value === undefined || (typeof value === 'number' && Number.isFinite(value) && value > 0)
+
+const validateWeight = (entity, path, problems) => {
+    if (!isValidWeight(entity.weight)) {
+        problems.push({ path: `${path}.weight`, message: t('schema.weightPositive') })
+    }
+}
+
+const validateSubtasks = (subtasks, path, problems) => {
+    if (subtasks === undefined) return
+    if (!Array.isArray(subtasks)) {
+        problems.push({ path, message: t('schema.subtasksArray') })
+        return
+    }
+
+    const seenIds = new Set()
+    subtasks.forEach((subtask, index) => {
+        const subtaskPath = `${path}[${index}]`
+        if (!isObject(subtask)) {
+            problems.push({ path: subtaskPath, message: t('schema.subtaskObject') })
+            return
+        }
+        if (typeof subtask.id !== 'string' || !subtask.id.trim()) {
+            problems.push({ path: `${subtaskPath}.id`, message: t('schema.subtaskIdString') })
+        } else if (seenIds.has(subtask.id)) {
+            problems.push({ path: `${subtaskPath}.id`, message: t('schema.duplicateId', { id: subtask.id }) })
+        } else {
+            seenIds.add(subtask.id)
+        }
+        if (typeof subtask.title !== 'string' || !subtask.title.trim()) {
+            problems.push({ path: `${subtaskPath}.title`, message: t('schema.subtaskTitleRequired') })
+        }
+        if (typeof subtask.done !== 'boolean') {
+            problems.push({ path: `${subtaskPath}.done`, message: t('schema.boolean') })
+        }
+        validateWeight(subtask, subtaskPath, problems)
+    })
+}
+
+// Журнал занятий: начало и длительность каждого
+const validateSessions = (sessions, path, problems) => {
+    if (sessions === undefined) return
+    if (!Array.isArray(sessions)) {
+        problems.push({ path, message: t('schema.sessionsArray') })
+        return
+    }
+
+    sessions.forEach((session, index) => {
+        const sessionPath = `${path}[${index}]`
+        if (!isObject(session)) {
+            problems.push({ path: sessionPath, message: t('schema.sessionObject') })
+            return
+        }
+        if (!isValidDate(session.startedAt)) {
+            problems.push({ path: `${sessionPath}.startedAt`, message: t('schema.invalidDate', { date: session.startedAt }) })
+        }
+        if (!Number.isInteger(session.minutes) || session.minutes <= 0) {
+            problems.push({ path: `${sessionPath}.minutes`, message: t('schema.minutesPositive') })
+        }
+    })
+}
+
+// review — состояние интервального повторения, у новых карточек отсутствует
+const validateCards = (cards, path, problems) => {
+    if (cards === undefined) return
+    if (!Array.isArray(cards)) {
+        problems.push({ path, message: t('schema.cardsArray') })
+        return
+    }
+
+    const seenIds = new Set()
+    cards.forEach((card, index) => {
+        const cardPath = `${path}[${index}]`
+        if (!isObject(card)) {
+            problems.push({ path: cardPath, message: t('schema.cardObject') })
+            return
+        }
+        if (typeof card.id !== 'string' || !card.id.trim()) {
+            problems.push({ path: `${cardPath}.id`, message: t('schema.cardIdString') })
+        } else if (seenIds.has(card.id)) {
+            problems.push({ path: `${cardPath}.id`, message: t('schema.duplicateId', { id: card.id }) })
+        } else {
+            seenIds.add(card.id)
+        }
+        ;['question', 'answer'].forEach(field => {
+            if (typeof card[field] !== 'string' || !card[field].trim()) {
+                problems.push({ path: `${cardPath}.${field}`, message: t('schema.cardTextRequired') })
+            }
+        })
+        if (card.review === undefined) return
+
+        const review = card.review
+        if (!isObject(review)) {
+            problems.push({ path: `${cardPath}.review`, message: t('schema.object') })
+            return
+        }
+        if (!Number.isInteger(review.repetitions) || review.repetitions < 0) {
+            problems.push({ path: `${cardPath}.review.repetitions`, message: t('schema.nonNegativeInteger') })
+        }
+        if (!Number.isInteger(review.interval) || review.interval < 0) {
+            problems.push({ path: `${cardPath}.review.interval`, message: t('schema.nonNegativeInteger') })
+        }
+        if (typeof review.ease !== 'number' || !(review.ease >= 1.3)) {
+            problems.push({ path: `${cardPath}.review.ease`, message: t('schema.invalidEase') })
+        }
+        if (!isValidDate(review.dueDate)) {
+            problems.push({ path: `${cardPath}.review.dueDate`, message: t('schema.invalidDate', { date: review.dueDate }) })
+        }
+    })
+}
+
+// Вложения заметок: только изображения в виде data URL
+const validateAttachments = (attachments, path, problems) => {
+    if (attachments === undefined) return
+    if (!isObject(attachments)) {
+        problems.push({ path, message: t('schema.attachmentsObject') })
+        return
+    }
+
+    Object.entries(attachments).forEach(([id, attachment]) => {
+        const attachmentPath = `${path}.${id}`
+        if (!isObject(attachment)) {
+            problems.push({ path: attachmentPath, message: t('schema.attachmentObject') })
+            return
+        }
+        if (typeof attachment.type !== 'string' || !attachment.type.startsWith('image/')) {
+            problems.push({ path: `${attachmentPath}.type`, message: t('schema.imagesOnly') })
+        }
+        if (typeof attachment.data !== 'string' || !attachment.data.startsWith('data:image/')) {
+            problems.push({ path: `${attachmentPath}.data`, message: t('schema.imageDataUrl') })
+        }
+    })
+}
+
+// Журнал изменений: ссылки на удалённые темы допустимы, журнал их просто пропускает
+const validateHistory = (history, problems) => {
+    if (history === undefined) return
+    if (!Array.isArray(history)) {
+        problems.push({ path: 'history', message: t('schema.historyArray') })
+        return
+    }
+
+    history.forEach((entry, index) => {
+        const path = `history[${index}]`
+        if (!isObject(entry)) {
+            problems.push({ path, message: t('schema.object') })
+            return
+        }
+        if (typeof entry.at !== 'string' || !isValid(parseISO(entry.at))) {
+            problems.push({ path: `${path}.at`, message: t('schema.isoDateTime') })
+        }
+        if (typeof entry.itemId !== 'string') {
+            problems.push({ path: `${path}.itemId`, message: t('schema.itemIdString') })
+        }
+        if (!TRACKED_FIELDS.includes(entry.field)) {
+            problems.push({ path: `${path}.field`, message: t('schema.allowedFields', { fields: TRACKED_FIELDS.join(', ') }) })
+        }
+    })
+}
+
+const validateSections = (sections, problems) => {
+    const ids = new Set()
+    if (sections === undefined) return ids
+    if (!Array.isArray(sections)) {
+        problems.push({ path: 'sections', message: t('schema.sectionsArray') })
+        return ids
+    }
+
+    sections.forEach((section, index) => {
+        const path = `sections[${index}]`
+        if (!isObject(section)) {
+            problems.push({ path, message: t('schema.object') })
+            return
+        }
+        if (typeof section.id !== 'string' || !section.id.trim()) {
+            problems.push({ path: `${path}.id`, message: t('schema.sectionIdRequired') })
+        } else if (ids.has(section.id)) {
+            problems.push({ path: `${path}.id`, message: t('schema.duplicateId', { id: section.id }) })
+        } else {
+            ids.add(section.id)
+        }
+        if (typeof section.title !== 'string' || !section.title.trim()) {
+            problems.push({ path: `${path}.title`, message: t('schema.sectionTitleRequired') })
+        }
+        if (section.description !== undefined && typeof section.description !== 'string') {
+            problems.push({ path: `${path}.description`, message: t('schema.descriptionString') })
+        }
+        validateWeight(section, path, problems)
+    })
+
+    return ids
+}
+
+// Собственный набор статусов карты; без него действуют STATUSES
+const validateStatuses = (statuses, problems) => {
+    if (statuses === undefined) return new Set(Object.keys(STATUSES))
+    if (!Array.isArray(statuses) || !statuses.length) {
+        problems.push({ path: 'statuses', message: t('schema.statusesArray') })
+        return new Set()
+    }
+
+    const ids = new Set()
+    statuses.forEach((status, index) => {
+        const path = `statuses[${index}]`
+        if (!isObject(status)) {
+            problems.push({ path, message: t('schema.statusObject') })
+            return
+        }
+        if (typeof status.id !== 'string' || !status.id.trim()) {
+            problems.push({ path: `${path}.id`, message: t('schema.statusIdRequired') })
+        } else if (ids.has(status.id)) {
+            problems.push({ path: `${path}.id`, message: t('schema.duplicateId', { id: status.id }) })
+        } else {
+            ids.add(status.id)
+        }
+        if (typeof status.label !== 'string' || !status.label.trim()) {
+            problems.push({ path: `${path}.label`, message: t('schema.statusLabelRequired') })
+        }
+        ;['color', 'icon'].forEach(field => {
+            if (status[field] !== undefined && typeof status[field] !== 'string') {
+                problems.push({ path: `${path}.${field}`, message: t('schema.string') })
+            }
+        })
+        if (status.done !== undefined && typeof status.done !== 'boolean') {
+            problems.push({ path: `${path}.done`, message: t('schema.boolean') })
+        }
+    })
+
+    if (!statuses.some(status => isObject(status) && status.done === true)) {
+        problems.push({ path: 'statuses', message: t('schema.doneStatusRequired') })
+    }
+
+    return ids
+}
+
+const validateItem = (item, path, seenIds, problems, sectionIds, statusIds) => {
+    if (!isObject(item)) {
+        problems.push({ path, message: t('schema.object') })
+        return
+    }
+
+    if (typeof item.id !== 'string' || !item.id.trim()) {
+        problems.push({ path: `${path}.id`, message: t('schema.idRequired') })
+    } else if (seenIds.has(item.id)) {
+        problems.push({ path: `${path}.id`, message: t('schema.duplicateItemId', { id: item.id, path: seenIds.get(item.id) }) })
+    } else {
+        seenIds.set(item.id, path)
+    }
+
+    if (typeof item.title !== 'string' || !item.title.trim()) {
+        problems.push({ path: `${path}.title`, message: t('schema.titleRequired') })
+    }
+    if (item.description !== undefined && typeof item.description !== 'string') {
+        problems.push({ path: `${path}.description`, message: t('schema.descriptionString') })
+    }
+    if (!statusIds.has(item.status)) {
+        problems.push({ path: `${path}.status`, message: t('schema.unknownStatus', { status: item.status }) })
+    }
+    if (typeof item.userNotes !== 'string') {
+        problems.push({ path: `${path}.userNotes`, message: t('schema.notesString') })
+    }
+    if (item.dueDate !== null && !isValidDate(item.dueDate)) {
+        problems.push({ path: `${path}.dueDate`, message: t('schema.invalidDate', { date: item.dueDate }) })
+    }
+
+    if (item.sectionId !== undefined && !sectionIds.has(item.sectionId)) {
+        problems.push({ path: `${path}.sectionId`, message: t('schema.unknownSection', { section: item.sectionId }) })
+    }
+
+    if (item.estimateHours !== undefined && !isValidWeight(item.estimateHours)) {
+        problems.push({ path: `${path}.estimateHours`, message: t('schema.estimatePositive') })
+    }
+
+    validateWeight(item, path, problems)
+    validateSessions(item.sessions, `${path}.sessions`, problems)
+    validateCards(item.cards, `${path}.cards`, problems)
+    validateLinks(item.links, `${path}.links`, problems)
+    validateSubtasks(item.subtasks, `${path}.subtasks`, problems)
+    validateAttachments(item.attachments, `${path}.attachments`, problems)
+}
+
+const validateDependencies = (items, problems) => {
+    const ids = new Set(items.filter(isObject).map(item => item.id))
+
+    items.forEach((item, index) => {
+        if (!isObject(item) || item.dependsOn === undefined) return
+
+        const path = `items[${index}].dependsOn`
+        if (!Array.isArray(item.dependsOn)) {
+            problems.push({ path, message: t('schema.dependsOnArray') })
+            return
+        }
+
+        item.dependsOn.forEach((id, dependencyIndex) => {
+            const dependencyPath = `${path}[${dependencyIndex}]`
+            if (id === item.id) {
+                problems.push({ path: dependencyPath, message: t('schema.selfDependency') })
+            } else if (!ids.has(id)) {
+                problems.push({ path: dependencyPath, message: t('schema.unknownItem', { id }) })
+            } else if (item.dependsOn.indexOf(id) !== dependencyIndex) {
+                problems.push({ path: dependencyPath, message: t('schema.duplicateDependency', { id }) })
+            }
+        })
+    })
+
+    const cycle = findCycle(items.filter(isObject))
+    if (cycle) {
+        const index = items.findIndex(item => isObject(item) && item.id === cycle[0])
+        problems.push({ path: `items[${index}].dependsOn`, message: t('schema.dependencyCycle', { cycle: cycle.join(' → ') }) })
+    }
+}
+
+// Переводы названия и описания карты: { en: { title, description } }
+const validateTranslations = (translations, problems) => {
+    if (translations === undefined) return
+    if (!isObject(translations)) {
+        problems.push({ path: 'translations', message: t('schema.translationsObject') })
+        return
+    }
+
+    Object.entries(translations).forEach(([locale, fields]) => {
+        const path = `translations.${locale}`
+        if (!isObject(fields)) {
+            problems.push({ path, message: t('schema.translationObject') })
+            return
+        }
+        ;['title', 'description'].forEach(field => {
+            if (fields[field] !== undefined && typeof fields[field] !== 'string') {
+                problems.push({ path: `${path}.${field}`, message: t('schema.string') })
+            }
+        })
+    })
+}
+
+// Проверяет карту текущей версии схемы и возвращает список всех проблем
+export const validateRoadmap = (roadmap) => {
+    const problems = []
+
+    if (!isObject(roadmap)) {
+        return [{ path: t('schema.root'), message: t('schema.jsonObject') }]
+    }
+
+    if (roadmap.schemaVersion !== SCHEMA_VERSION) {
+        problems.push({ path: 'schemaVersion', message: t('schema.expectedVersion', { version: SCHEMA_VERSION }) })
+    }
+    if (roadmap.id !== undefined && (typeof roadmap.id !== 'string' || !roadmap.id.trim())) {
+        problems.push({ path: 'id', message: t('schema.roadmapIdRequired') })
+    }
+    if (typeof roadmap.title !== 'string' || !roadmap.title.trim()) {
+        problems.push({ path: 'title', message: t('schema.roadmapTitleRequired') })
+    }
+    if (roadmap.description !== undefined && typeof roadmap.description !== 'string') {
+        problems.push({ path: 'description', message: t('schema.descriptionString') })
+    }
+    validateTranslations(roadmap.translations, problems)
+
+    if (!Array.isArray(roadmap.items)) {
+        problems.push({ path: 'items', message: t('schema.itemsArray') })
+        return problems
+    }
+
+    const sectionIds = validateSections(roadmap.sections, problems)
+    const statusIds = validateStatuses(roadmap.statuses, problems)
+    const seenIds = new Map()
+    roadmap.items.forEach((item, index) => {
+        validateItem(item, `items[${index}]`, seenIds, problems, sectionIds, statusIds)
+    })
+    validateDependencies(roadmap.items, problems)
+    validateHistory(roadmap.history, problems)
+
+    return problems
+}
+
+// Полный конвейер импорта: проверка версии, миграции и валидация.
+// Возвращает карту текущей версии или выбрасывает RoadmapValidationError.
+export const importRoadmap = (data) => {
+    if (!isObject(data)) {
+        throw new RoadmapValidationError([{ path: t('schema.root'), message: t('schema.jsonObject') }])
+    }
+
+    const version = getSchemaVersion(data)
+    if (!Number.isInteger(version) || version < 1) {
+        throw new RoadmapValidationError([{ path: 'schemaVersion', message: t('schema.invalidVersion', { version }) }])
+    }
+    if (version > SCHEMA_VERSION) {
+        throw new RoadmapValidationError([{
+            path: 'schemaVersion',
+            message: t('schema.newerVersion', { version, supported: SCHEMA_VERSION })
+        }])
+    }
+
+    const roadmap = migrateRoadmap(normalizeStructure(data))
+    const problems = validateRoadmap(roadmap)
+    if (problems.length) throw new RoadmapValidationError(problems)
+
+    return roadmap
+}
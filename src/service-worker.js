@@ -0,0 +1,99 @@
+// Сервис-воркер: приложение и встроенные карты доступны без сети.
+// Файл не входит в бандл — при сборке плагин из vite.config.js подставляет
+// список файлов сборки и версию и кладёт результат в dist/service-worker.js.
+//
+// Страницы — сначала сеть, при её отсутствии оболочка из кэша (маршруты SPA);
+// файлы сборки с хэшем в имени — из кэша; прочие свои файлы, шрифты
+// и иконки с CDN отдаются из кэша и обновляются в фоне. Запросы
+// к остальным адресам (например, к серверу синхронизации) не трогаем.
+
+const CACHE_VERSION = self.__CACHE_VERSION
+const PRECACHE_FILES = self.__PRECACHE_FILES
+const SHELL_URL = '/'
+const PRECACHE = `kr4task-precache-${CACHE_VERSION}`
+const RUNTIME = 'kr4task-runtime'
+const CDN_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com']
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE)
+            .then(cache => cache.addAll(PRECACHE_FILES))
+            .then(() => self.skipWaiting())
+    )
+})
+
+// Кэши прошлых сборок больше не нужны
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('kr4task-precache-') && key !== PRECACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    )
+})
+
+// Оболочкой становится только HTML: файл или JSON, открытый по ссылке, её не подменит
+const isHtml = (response) => (response.headers.get('Content-Type') ?? '').includes('text/html')
+
+const fromNetworkFirst = async (request) => {
+    try {
+        const response = await fetch(request)
+        if (response.ok && isHtml(response)) {
+            const cache = await caches.open(PRECACHE)
+            await cache.put(SHELL_URL, response.clone())
+        }
+        return response
+    } catch (err) {
+        const cached = await caches.match(SHELL_URL)
+        if (cached) return cached
+        throw err
+    }
+}
+
+const fromCacheFirst = async (request) =>
+    (await caches.match(request)) ?? fetch(request)
+
+const fromStaleWhileRevalidate = async (request, event) => {
+    const cache = await caches.open(RUNTIME)
+    // Встроенные карты лежат в кэше предзагрузки, поэтому ищем во всех кэшах
+    const cached = await caches.match(request)
+    const update = fetch(request)
+        .then(response => {
+            // Ответы CDN без CORS непрозрачны (status 0), но для стилей и шрифтов годятся
+            if (response.ok || response.type === 'opaque') {
+                return cache.put(request, response.clone()).then(() => response)
+            }
+            return response
+        })
+
+    if (cached) {
+        event.waitUntil(update.catch(() => undefined))
+        return cached
+    }
+    return update
+}
+
+// Нажатие на напоминание возвращает к открытому приложению или открывает его
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close()
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then(clients => (clients.length ? clients[0].focus() : self.clients.openWindow(SHELL_URL)))
+    )
+})
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event
+    if (request.method !== 'GET') return
+
+    const url = new URL(request.url)
+    const isOwn = url.origin === self.location.origin
+    if (isOwn && request.mode === 'navigate') {
+        event.respondWith(fromNetworkFirst(request))
+    } else if (isOwn && url.pathname.startsWith('/assets/')) {
+        event.respondWith(fromCacheFirst(request))
+    } else if (isOwn || CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(fromStaleWhileRevalidate(request, event))
+    }
+})
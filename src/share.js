@@ -0,0 +1,75 @@
+// Ссылки для просмотра прогресса без файла. Снимок карты сжимается
+// в zlib и кладётся во фрагмент URL: /shared#1.<base64url>.
+// Фрагмент не уходит на сервер, а контрольная сумма zlib не даёт
+// открыть обрезанную или изменённую вручную ссылку.
+
+import { importRoadmap } from './schema'
+import { t } from './i18n'
+
+const SHARE_VERSION = 1
+export const SHARE_PATH = '/shared'
+
+export class ShareLinkError extends Error {
+    constructor(message, options) {
+        super(message, options)
+        this.name = 'ShareLinkError'
+    }
+}
+
+const transform = async (bytes, stream) =>
+    new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer())
+
+const toBase64Url = (bytes) => {
+    let binary = ''
+    for (let index = 0; index < bytes.length; index += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000))
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+    return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
+
+// Журнал и картинки из заметок не передаются, чтобы ссылка оставалась короткой
+const toSnapshot = (roadmap) => ({
+    ...roadmap,
+    history: undefined,
+    items: roadmap.items.map(item => ({ ...item, attachments: undefined }))
+})
+
+export const encodeSnapshot = async (roadmap, sharedAt = new Date()) => {
+    const json = JSON.stringify({ roadmap: toSnapshot(roadmap), sharedAt: sharedAt.toISOString() })
+    const bytes = await transform(new TextEncoder().encode(json), new CompressionStream('deflate'))
+    return `${SHARE_VERSION}.${toBase64Url(bytes)}`
+}
+
+export const createShareUrl = async (roadmap) =>
+    `${window.location.origin}${SHARE_PATH}#${await encodeSnapshot(roadmap)}`
+
+// Разбирает фрагмент ссылки и возвращает { roadmap, sharedAt }.
+// Любая проблема со ссылкой превращается в ShareLinkError с понятным текстом.
+export const decodeSnapshot = async (fragment) => {
+    const [version, data] = fragment.replace(/^#/, '').split('.')
+    if (!data) throw new ShareLinkError(t('share.emptyLink'))
+    if (Number(version) !== SHARE_VERSION) throw new ShareLinkError(t('share.unsupportedVersion', { version }))
+
+    let payload
+    try {
+        const bytes = await transform(fromBase64Url(data), new DecompressionStream('deflate'))
+        payload = JSON.parse(new TextDecoder().decode(bytes))
+    } catch (err) {
+        throw new ShareLinkError(t('share.corrupted'), { cause: err })
+    }
+    if (!payload || typeof payload !== 'object') throw new ShareLinkError(t('share.corrupted'))
+
+    try {
+        const sharedAt = typeof payload.sharedAt === 'string' && !Number.isNaN(Date.parse(payload.sharedAt))
+            ? payload.sharedAt
+            : null
+        return { roadmap: importRoadmap(payload.roadmap), sharedAt }
+    } catch (err) {
+        throw new ShareLinkError(t('share.invalid', { message: err.message }), { cause: err })
+    }
+}
@@ -0,0 +1,147 @@
+// Статистика по журналу изменений: burn-up, время в статусах,
+// прогноз завершения и календарь активности.
+
+import { addDays, differenceInCalendarDays, eachDayOfInterval, format, min, parseISO, startOfDay, startOfWeek, subDays } from 'date-fns'
+import { getHistory } from './history'
+import { getStatuses, isDoneStatus } from './roadmap'
+
+const DAY_KEY = 'yyyy-MM-dd'
+const FORECAST_WINDOW_DAYS = 28
+
+const getStatusEvents = (roadmap) =>
+    getHistory(roadmap)
+        .filter(entry => entry.field === 'status')
+        .sort((a, b) => a.at.localeCompare(b.at))
+
+// Статус каждой темы до первого записанного изменения
+const getInitialStatuses = (roadmap, events) => {
+    const statuses = new Map(roadmap.items.map(item => [item.id, item.status]))
+    const seen = new Set()
+
+    events.forEach(event => {
+        if (seen.has(event.itemId) || !statuses.has(event.itemId)) return
+        seen.add(event.itemId)
+        statuses.set(event.itemId, event.from)
+    })
+
+    return statuses
+}
+
+// Число выполненных тем на конец каждого дня, начиная с первой записи журнала
+export const getBurnUp = (roadmap, today = new Date()) => {
+    const events = getStatusEvents(roadmap)
+    if (!events.length) return []
+
+    const roadmapStatuses = getStatuses(roadmap)
+    const statuses = getInitialStatuses(roadmap, events)
+    let index = 0
+    // Записи из будущего (часы другого устройства, импортированный файл) в график не попадают,
+    // но и не ломают интервал: eachDayOfInterval не принимает начало позже конца
+    const start = min([startOfDay(parseISO(events[0].at)), today])
+
+    return eachDayOfInterval({ start, end: today }).map(day => {
+        const dayEnd = addDays(day, 1)
+        while (index < events.length && parseISO(events[index].at) < dayEnd) {
+            const event = events[index]
+            if (statuses.has(event.itemId)) statuses.set(event.itemId, event.to)
+            index += 1
+        }
+
+        const completed = [...statuses.values()].filter(status => isDoneStatus(roadmapStatuses, status)).length
+        return { date: day, completed, total: statuses.size }
+    })
+}
+
+// Среднее время (мс) между входом в статус и выходом из него.
+// Учитываются только интервалы, у которых записаны оба конца.
+export const getAverageTimeInStatus = (roadmap) => {
+    const entered = new Map()
+    const totals = {}
+
+    getStatusEvents(roadmap).forEach(event => {
+        const previous = entered.get(event.itemId)
+        if (previous && previous.status === event.from) {
+            const total = totals[event.from] ?? { sum: 0, count: 0 }
+            total.sum += parseISO(event.at) - parseISO(previous.at)
+            total.count += 1
+            totals[event.from] = total
+        }
+        entered.set(event.itemId, { status: event.to, at: event.at })
+    })
+
+    return Object.fromEntries(
+        Object.entries(totals).map(([status, { sum, count }]) => [status, sum / count])
+    )
+}
+
+// Прогноз по чистому темпу завершения за последние четыре недели
+export const getForecast = (roadmap, today = new Date()) => {
+    const statuses = getStatuses(roadmap)
+    const remaining = roadmap.items.filter(item => !isDoneStatus(statuses, item.status)).length
+    const events = getStatusEvents(roadmap)
+    if (!remaining || !events.length) return { remaining, perWeek: 0, date: null }
+
+    const since = subDays(today, FORECAST_WINDOW_DAYS)
+    const net = events
+        .filter(event => parseISO(event.at) >= since)
+        .reduce((sum, event) => {
+            const wasDone = isDoneStatus(statuses, event.from)
+            const isDone = isDoneStatus(statuses, event.to)
+            if (isDone && !wasDone) return sum + 1
+            if (wasDone && !isDone) return sum - 1
+            return sum
+        }, 0)
+
+    const days = Math.min(FORECAST_WINDOW_DAYS, differenceInCalendarDays(today, parseISO(events[0].at)) + 1)
+    if (net <= 0) return { remaining, perWeek: 0, date: null }
+
+    const perDay = net / days
+    return { remaining, perWeek: perDay * 7, date: addDays(today, Math.ceil(remaining / perDay)) }
+}
+
+export const getActivityByDay = (roadmap) => {
+    const activity = new Map()
+    getHistory(roadmap).forEach(entry => {
+        const key = format(parseISO(entry.at), DAY_KEY)
+        activity.set(key, (activity.get(key) ?? 0) + 1)
+    })
+    return activity
+}
+
+// Серия идёт, пока есть активность сегодня или вчера
+export const getStreaks = (activity, today = new Date()) => {
+    const days = [...activity.keys()].sort()
+    let longest = 0
+    let run = 0
+    let previous = null
+
+    days.forEach(key => {
+        const day = parseISO(key)
+        run = previous && differenceInCalendarDays(day, previous) === 1 ? run + 1 : 1
+        longest = Math.max(longest, run)
+        previous = day
+    })
+
+    let current = 0
+    let day = activity.has(format(today, DAY_KEY)) ? today : subDays(today, 1)
+    while (activity.has(format(day, DAY_KEY))) {
+        current += 1
+        day = subDays(day, 1)
+    }
+
+    return { current, longest }
+}
+
+// Недели (с понедельника) для календаря активности, последняя — текущая
+export const getCalendarWeeks = (activity, today = new Date(), weekCount = 18) => {
+    const start = min([startOfWeek(subDays(today, (weekCount - 1) * 7), { weekStartsOn: 1 }), today])
+    const weeks = []
+
+    eachDayOfInterval({ start, end: today }).forEach((date, index) => {
+        if (index % 7 === 0) weeks.push([])
+        const key = format(date, DAY_KEY)
+        weeks[weeks.length - 1].push({ date, key, count: activity.get(key) ?? 0 })
+    })
+
+    return weeks
+}
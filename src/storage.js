@@ -0,0 +1,187 @@
+import { addRoadmapToLibrary } from './roadmap'
+import { migrateRoadmap } from './schema'
+import { t } from './i18n'
+
+// Локальное хранилище состояния приложения.
+// Основной вариант — IndexedDB, при его недоступности используется localStorage.
+
+const DB_NAME = 'kr4task'
+const DB_VERSION = 1
+const STORE_NAME = 'state'
+const STATE_KEY = 'app-state'
+const LOCAL_STORAGE_KEY = 'kr4task:app-state'
+const BACKUP_KEY = 'kr4task:app-state-backup'
+
+// Версия формата сохранённых данных. При изменении формата увеличивается,
+// а для перехода со старой версии добавляется функция в MIGRATIONS.
+export const STORAGE_VERSION = 3
+
+// Миграции: ключ — версия, из которой выполняется переход на следующую
+const MIGRATIONS = {
+    // Одна карта → библиотека карт
+    1: ({ roadmap }) => {
+        if (!roadmap) return { roadmaps: [], activeRoadmapId: null }
+
+        const { roadmaps, id } = addRoadmapToLibrary([], roadmap)
+        return { roadmaps, activeRoadmapId: id }
+    },
+    // Карты без schemaVersion приводятся к текущей схеме
+    2: (state) => ({
+        ...state,
+        roadmaps: Array.isArray(state.roadmaps) ? state.roadmaps.map(migrateRoadmap) : state.roadmaps
+    })
+}
+
+let dbPromise = null
+
+const openDatabase = () => {
+    if (dbPromise) return dbPromise
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB недоступен'))
+            return
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME)
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+        request.onblocked = () => reject(new Error('База данных заблокирована другой вкладкой'))
+    }).catch(err => {
+        dbPromise = null
+        throw err
+    })
+
+    return dbPromise
+}
+
+const runTransaction = async (mode, operation) => {
+    const db = await openDatabase()
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode)
+        const request = operation(transaction.objectStore(STORE_NAME))
+        transaction.oncomplete = () => resolve(request.result)
+        transaction.onerror = () => reject(transaction.error)
+        transaction.onabort = () => reject(transaction.error)
+    })
+}
+
+const readRaw = async () => {
+    try {
+        const value = await runTransaction('readonly', store => store.get(STATE_KEY))
+        if (value !== undefined) return value
+    } catch (err) {
+        console.warn('IndexedDB недоступен, используется localStorage:', err)
+    }
+
+    return localStorage.getItem(LOCAL_STORAGE_KEY)
+}
+
+const writeRaw = async (value) => {
+    try {
+        await runTransaction('readwrite', store => store.put(value, STATE_KEY))
+        localStorage.removeItem(LOCAL_STORAGE_KEY)
+    } catch (err) {
+        console.warn('IndexedDB недоступен, используется localStorage:', err)
+        localStorage.setItem(LOCAL_STORAGE_KEY, value)
+    }
+}
+
+// Ошибка восстановления. backedUp — удалось ли скопировать исходные данные в резерв.
+export class StorageLoadError extends Error {
+    constructor(message, { backedUp, ...options } = {}) {
+        super(message, options)
+        this.name = 'StorageLoadError'
+        this.backedUp = Boolean(backedUp)
+    }
+}
+
+// Копия исходных данных на случай, если их всё же перезапишут.
+// В localStorage большие данные (с картинками в заметках) могут не поместиться.
+const backupRaw = (raw) => {
+    try {
+        localStorage.setItem(BACKUP_KEY, typeof raw === 'string' ? raw : String(raw))
+        return true
+    } catch (err) {
+        console.error('Не удалось сохранить резервную копию данных:', err)
+        return false
+    }
+}
+
+const isValidRoadmap = (roadmap) =>
+    roadmap !== null &&
+    typeof roadmap === 'object' &&
+    typeof roadmap.title === 'string' &&
+    Array.isArray(roadmap.items) &&
+    roadmap.items.every(item => item && typeof item === 'object' && item.id !== undefined)
+
+const migrate = (record) => {
+    let { version, data } = record
+
+    if (version > STORAGE_VERSION) {
+        throw new Error(t('storage.newerVersion', { version }))
+    }
+
+    while (version < STORAGE_VERSION) {
+        const step = MIGRATIONS[version]
+        if (!step) {
+            throw new Error(t('storage.outdatedVersion', { version }))
+        }
+        data = step(data)
+        version += 1
+    }
+
+    return data
+}
+
+const validateState = (state) => {
+    if (!state || typeof state !== 'object' || !Array.isArray(state.roadmaps)) {
+        throw new Error(t('storage.corrupted'))
+    }
+
+    const ids = new Set()
+    state.roadmaps.forEach((roadmap, index) => {
+        if (!isValidRoadmap(roadmap) || !roadmap.id || ids.has(roadmap.id)) {
+            throw new Error(t('storage.roadmapCorrupted', { number: index + 1 }))
+        }
+        ids.add(roadmap.id)
+    })
+
+    if (state.activeRoadmapId !== null && !ids.has(state.activeRoadmapId)) {
+        return { ...state, activeRoadmapId: state.roadmaps[0]?.id ?? null }
+    }
+    return state
+}
+
+// Возвращает сохранённое состояние или null, если сохранений нет.
+// При повреждённых или несовместимых данных исходник копируется в резерв
+// и выбрасывается StorageLoadError с описанием проблемы.
+export const loadState = async () => {
+    const raw = await readRaw()
+    if (raw === null || raw === undefined) return null
+
+    try {
+        const record = JSON.parse(raw)
+        if (!record || typeof record !== 'object' || !Number.isInteger(record.version)) {
+            throw new Error(t('storage.corrupted'))
+        }
+        return validateState(migrate(record))
+    } catch (err) {
+        const backedUp = backupRaw(raw)
+        const message = err instanceof SyntaxError ? t('storage.corrupted') : err.message
+        throw new StorageLoadError(message, { cause: err, backedUp })
+    }
+}
+
+export const saveState = async (state) => {
+    const record = {
+        version: STORAGE_VERSION,
+        savedAt: new Date().toISOString(),
+        data: state
+    }
+    await writeRaw(JSON.stringify(record))
+}
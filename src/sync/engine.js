@@ -0,0 +1,171 @@
+// Сравнение локальной карты с сервером. Карта раскладывается на записи:
+// по одной на тему (ключ — id темы) и META_KEY — всё остальное, кроме журнала,
+// плюс порядок тем. У каждой записи на сервере свой номер ревизии.
+//
+// base — что мы знаем о записях после прошлой синхронизации:
+// { [key]: { revision, hash } }. Запись изменена локально, если её хэш
+// не совпадает с base; изменена на сервере, если ревизия там больше.
+// Изменённая с обеих сторон по-разному запись — конфликт.
+
+export const META_KEY = '$roadmap'
+
+// JSON с упорядоченными ключами: порядок полей не должен влиять на хэш
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`
+    }
+    return JSON.stringify(value)
+}
+
+// FNV-1a: хэш нужен только для сравнения, криптостойкость не важна
+export const hashValue = (value) => {
+    if (value === null || value === undefined) return null
+
+    const text = stableStringify(value)
+    let hash = 0x811c9dc5
+    for (let index = 0; index < text.length; index += 1) {
+        hash ^= text.charCodeAt(index)
+        hash = Math.imul(hash, 0x01000193)
+    }
+    return (hash >>> 0).toString(16)
+}
+
+// Журнал изменений у каждого устройства свой и не синхронизируется
+const NOT_META_FIELDS = new Set(['id', 'items', 'history'])
+
+const getMeta = (roadmap) => ({
+    ...Object.fromEntries(Object.entries(roadmap).filter(([field]) => !NOT_META_FIELDS.has(field))),
+    itemOrder: roadmap.items.map(item => item.id)
+})
+
+export const getEntries = (roadmap) => ({
+    [META_KEY]: getMeta(roadmap),
+    ...Object.fromEntries(roadmap.items.map(item => [item.id, item]))
+})
+
+// Темы, которых нет в порядке с сервера (добавлены здесь), остаются в конце
+const applyMeta = (roadmap, meta) => {
+    const { itemOrder = [], ...fields } = meta
+    const position = new Map(itemOrder.map((id, index) => [id, index]))
+    const items = [...roadmap.items].sort((a, b) =>
+        (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity))
+
+    return { id: roadmap.id, ...fields, history: roadmap.history, items }
+}
+
+const applyEntry = (roadmap, key, value) => {
+    if (key === META_KEY) return value ? applyMeta(roadmap, value) : roadmap
+    if (value === null) return { ...roadmap, items: roadmap.items.filter(item => item.id !== key) }
+
+    return roadmap.items.some(item => item.id === key)
+        ? { ...roadmap, items: roadmap.items.map(item => (item.id === key ? value : item)) }
+        : { ...roadmap, items: [...roadmap.items, value] }
+}
+
+// Записи с сервера, которые можно применить: [{ key, value, expectedHash }].
+// Если запись успела измениться локально (хэш не совпал с expectedHash), она пропускается —
+// правку подхватит следующая синхронизация. Записи без expectedHash применяются всегда.
+export const getFreshEntries = (roadmap, entries) => {
+    const current = getEntries(roadmap)
+    return entries.filter(entry =>
+        entry.expectedHash === undefined || hashValue(current[entry.key]) === entry.expectedHash)
+}
+
+// Применяет записи с сервера. Метаданные применяются последними из-за порядка тем.
+export const applyRemoteEntries = (roadmap, entries) => {
+    const fresh = getFreshEntries(roadmap, entries)
+    const ordered = [...fresh.filter(entry => entry.key !== META_KEY), ...fresh.filter(entry => entry.key === META_KEY)]
+
+    return ordered.reduce((next, entry) => applyEntry(next, entry.key, entry.value), roadmap)
+}
+
+// Собирает карту целиком из записей сервера — для загрузки карты, которой нет на устройстве
+export const buildRoadmap = (roadmapId, remote) => {
+    const items = Object.entries(remote)
+        .filter(([key, entry]) => key !== META_KEY && entry.value)
+        .map(([, entry]) => entry.value)
+
+    return applyRemoteEntries({ id: roadmapId, items }, [{ key: META_KEY, value: remote[META_KEY]?.value ?? null }])
+}
+
+const withoutOrder = (meta) => meta && { ...meta, itemOrder: undefined }
+
+// План синхронизации: что отправить, что применить, где конфликт и какой станет base.
+// remote — { [key]: { revision, value } }, value: null — запись удалена на сервере.
+export const planSync = (roadmap, base, remote) => {
+    const local = getEntries(roadmap)
+    const keys = new Set([...Object.keys(local), ...Object.keys(base), ...Object.keys(remote)])
+    const plan = { push: [], apply: [], conflicts: [], base: { ...base } }
+
+    keys.forEach(key => {
+        const localValue = local[key] ?? null
+        const localHash = hashValue(localValue)
+        const remoteEntry = remote[key] ?? { revision: 0, value: null }
+        const remoteHash = hashValue(remoteEntry.value)
+        let known = base[key] ?? { revision: 0, hash: null }
+
+        // Сервер начал с чистого листа — наши данные для него новые
+        if (remoteEntry.revision < known.revision) known = { revision: remoteEntry.revision, hash: null }
+
+        const localChanged = localHash !== known.hash
+        const remoteChanged = remoteEntry.revision > known.revision
+
+        if (!localChanged && !remoteChanged) return
+
+        if (!remoteChanged) {
+            plan.push.push({ key, baseRevision: known.revision, value: localValue })
+        } else if (!localChanged || localHash === remoteHash) {
+            plan.apply.push({ key, value: remoteEntry.value, expectedHash: localHash })
+            plan.base[key] = { revision: remoteEntry.revision, hash: remoteHash }
+        } else if (key === META_KEY && hashValue(withoutOrder(localValue)) === hashValue(withoutOrder(remoteEntry.value))) {
+            // Разошёлся только порядок тем (темы добавляли на разных устройствах):
+            // берём серверный, свои новые темы остаются в конце и уйдут следующей отправкой
+            plan.apply.push({ key, value: remoteEntry.value, expectedHash: localHash })
+            plan.base[key] = { revision: remoteEntry.revision, hash: remoteHash }
+        } else {
+            plan.conflicts.push({ key, revision: remoteEntry.revision, local: localValue, remote: remoteEntry.value })
+        }
+    })
+
+    return plan
+}
+
+// Учитывает ответ сервера на отправку: принятые записи попадают в base,
+// отклонённые (кто-то успел раньше) становятся конфликтами
+export const applyPushResult = (plan, { applied = [], conflicts = [] }) => {
+    const sent = new Map(plan.push.map(change => [change.key, change.value]))
+    const base = { ...plan.base }
+
+    applied.forEach(({ key, revision }) => {
+        base[key] = { revision, hash: hashValue(sent.get(key)) }
+    })
+
+    return {
+        base,
+        conflicts: [
+            ...plan.conflicts,
+            ...conflicts.map(({ key, revision, value }) => ({ key, revision, local: sent.get(key) ?? null, remote: value }))
+        ]
+    }
+}
+
+// После решения конфликта запись считается синхронизированной с версией сервера.
+// Если выбрана своя версия, она отличается от base и уйдёт поверх серверной при следующей отправке;
+// если серверная — вызывающий применяет conflict.remote к карте.
+export const resolveConflict = (base, conflict) => ({
+    ...base,
+    [conflict.key]: { revision: conflict.revision, hash: hashValue(conflict.remote) }
+})
+
+// Поля записи, которые различаются в двух версиях, — для показа конфликта
+export const getChangedFields = (local, remote) => {
+    if (!local || !remote) return []
+
+    const fields = new Set([...Object.keys(local), ...Object.keys(remote)])
+    return [...fields].filter(field => hashValue(local[field]) !== hashValue(remote[field]))
+}
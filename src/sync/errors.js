@@ -0,0 +1,6 @@
+export class SyncError extends Error {
+    constructor(message, options) {
+        super(message, options)
+        this.name = 'SyncError'
+    }
+}
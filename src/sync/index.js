@@ -0,0 +1,248 @@
+// Синхронизация карт с сервером. Необязательна: пока она не настроена,
+// всё хранится только на устройстве.
+//
+// Адаптер описывается объектом { id, label, create(config) }, где create возвращает
+//   listRoadmaps()            — карты на сервере: [{ id, title, revision }]
+//   pull(roadmapId)           — записи карты: { [key]: { revision, value } }
+//   push(roadmapId, changes)  — { applied, conflicts }
+// Формат записей и правила сравнения — в engine.js.
+//
+// Правки применяются к библиотеке сразу, а на сервер уходят в фоне.
+// Настройки и base синхронизированных карт хранятся в localStorage этого устройства.
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import restAdapter from './rest'
+import { planSync, applyPushResult, resolveConflict, buildRoadmap, hashValue } from './engine'
+import { SyncError } from './errors'
+import { importRoadmap } from '../schema'
+
+export { SyncError } from './errors'
+export { META_KEY, getChangedFields, getFreshEntries, applyRemoteEntries } from './engine'
+
+const CONFIG_KEY = 'kr4task:sync'
+const STATE_KEY = 'kr4task:sync-state'
+const DEBOUNCE_MS = 1500
+const POLL_INTERVAL_MS = 30 * 1000
+
+const adapters = []
+
+export const registerSyncAdapter = (adapter) => {
+    if (adapters.some(other => other.id === adapter.id)) {
+        throw new Error(`Адаптер синхронизации «${adapter.id}» уже зарегистрирован`)
+    }
+    adapters.push(adapter)
+}
+
+export const getSyncAdapters = () => adapters
+
+registerSyncAdapter(restAdapter)
+
+const readJson = (key, fallback) => {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback
+    } catch {
+        return fallback
+    }
+}
+
+const writeJson = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value))
+    } catch {
+        // Без localStorage синхронизация начнётся заново после перезагрузки
+    }
+}
+
+// Настройки: { adapter, endpoint, token, enabled }
+const DEFAULT_CONFIG = { adapter: 'rest', endpoint: '', token: '', enabled: false }
+
+// Состояние для интерфейса. bases — { [roadmapId]: base } для карт, которые синхронизируются;
+// conflicts — { [roadmapId]: [conflict] }; status — 'off', 'idle', 'syncing', 'offline' или 'error'.
+let state = {
+    config: { ...DEFAULT_CONFIG, ...readJson(CONFIG_KEY, {}) },
+    bases: readJson(STATE_KEY, {}),
+    conflicts: {},
+    status: 'off',
+    error: '',
+    lastSyncedAt: null
+}
+const listeners = new Set()
+
+const setState = (changes) => {
+    state = { ...state, ...changes }
+    if (changes.config) writeJson(CONFIG_KEY, state.config)
+    if (changes.bases) writeJson(STATE_KEY, state.bases)
+    listeners.forEach(listener => listener())
+}
+
+const subscribe = (listener) => {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+}
+
+export const getSyncState = () => state
+
+export const useSyncState = () => useSyncExternalStore(subscribe, getSyncState)
+
+export const isSyncEnabled = () => state.config.enabled && Boolean(state.config.endpoint)
+
+export const isRoadmapSynced = (roadmapId) => Object.hasOwn(state.bases, roadmapId)
+
+export const countConflicts = (syncState = state) =>
+    Object.values(syncState.conflicts).reduce((sum, conflicts) => sum + conflicts.length, 0)
+
+export const saveSyncConfig = (config) => {
+    setState({ config: { ...state.config, ...config }, status: 'off', error: '' })
+}
+
+// Подключённая карта без base при первой синхронизации отправляет всё, чего нет на сервере;
+// записи, которые есть и там и здесь, совпадут по хэшу, а различия станут конфликтами
+export const setRoadmapSynced = (roadmapId, synced, base = {}) => {
+    const bases = { ...state.bases }
+    const conflicts = { ...state.conflicts }
+    delete conflicts[roadmapId]
+    if (synced) bases[roadmapId] = state.bases[roadmapId] ?? base
+    else delete bases[roadmapId]
+
+    setState({ bases, conflicts })
+}
+
+// Оставляет base и конфликты только для карт из библиотеки — например, после загрузки,
+// когда удаления уже нельзя отменить
+export const pruneSyncedRoadmaps = (roadmapIds) => {
+    const ids = new Set(roadmapIds)
+    if (Object.keys(state.bases).every(roadmapId => ids.has(roadmapId))) return
+
+    const keep = (byId) => Object.fromEntries(Object.entries(byId).filter(([roadmapId]) => ids.has(roadmapId)))
+    setState({ bases: keep(state.bases), conflicts: keep(state.conflicts) })
+}
+
+const createAdapter = () => {
+    const adapter = adapters.find(other => other.id === state.config.adapter) ?? adapters[0]
+    return adapter.create(state.config)
+}
+
+export const listRemoteRoadmaps = () => createAdapter().listRoadmaps()
+
+// Загружает с сервера карту, которой нет на устройстве: { roadmap, base }.
+// Карта проходит обычный импорт; base передаётся в setRoadmapSynced после добавления в библиотеку.
+export const pullRoadmap = async (roadmapId) => {
+    const remote = await createAdapter().pull(roadmapId)
+    const roadmap = importRoadmap(buildRoadmap(roadmapId, remote))
+    const base = Object.fromEntries(Object.entries(remote).map(([key, entry]) => [key, {
+        revision: entry.revision,
+        hash: hashValue(entry.value)
+    }]))
+
+    return { roadmap, base }
+}
+
+// Синхронизирует одну карту. applyRemote(roadmapId, entries) применяет записи сервера
+// (см. applyRemoteEntries) к актуальной версии карты, не записывая это в историю отмены.
+const syncRoadmap = async (adapter, roadmap, applyRemote) => {
+    const base = state.bases[roadmap.id] ?? {}
+    const plan = planSync(roadmap, base, await adapter.pull(roadmap.id))
+    const result = plan.push.length
+        ? applyPushResult(plan, await adapter.push(roadmap.id, plan.push))
+        : { base: plan.base, conflicts: plan.conflicts }
+
+    if (plan.apply.length) applyRemote(roadmap.id, plan.apply)
+
+    // Карту могли отключить от синхронизации, пока шёл запрос
+    if (!isRoadmapSynced(roadmap.id)) return
+    setState({
+        bases: { ...state.bases, [roadmap.id]: result.base },
+        conflicts: { ...state.conflicts, [roadmap.id]: result.conflicts }
+    })
+}
+
+let running = null
+let queued = null
+
+// Синхронизирует все подключённые карты. Вызов во время работы
+// запоминается и выполняется сразу после текущего прохода — с последними данными.
+export const syncAll = (roadmaps, applyRemote) => {
+    if (running) {
+        queued = [roadmaps, applyRemote]
+        return running
+    }
+    if (!isSyncEnabled()) {
+        setState({ status: 'off', error: '' })
+        return Promise.resolve()
+    }
+    if (!navigator.onLine) {
+        setState({ status: 'offline' })
+        return Promise.resolve()
+    }
+
+    running = (async () => {
+        setState({ status: 'syncing' })
+        try {
+            const adapter = createAdapter()
+            for (const roadmap of roadmaps.filter(roadmap => isRoadmapSynced(roadmap.id))) {
+                await syncRoadmap(adapter, roadmap, applyRemote)
+            }
+            setState({ status: 'idle', error: '', lastSyncedAt: new Date().toISOString() })
+        } catch (err) {
+            setState({ status: 'error', error: err instanceof SyncError ? err.message : String(err.message ?? err) })
+            console.error('Ошибка синхронизации:', err)
+        } finally {
+            running = null
+            if (queued) {
+                const [nextRoadmaps, nextApplyRemote] = queued
+                queued = null
+                syncAll(nextRoadmaps, nextApplyRemote)
+            }
+        }
+    })()
+    return running
+}
+
+// Применяет решения по конфликтам карты: { [key]: 'local' | 'remote' }
+export const resolveConflicts = (roadmapId, choices, applyRemote) => {
+    const conflicts = state.conflicts[roadmapId] ?? []
+    const resolved = conflicts.filter(conflict => choices[conflict.key])
+    const remoteEntries = resolved
+        .filter(conflict => choices[conflict.key] === 'remote')
+        .map(conflict => ({ key: conflict.key, value: conflict.remote }))
+
+    if (remoteEntries.length) applyRemote(roadmapId, remoteEntries)
+
+    setState({
+        bases: { ...state.bases, [roadmapId]: resolved.reduce(resolveConflict, state.bases[roadmapId] ?? {}) },
+        conflicts: { ...state.conflicts, [roadmapId]: conflicts.filter(conflict => !choices[conflict.key]) }
+    })
+}
+
+// Фоновая синхронизация: после правок (с задержкой), по таймеру и при появлении сети
+export const useSync = (roadmaps, applyRemote, ready) => {
+    const { config } = useSyncState()
+    const latest = useRef(roadmaps)
+    const enabled = ready && config.enabled && Boolean(config.endpoint)
+
+    useEffect(() => {
+        latest.current = roadmaps
+    }, [roadmaps])
+
+    const syncNow = useCallback(() => syncAll(latest.current, applyRemote), [applyRemote])
+
+    useEffect(() => {
+        if (!enabled) return
+
+        const timeout = setTimeout(syncNow, DEBOUNCE_MS)
+        return () => clearTimeout(timeout)
+    }, [enabled, roadmaps, syncNow])
+
+    useEffect(() => {
+        if (!enabled) return
+
+        const interval = setInterval(syncNow, POLL_INTERVAL_MS)
+        window.addEventListener('online', syncNow)
+        return () => {
+            clearInterval(interval)
+            window.removeEventListener('online', syncNow)
+        }
+    }, [enabled, syncNow])
+
+    return syncNow
+}
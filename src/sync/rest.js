@@ -0,0 +1,55 @@
+// REST-адаптер синхронизации. Протокол (см. server/sync-server.js):
+//   GET  {endpoint}/roadmaps              → { roadmaps: [{ id, title, revision }] }
+//   GET  {endpoint}/roadmaps/:id          → { entries: { [key]: { revision, value } } }, 404 — карты нет
+//   POST {endpoint}/roadmaps/:id/changes  { changes: [{ key, baseRevision, value }] }
+//                                         → { applied: [{ key, revision }], conflicts: [{ key, revision, value }] }
+// Необязательный токен передаётся в заголовке Authorization: Bearer <token>.
+
+import { SyncError } from './errors'
+import { t } from '../i18n'
+
+const createRestAdapter = ({ endpoint, token }) => {
+    const baseUrl = String(endpoint ?? '').trim().replace(/\/+$/, '')
+    if (!/^https?:\/\//.test(baseUrl)) throw new SyncError(t('sync.invalidEndpoint'))
+
+    const request = async (path, options = {}) => {
+        let response
+        try {
+            response = await fetch(`${baseUrl}${path}`, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { Authorization: `Bearer ${token}` } : {})
+                }
+            })
+        } catch (err) {
+            throw new SyncError(t('sync.networkError'), { cause: err })
+        }
+
+        if (response.status === 404) return null
+        if (response.status === 401 || response.status === 403) throw new SyncError(t('sync.unauthorized'))
+        if (!response.ok) throw new SyncError(t('sync.serverError', { status: response.status }))
+
+        try {
+            return await response.json()
+        } catch (err) {
+            throw new SyncError(t('sync.badResponse'), { cause: err })
+        }
+    }
+
+    const roadmapPath = (roadmapId) => `/roadmaps/${encodeURIComponent(roadmapId)}`
+
+    return {
+        listRoadmaps: async () => (await request('/roadmaps'))?.roadmaps ?? [],
+        pull: async (roadmapId) => (await request(roadmapPath(roadmapId)))?.entries ?? {},
+        push: async (roadmapId, changes) =>
+            (await request(`${roadmapPath(roadmapId)}/changes`, { method: 'POST', body: JSON.stringify({ changes }) }))
+                ?? { applied: [], conflicts: [] }
+    }
+}
+
+export default {
+    id: 'rest',
+    label: 'REST',
+    create: createRestAdapter
+}
@@ -0,0 +1,124 @@
+// Учёт времени: оценка темы в часах (estimateHours) и журнал занятий
+// item.sessions — [{ startedAt, minutes }]. Запущенный таймер один на всё
+// приложение и хранится в localStorage, поэтому переживает перезагрузку.
+
+import { useSyncExternalStore } from 'react'
+import { getStatuses, getItemProgress, toPercent } from './roadmap'
+import { t } from './i18n'
+
+const TIMER_KEY = 'kr4task:timer'
+export const POMODORO_MINUTES = 25
+
+export const getSessions = (item) => (Array.isArray(item.sessions) ? item.sessions : [])
+
+export const getLoggedMinutes = (item) => getSessions(item).reduce((sum, session) => sum + session.minutes, 0)
+
+export const hasEstimate = (item) => typeof item.estimateHours === 'number' && item.estimateHours > 0
+
+// Оценка и фактически затраченное время по карте, в часах.
+// estimated складывается только по темам с оценкой, actual — по всем.
+export const getTimeTotals = (roadmap) => {
+    const estimatedItems = roadmap.items.filter(hasEstimate)
+
+    return {
+        estimated: estimatedItems.reduce((sum, item) => sum + item.estimateHours, 0),
+        actual: roadmap.items.reduce((sum, item) => sum + getLoggedMinutes(item), 0) / 60,
+        estimatedCount: estimatedItems.length
+    }
+}
+
+// Прогресс по времени: доля оценённых часов, приходящаяся на сделанное.
+// Темы без оценки не учитываются; null — если оценок нет совсем.
+export const getTimeProgress = (roadmap) => {
+    const statuses = getStatuses(roadmap)
+    const estimatedItems = roadmap.items.filter(hasEstimate)
+    const total = estimatedItems.reduce((sum, item) => sum + item.estimateHours, 0)
+    if (!total) return null
+
+    const done = estimatedItems.reduce((sum, item) => sum + item.estimateHours * getItemProgress(item, statuses), 0)
+    return toPercent(done / total)
+}
+
+// Оставшаяся трудоёмкость темы в часах — для планировщика сроков.
+// Темам без оценки достаётся средняя оценка по карте; без оценок вовсе — null.
+export const createRemainingEffort = (roadmap) => {
+    const estimates = roadmap.items.filter(hasEstimate).map(item => item.estimateHours)
+    if (!estimates.length) return null
+
+    const average = estimates.reduce((sum, hours) => sum + hours, 0) / estimates.length
+    return (item) => Math.max(0, (hasEstimate(item) ? item.estimateHours : average) - getLoggedMinutes(item) / 60)
+}
+
+export const formatDuration = (minutes) => {
+    const rounded = Math.round(minutes)
+    const hours = Math.floor(rounded / 60)
+    const rest = rounded % 60
+
+    if (!hours) return t('time.minutes', { count: rest })
+    return rest ? t('time.hoursMinutes', { hours, minutes: rest }) : t('time.hours', { count: hours })
+}
+
+export const formatHours = (hours) => formatDuration(hours * 60)
+
+// Часы:минуты:секунды для циферблата таймера
+export const formatClock = (milliseconds) => {
+    const seconds = Math.max(0, Math.floor(milliseconds / 1000))
+    const pad = (value) => String(value).padStart(2, '0')
+    const clock = `${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`
+    return seconds >= 3600 ? `${Math.floor(seconds / 3600)}:${clock}` : clock
+}
+
+// Таймер: { roadmapId, itemId, startedAt, mode: 'timer' | 'pomodoro' } или null
+const readTimer = () => {
+    try {
+        return JSON.parse(localStorage.getItem(TIMER_KEY)) ?? null
+    } catch {
+        return null
+    }
+}
+
+let activeTimer = readTimer()
+const listeners = new Set()
+
+const saveTimer = (timer) => {
+    activeTimer = timer
+    try {
+        if (timer) localStorage.setItem(TIMER_KEY, JSON.stringify(timer))
+        else localStorage.removeItem(TIMER_KEY)
+    } catch {
+        // Таймер просто не переживёт перезагрузку
+    }
+    listeners.forEach(listener => listener())
+}
+
+const subscribe = (listener) => {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+}
+
+export const getActiveTimer = () => activeTimer
+
+export const useActiveTimer = () => useSyncExternalStore(subscribe, getActiveTimer)
+
+export const startTimer = (roadmapId, itemId, mode = 'timer', now = new Date()) => {
+    saveTimer({ roadmapId, itemId, mode, startedAt: now.toISOString() })
+}
+
+// Длительность занятия в мс; помидор не бывает длиннее POMODORO_MINUTES
+export const getElapsed = (timer, now = new Date()) => {
+    const elapsed = now - new Date(timer.startedAt)
+    return timer.mode === 'pomodoro' ? Math.min(elapsed, POMODORO_MINUTES * 60000) : elapsed
+}
+
+// Останавливает таймер и возвращает занятие для item.sessions.
+// Занятия короче минуты не записываются — тогда возвращается null.
+export const stopTimer = (now = new Date()) => {
+    const timer = activeTimer
+    if (!timer) return null
+
+    saveTimer(null)
+    const minutes = Math.round(getElapsed(timer, now) / 60000)
+    return minutes > 0 ? { startedAt: timer.startedAt, minutes } : null
+}
+
+export const discardTimer = () => saveTimer(null)
@@ -0,0 +1,67 @@
+// История изменений библиотеки для отмены и повтора.
+// Хранятся снимки состояния: данные неизменяемые, поэтому снимки
+// разделяют общие части и почти ничего не стоят.
+
+export const UNDO_LIMIT = 50
+
+// Быстрые правки одного поля (набор текста) схлопываются в один шаг
+const MERGE_WINDOW_MS = 1000
+
+export const createUndoState = (present) => ({ past: [], present, future: [] })
+
+export const undoReducer = (state, action) => {
+    switch (action.type) {
+        case 'set': {
+            const present = action.updater(state.present)
+            if (present === state.present) return state
+
+            // Без записи в историю: например, выбор текущей карты
+            if (action.record === false) return { ...state, present }
+
+            const last = state.past[state.past.length - 1]
+            if (action.mergeKey && last?.mergeKey === action.mergeKey && action.at - last.at < MERGE_WINDOW_MS) {
+                return { past: [...state.past.slice(0, -1), { ...last, at: action.at }], present, future: [] }
+            }
+
+            const entry = { snapshot: state.present, label: action.label, mergeKey: action.mergeKey, at: action.at }
+            return { past: [...state.past, entry].slice(-UNDO_LIMIT), present, future: [] }
+        }
+        case 'undo': {
+            const last = state.past[state.past.length - 1]
+            if (!last) return state
+
+            return {
+                past: state.past.slice(0, -1),
+                present: last.snapshot,
+                future: [{ ...last, snapshot: state.present }, ...state.future]
+            }
+        }
+        case 'redo': {
+            const [next, ...future] = state.future
+            if (!next) return state
+
+            return {
+                past: [...state.past, { ...next, snapshot: state.present }],
+                present: next.snapshot,
+                future
+            }
+        }
+        // Правка, которая должна попасть и в снимки истории, — например записи с сервера синхронизации:
+        // иначе отмена вернула бы старое значение поверх чужой правки.
+        // updater(snapshot, present) получает и текущее состояние, чтобы решить, что менять в снимках.
+        case 'rebase': {
+            const present = action.updater(state.present, state.present)
+            if (present === state.present) return state
+
+            const rebase = entry => ({ ...entry, snapshot: action.updater(entry.snapshot, state.present) })
+            return { past: state.past.map(rebase), present, future: state.future.map(rebase) }
+        }
+        case 'reset':
+            return createUndoState(action.present)
+        default:
+            return state
+    }
+}
+
+export const getUndoLabel = (state) => state.past[state.past.length - 1]?.label
+export const getRedoLabel = (state) => state.future[0]?.label
@@ -1,8 +1,36 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+
+// Собирает dist/service-worker.js из src/service-worker.js: подставляет список
+// файлов для предзагрузки (сборка, файлы из public) и версию кэша.
+// Версия зависит от имён файлов сборки (в них есть хэш) и содержимого public,
+// поэтому при любых изменениях браузер ставит новый воркер.
+const serviceWorker = () => ({
+    name: 'kr4task-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(options, bundle) {
+        const publicFiles = readdirSync(new URL('./public', import.meta.url))
+        const files = [
+            '/',
+            ...Object.keys(bundle).filter(fileName => fileName !== 'index.html').map(fileName => `/${fileName}`),
+            ...publicFiles.map(fileName => `/${fileName}`)
+        ]
+        const hash = createHash('sha256').update(files.join('\n'))
+        publicFiles.forEach(fileName => hash.update(readFileSync(new URL(`./public/${fileName}`, import.meta.url))))
+        const version = hash.digest('hex').slice(0, 12)
+        const source = readFileSync(new URL('./src/service-worker.js', import.meta.url), 'utf-8')
+            .replace('self.__CACHE_VERSION', JSON.stringify(version))
+            .replace('self.__PRECACHE_FILES', JSON.stringify(files))
+
+        this.emitFile({ type: 'asset', fileName: 'service-worker.js', source })
+    }
+})
 
 export default defineConfig({
-    plugins: [react()],
+    plugins: [react(), serviceWorker()],
     server: {
         port: 3001,
         open: true
@@ -11,4 +39,4 @@ export default defineConfig({
         outDir: 'dist',
         sourcemap: false
     }
-})
\ No newline at end of file
+})